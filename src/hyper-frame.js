@@ -32,6 +32,13 @@
  * | `session-unload-warning` | no | `"default"` | Set to `"none"` to suppress BrowserBox's own "leave remote browser?" beforeunload warning |
  * | `beforeunload-behavior` | no | `"default"` | Set to `"leave"` to auto-depart or `"remain"` to auto-remain when a remote page triggers a beforeunload dialog |
  * | `first-load-cleanse` | no | — | If present, automatically close all tabs on the first load of a session. If a URL is provided as the value, that URL is opened after cleansing. |
+ * | `reconnect-mode` | no | `"fail-fast"` | `"queue-while-reconnecting"` holds replayable calls across reloads and recovery |
+ * | `reconnect-queue-max-age-ms` | no | `30000` | Max time a held call waits for the session to become ready |
+ * | `retry-policy` | no | — | JSON retry/backoff/timeout settings keyed by method, capability or `default` |
+ * | `url-policy` | no | — | JSON `{ allow, deny }` URL rules (origins, globs, `/regex/`) checked before navigating or opening tabs |
+ * | `policy-token` | no | — | Compact JWS whose payload is a policy snapshot; caps every other policy source once verified |
+ * | `policy-key` | no | — | Public JWK that `policy-token` must verify against (pinned once trusted) |
+ * | `tabs` | no | — | JSON list of tabs to keep open (`[{ "url": "...", "active": true }]`); `<bbx-tab>` children take precedence |
  *
  * ## Events * | Event | Detail | Description |
  * |-------|--------|-------------|
@@ -43,10 +50,16 @@
  * | `tab-closed` | `{ index, id }` | Tab closed |
  * | `active-tab-changed` | `{ index, id }` | Active tab switched |
  * | `tab-updated` | `{ id, url, title, faviconDataURI }` | Tab metadata updated |
+ * | `tab-moved` | `{ id, fromIndex, index }` | Tab moved to another position |
+ * | `tab-grouped` | `{ groupId, tabIds, title, color }` | Tabs added to a group |
+ * | `tabs-reconciled` | `{ reason, created, closed, navigated, activeTabId }` | Live tabs were brought in line with the declared tabs |
  * | `did-start-loading` | `{ tabId, url }` | Page load started |
  * | `did-stop-loading` | `{ tabId, url }` | Page load finished |
  * | `did-navigate` | `{ tabId, url }` | Navigation committed |
+ * | `did-click` | `{ tabId, selector }` | User clicked in the page (only sent while a recorder runs) |
+ * | `did-input` | `{ tabId, selector, value, inputType, autocomplete }` | User edited a field (only sent while a recorder runs; credential values are cleared) |
  * | `policy-denied` | `{ url, reason }` | Navigation blocked by policy |
+ * | `policy-error` | `{ reasonCode, error, mode, fallback }` | Policy could not be applied as configured (e.g. unknown `interaction-mode`) |
  * | `modal-opened` | `{ id, type, actions, dismissAction, ... }` | BrowserBox modal became visible |
  * | `modal-updated` | `{ id, type, actions, dismissAction, ... }` | BrowserBox modal metadata changed |
  * | `modal-closed` | `{ id, type, action, reason }` | BrowserBox modal closed or was answered |
@@ -60,6 +73,24 @@
  * - **legacy** (individual postMessage types): Fallback for older BBX versions
  * Detection is one-shot — once resolved, transport is locked for the session.
  *
+ * Messages travel over the element's `transport` property, which defaults to
+ * the iframe. After `bbx-api-ready` the iframe transport negotiates a private
+ * MessageChannel (`bbx-channel-open` / `bbx-channel-ack`) and falls back to
+ * window messaging for builds that do not acknowledge it. Assign `new MockTransport(new MockBrowserBox())` to run the
+ * whole API against an in-memory BrowserBox (see `HyperFrame.MockTransport`).
+ *
+ * ## Exports
+ * `HyperFrame`, `HyperFrameController`, `HyperFrameGroup`,
+ * `defineHyperFrame(tagName, ElementClass)`, the transports, `ERROR_CODES` with `BrowserBoxError` and its subclasses, the
+ * frozen `POLICY_DEFAULTS` / `INTERACTION_MODE_PRESETS` trees,
+ * `registerInteractionMode(name, presetTree)` and the `normalize*` helpers. Importing the module also registers `<hyper-frame>`
+ * when a custom element registry exists.
+ *
+ * ## Headless use
+ * The element wraps a `HyperFrameController`, which holds all of the API
+ * logic and needs no DOM. Construct one with a postMessage `target` (iframe
+ * window, Worker, MessagePort) or a `transport` and call `attach()`.
+ *
  * @example
  * const bbx = document.querySelector('hyper-frame');
  * await bbx.whenReady();
@@ -87,8 +118,44 @@ const ERROR_CODES = Object.freeze({
   NOT_FOUND: 'ERR_NOT_FOUND',
   CONFLICT: 'ERR_CONFLICT',
   INTERNAL: 'ERR_INTERNAL',
+  ABORTED: 'ERR_ABORTED',
+  NAVIGATION_FAILED: 'ERR_NAVIGATION_FAILED',
+  SELECTOR_NOT_FOUND: 'ERR_SELECTOR_NOT_FOUND',
+  SESSION_EXPIRED: 'ERR_SESSION_EXPIRED',
+});
+
+/** Default HTTP-like status and retry hint for each code. */
+const ERROR_CODE_DEFAULTS = Object.freeze({
+  [ERROR_CODES.BASE]: { status: 500, retriable: false },
+  [ERROR_CODES.NOT_READY]: { status: 409, retriable: true },
+  [ERROR_CODES.POLICY_DENIED]: { status: 403, retriable: false },
+  [ERROR_CODES.TIMEOUT]: { status: 504, retriable: true },
+  [ERROR_CODES.TRANSPORT]: { status: 503, retriable: true },
+  [ERROR_CODES.UNSUPPORTED]: { status: 501, retriable: false },
+  [ERROR_CODES.INVALID_ARGUMENT]: { status: 400, retriable: false },
+  [ERROR_CODES.NOT_FOUND]: { status: 404, retriable: false },
+  [ERROR_CODES.CONFLICT]: { status: 409, retriable: false },
+  [ERROR_CODES.INTERNAL]: { status: 500, retriable: false },
+  [ERROR_CODES.ABORTED]: { status: 499, retriable: false },
+  [ERROR_CODES.NAVIGATION_FAILED]: { status: 502, retriable: false },
+  [ERROR_CODES.SELECTOR_NOT_FOUND]: { status: 404, retriable: false },
+  [ERROR_CODES.SESSION_EXPIRED]: { status: 401, retriable: false },
 });
 
+/**
+ * Remote errors arrive in `payload.error` as
+ * `{ version: 1, code, message, status?, retriable?, details? }`.
+ * Older builds send a plain string instead.
+ */
+const ERROR_ENVELOPE_VERSION = 1;
+// Fields of the error itself; remote `details` never overwrite them.
+const ERROR_ENVELOPE_RESERVED_KEYS = new Set([
+  'name', 'message', 'code', 'status', 'retriable', 'cause', 'stack', 'toJSON', '__proto__', 'constructor',
+]);
+
+/** Feature that modern builds list in `bbx-api-ready` when API calls honour `tabId`. */
+const TAB_TARGETING_FEATURE = 'tab-targeting';
+
 const POLICY_PROFILE_ID = 'hyper-frame-local-v1';
 const POLICY_ID = 'hyper-frame-local';
 const POLICY_BASELINE_ID = 'hyper-frame-local';
@@ -101,7 +168,8 @@ function createBrowserBoxError(message, {
   cause,
   ...details
 } = {}) {
-  return new BrowserBoxError(message, {
+  const ErrorClass = ERROR_CLASSES[code] || BrowserBoxError;
+  return new ErrorClass(message, {
     code,
     retriable,
     ...(status === undefined ? {} : { status }),
@@ -110,6 +178,51 @@ function createBrowserBoxError(message, {
   });
 }
 
+function parseErrorEnvelope(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || value instanceof Error) {
+    return null;
+  }
+  if (typeof value.code !== 'string' || !value.code.startsWith('ERR_')) {
+    return null;
+  }
+  const defaults = ERROR_CODE_DEFAULTS[value.code] || ERROR_CODE_DEFAULTS[ERROR_CODES.INTERNAL];
+  return {
+    version: Number.isInteger(value.version) ? value.version : ERROR_ENVELOPE_VERSION,
+    code: value.code,
+    message: typeof value.message === 'string' && value.message.length > 0
+      ? value.message
+      : `BrowserBox error ${value.code}`,
+    status: Number.isInteger(value.status) ? value.status : defaults.status,
+    retriable: typeof value.retriable === 'boolean' ? value.retriable : defaults.retriable,
+    details: value.details && typeof value.details === 'object' && !Array.isArray(value.details)
+      ? Object.fromEntries(Object.entries(value.details).filter(([key]) => !ERROR_ENVELOPE_RESERVED_KEYS.has(key)))
+      : {},
+  };
+}
+
+function toErrorEnvelope(error) {
+  const code = typeof error?.code === 'string' && error.code.startsWith('ERR_')
+    ? error.code
+    : ERROR_CODES.INTERNAL;
+  const defaults = ERROR_CODE_DEFAULTS[code] || ERROR_CODE_DEFAULTS[ERROR_CODES.INTERNAL];
+  const details = {};
+  if (error instanceof BrowserBoxError) {
+    for (const [key, value] of Object.entries(error.toJSON())) {
+      if (!ERROR_ENVELOPE_RESERVED_KEYS.has(key)) {
+        details[key] = value;
+      }
+    }
+  }
+  return {
+    version: ERROR_ENVELOPE_VERSION,
+    code,
+    message: typeof error?.message === 'string' ? error.message : String(error),
+    status: Number.isInteger(error?.status) ? error.status : defaults.status,
+    retriable: typeof error?.retriable === 'boolean' ? error.retriable : defaults.retriable,
+    details,
+  };
+}
+
 function throwInvalidArgument(message, details = {}) {
   throw createBrowserBoxError(message, {
     code: ERROR_CODES.INVALID_ARGUMENT,
@@ -118,6 +231,140 @@ function throwInvalidArgument(message, details = {}) {
   });
 }
 
+function isAbortSignal(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && typeof value.aborted === 'boolean'
+    && typeof value.addEventListener === 'function';
+}
+
+function createAbortError(signal, details = {}) {
+  return createBrowserBoxError('hyper-frame request was aborted.', {
+    code: ERROR_CODES.ABORTED,
+    status: 499,
+    cause: signal?.reason,
+    ...details,
+  });
+}
+
+function assertNotAborted(signal, details = {}) {
+  if (signal?.aborted) {
+    throw createAbortError(signal, details);
+  }
+}
+
+function isAbortError(error) {
+  return error?.code === ERROR_CODES.ABORTED;
+}
+
+function rethrowIfAborted(fallback) {
+  return (error) => {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    return fallback;
+  };
+}
+
+/**
+ * Pull `{ signal }` out of API call arguments. AbortSignals cannot cross
+ * postMessage, so the returned args carry copies of the option objects
+ * without it.
+ */
+function extractAbortSignal(args) {
+  let signal;
+  const strippedArgs = args.map((arg) => {
+    if (!arg || typeof arg !== 'object' || Array.isArray(arg) || !isAbortSignal(arg.signal)) {
+      return arg;
+    }
+    const { signal: argSignal, ...rest } = arg;
+    signal = signal || argSignal;
+    return rest;
+  });
+  return { args: strippedArgs, signal };
+}
+
+function extractIdempotencyKey(args) {
+  let idempotencyKey;
+  const strippedArgs = args.map((arg) => {
+    if (!arg || typeof arg !== 'object' || Array.isArray(arg) || arg.idempotencyKey === undefined) {
+      return arg;
+    }
+    const { idempotencyKey: key, ...rest } = arg;
+    idempotencyKey = assertNonEmptyString(key, 'idempotencyKey');
+    return rest;
+  });
+  // createTab(url, { idempotencyKey }) should still send just [url].
+  const last = strippedArgs[strippedArgs.length - 1];
+  if (idempotencyKey && last && typeof last === 'object' && Object.keys(last).length === 0) {
+    strippedArgs.pop();
+  }
+  return { args: strippedArgs, idempotencyKey };
+}
+
+function raceAbortSignal(promise, signal, details = {}) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(createAbortError(signal, details));
+  }
+  let onAbort = null;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(createAbortError(signal, details));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+function sleep(delayMs, signal) {
+  return raceAbortSignal(new Promise((resolve) => setTimeout(resolve, delayMs)), signal);
+}
+
+/**
+ * Validate a `retry-policy` table keyed by method name, capability
+ * (`tabs.write`), capability group (`tabs`) or `default`.
+ */
+function normalizeRetryPolicy(raw) {
+  assertPlainObject(raw, 'retryPolicy');
+  const policy = {};
+  for (const [key, entry] of Object.entries(raw)) {
+    const label = `retryPolicy.${key}`;
+    assertPlainObject(entry, label);
+    const normalized = {};
+    for (const field of RETRY_POLICY_FIELDS) {
+      if (entry[field] === undefined) continue;
+      if (!Number.isFinite(entry[field]) || entry[field] < 0) {
+        throwInvalidArgument(`hyper-frame ${label}.${field} must be a non-negative number.`, { key, field });
+      }
+      normalized[field] = entry[field];
+    }
+    if (normalized.attempts !== undefined) {
+      normalized.attempts = Math.max(1, Math.round(normalized.attempts));
+    }
+    if (normalized.jitter !== undefined) {
+      normalized.jitter = Math.min(1, normalized.jitter);
+    }
+    if (entry.retry === false) {
+      normalized.attempts = 1;
+    }
+    // An explicit `retryOn: []` or `null` means "retry nothing" and still
+    // overrides the built-in `createTab` / `createTabs` default.
+    if (entry.retryOn === null) {
+      normalized.retryOn = Object.freeze([]);
+    } else if (entry.retryOn !== undefined) {
+      if (!Array.isArray(entry.retryOn) || entry.retryOn.some((code) => typeof code !== 'string')) {
+        throwInvalidArgument(`hyper-frame ${label}.retryOn must be an array of error codes.`, { key });
+      }
+      normalized.retryOn = Object.freeze(entry.retryOn.slice());
+    }
+    policy[key] = Object.freeze(normalized);
+  }
+  return Object.freeze(policy);
+}
+
 function assertPlainObject(value, label) {
   if (!value || typeof value !== 'object' || Array.isArray(value)) {
     throwInvalidArgument(`hyper-frame ${label} requires an object.`, {
@@ -159,6 +406,8 @@ function normalizeTabInfo(tab, fallbackIndex = null) {
     hasFavicon: Boolean(tab.hasFavicon ?? faviconDataURI ?? tab.favicon),
     isDefaultFavicon: Boolean(tab.isDefaultFavicon),
     faviconDataURI,
+    pinned: Boolean(tab.pinned ?? tab.isPinned),
+    groupId: typeof tab.groupId === 'string' && tab.groupId.length > 0 ? tab.groupId : null,
   };
 }
 
@@ -322,6 +571,62 @@ function normalizeActionResult(action, value) {
   };
 }
 
+function resolveActionName(actionRequest, label = 'act(action)') {
+  if (!actionRequest || typeof actionRequest !== 'object' || Array.isArray(actionRequest)) {
+    throwInvalidArgument(`hyper-frame ${label} requires an object action request.`);
+  }
+  const actionNames = Object.keys(actionRequest).filter((key) => actionRequest[key] !== undefined);
+  if (actionNames.length !== 1) {
+    throwInvalidArgument(`hyper-frame ${label} requires exactly one action key.`);
+  }
+  return actionNames[0];
+}
+
+function createUnsupportedActionError(actionName) {
+  return createBrowserBoxError(`hyper-frame act(action) does not support '${actionName}'.`, {
+    code: ERROR_CODES.UNSUPPORTED,
+    status: 501,
+    action: actionName,
+  });
+}
+
+function normalizeSequenceStep(step, index) {
+  const label = `actSequence(steps[${index}])`;
+  assertPlainObject(step, label);
+  const { rollback, ...action } = step;
+  const actionName = resolveActionName(action, label);
+  if (!ACTION_METHOD_MAP[actionName]) {
+    throw createUnsupportedActionError(actionName);
+  }
+  let rollbackName = null;
+  if (rollback !== undefined) {
+    rollbackName = resolveActionName(rollback, `${label}.rollback`);
+    if (!ACTION_METHOD_MAP[rollbackName]) {
+      throw createUnsupportedActionError(rollbackName);
+    }
+  }
+  return {
+    index,
+    actionName,
+    action,
+    ...(rollbackName ? { rollbackName, rollback } : {}),
+  };
+}
+
+function monotonicNow() {
+  return (typeof performance !== 'undefined' && typeof performance.now === 'function')
+    ? performance.now()
+    : Date.now();
+}
+
+function raceTimeout(promise, timeoutMs, createError) {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(createError()), Math.max(0, timeoutMs));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 function createLocalPolicySnapshot(capabilities, metadata = {}) {
   const timestamp = new Date().toISOString();
   return {
@@ -337,42 +642,278 @@ function createLocalPolicySnapshot(capabilities, metadata = {}) {
   };
 }
 
+/**
+ * Normalize a declared tab list (from the `tabs` option or `<bbx-tab>`
+ * children) to `[{ url, active }]`. Returns null when nothing is declared.
+ */
+function normalizeDeclaredTabs(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return null;
+  }
+  const tabs = value
+    .map((entry) => (typeof entry === 'string' ? { url: entry } : entry))
+    .filter((entry) => entry && typeof entry === 'object' && typeof entry.url === 'string')
+    .map((entry) => ({ url: entry.url.trim(), active: Boolean(entry.active) }));
+  return tabs.length > 0 ? tabs : null;
+}
+
+function isSameTabUrl(left, right) {
+  const normalize = (url) => {
+    try {
+      return new URL(url).href;
+    } catch {
+      return url;
+    }
+  };
+  return normalize(left) === normalize(right);
+}
+
+function tabEntryId(entry) {
+  return [entry?.id, entry?.tabId, entry?.targetId].find((candidate) =>
+    typeof candidate === 'string' && candidate.length > 0
+  ) || null;
+}
+
+/**
+ * In-memory tab list kept current from tab events and resynced from
+ * `getTabs`. `snapshot()` returns the same frozen array until something
+ * changes, so it can back `useSyncExternalStore` and similar.
+ */
+function createTabStore() {
+  let entries = [];
+  let activeTabId = null;
+  let snapshot = null;
+  const listeners = new Set();
+
+  const reindex = () => {
+    entries = entries.map((entry, index) => ({ ...entry, index }));
+  };
+  const commit = (type, detail = {}) => {
+    snapshot = null;
+    const change = { type, ...detail };
+    for (const listener of [...listeners]) {
+      try {
+        listener(store.snapshot(), change);
+      } catch (error) {
+        console.error('[hyper-frame] tab store subscriber failed', error);
+      }
+    }
+  };
+  const findIndex = (tabId) => entries.findIndex((entry) => tabEntryId(entry) === tabId);
+
+  const store = {
+    entries() {
+      return entries.slice();
+    },
+    snapshot() {
+      if (!snapshot) {
+        snapshot = Object.freeze(entries.map((entry, index) => Object.freeze(normalizeTabInfo(
+          activeTabId ? { ...entry, active: tabEntryId(entry) === activeTabId } : entry,
+          index,
+        ))).filter(Boolean));
+      }
+      return snapshot;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    replace(tabs, nextActiveTabId) {
+      const previous = JSON.stringify([entries, activeTabId]);
+      entries = tabs.map((tab, index) => ({ index, ...tab }));
+      const flagged = entries.find((entry) => entry.active ?? entry.isActive ?? entry.selected);
+      activeTabId = nextActiveTabId ?? (flagged ? tabEntryId(flagged) : activeTabId);
+      if (activeTabId && findIndex(activeTabId) === -1) {
+        activeTabId = null;
+      }
+      if (JSON.stringify([entries, activeTabId]) !== previous) {
+        commit('resync');
+      }
+    },
+    add(detail) {
+      const tabId = tabEntryId(detail);
+      if (!tabId) return;
+      if (findIndex(tabId) !== -1) {
+        store.update(detail);
+        return;
+      }
+      const index = Number.isInteger(detail.index) ? Math.min(detail.index, entries.length) : entries.length;
+      entries.splice(index, 0, { ...detail, index });
+      reindex();
+      commit('created', { tabId });
+    },
+    update(detail) {
+      const tabId = tabEntryId(detail);
+      const index = tabId ? findIndex(tabId) : -1;
+      if (index === -1) return;
+      entries[index] = { ...entries[index], ...detail, index };
+      commit('updated', { tabId });
+    },
+    remove(detail) {
+      const tabId = tabEntryId(detail);
+      if (!tabId || findIndex(tabId) === -1) return;
+      entries = entries.filter((entry) => tabEntryId(entry) !== tabId);
+      reindex();
+      if (activeTabId === tabId) {
+        activeTabId = null;
+      }
+      commit('closed', { tabId });
+    },
+    move(detail) {
+      const tabId = tabEntryId(detail);
+      const from = tabId ? findIndex(tabId) : -1;
+      if (from === -1 || !Number.isInteger(detail.index)) return;
+      const [entry] = entries.splice(from, 1);
+      entries.splice(Math.max(0, Math.min(detail.index, entries.length)), 0, entry);
+      reindex();
+      commit('moved', { tabId });
+    },
+    group(detail) {
+      const tabIds = new Set(Array.isArray(detail?.tabIds) ? detail.tabIds : []);
+      const groupId = typeof detail?.groupId === 'string' ? detail.groupId : null;
+      entries = entries.map((entry) => (tabIds.has(tabEntryId(entry)) ? { ...entry, groupId } : entry));
+      commit('grouped', { groupId });
+    },
+    activate(detail) {
+      const tabId = tabEntryId(detail)
+        || (Number.isInteger(detail?.index) ? tabEntryId(entries[detail.index]) : null);
+      if (!tabId || tabId === activeTabId) return;
+      activeTabId = tabId;
+      commit('activated', { tabId });
+    },
+    clear() {
+      if (entries.length === 0 && activeTabId === null) return;
+      entries = [];
+      activeTabId = null;
+      commit('reset');
+    },
+  };
+  return store;
+}
+
+/**
+ * Order, pins and groups applied on top of legacy `getTabs` results, since
+ * the legacy transport cannot move, pin or group tabs itself.
+ */
+function createEmulatedTabLayout() {
+  return { order: [], pinned: new Set(), groups: new Map() };
+}
+
+/** Drop layout entries for tabs that are gone; `isLive(tabId)` decides. */
+function pruneEmulatedTabLayout(layout, isLive) {
+  layout.order = layout.order.filter(isLive);
+  for (const tabId of [...layout.pinned]) {
+    if (!isLive(tabId)) layout.pinned.delete(tabId);
+  }
+  for (const tabId of [...layout.groups.keys()]) {
+    if (!isLive(tabId)) layout.groups.delete(tabId);
+  }
+}
+
+function applyEmulatedTabLayout(layout, tabs) {
+  const position = (tab) => {
+    const index = layout.order.indexOf(tabEntryId(tab));
+    return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+  };
+  // Pinned tabs come first, as in a real tab strip.
+  const pinnedRank = (tab) => (layout.pinned.has(tabEntryId(tab)) || Boolean(tab.pinned) ? 0 : 1);
+  return tabs
+    .map((tab, index) => ({ tab, index }))
+    .sort((left, right) => (pinnedRank(left.tab) - pinnedRank(right.tab))
+      || (position(left.tab) - position(right.tab))
+      || (left.index - right.index))
+    .map(({ tab }, index) => {
+      const tabId = tabEntryId(tab);
+      return {
+        ...tab,
+        index,
+        pinned: layout.pinned.has(tabId) || Boolean(tab.pinned),
+        groupId: layout.groups.get(tabId) ?? tab.groupId ?? null,
+      };
+    });
+}
+
 function createTabsNamespace(instance) {
   return Object.freeze({
-    async list() {
-      const tabs = await instance.callApi('getTabs');
-      return Array.isArray(tabs)
-        ? tabs.map((tab, index) => normalizeTabInfo(tab, index)).filter(Boolean)
-        : [];
+    async list({ signal } = {}) {
+      return instance._listTabs({ signal });
     },
-    async getActive() {
-      return instance._getActiveTabInfo();
+    snapshot() {
+      instance._assertCapability('tabs.read');
+      return instance._tabStore.snapshot();
+    },
+    subscribe(listener) {
+      if (typeof listener !== 'function') {
+        throwInvalidArgument('tabs.subscribe(listener) requires a function.');
+      }
+      instance._assertCapability('tabs.read');
+      return instance._tabStore.subscribe(listener);
+    },
+    async getActive({ signal } = {}) {
+      return instance._getActiveTabInfo('tabs.read', { signal });
     },
     async create(input = {}) {
-      assertPlainObject(input, 'tabs.create(input)');
-      const url = typeof input.url === 'string' ? input.url : '';
-      const shouldActivate = input.active !== false;
-      const previousActiveTab = shouldActivate ? null : await instance._getActiveTabInfo();
-      const beforeCount = await instance.callApi('getTabCount');
-      await instance.callApi('createTab', url);
-      await instance.callApi('waitForTabCount', beforeCount + 1, {
-        timeoutMs: instance.requestTimeoutMs,
-      });
-      const tabs = await this.list();
-      const createdTab = tabs[tabs.length - 1] || null;
-      if (!shouldActivate && previousActiveTab?.id) {
-        await instance.callApi('switchToTabById', previousActiveTab.id);
+      return instance._createTab(input);
+    },
+    async activate(tabId, { signal } = {}) {
+      return instance._callApi('switchToTabById', [assertNonEmptyString(tabId, 'tabs.activate(tabId)')], { signal });
+    },
+    async close(tabId, { signal } = {}) {
+      return instance._callApi('closeTabById', [assertNonEmptyString(tabId, 'tabs.close(tabId)')], { signal });
+    },
+    async closeAll({ signal } = {}) {
+      return instance._callApi('closeAllTabs', [{ keep: 0 }], { signal });
+    },
+    async move(tabId, index, { signal } = {}) {
+      if (!Number.isInteger(index) || index < 0) {
+        throwInvalidArgument('tabs.move(tabId, index) requires a non-negative integer index.', { index });
       }
-      return createdTab;
+      return instance._callApi('moveTab', [assertNonEmptyString(tabId, 'tabs.move(tabId)'), index], { signal });
     },
-    async activate(tabId) {
-      return instance.callApi('switchToTabById', assertNonEmptyString(tabId, 'tabs.activate(tabId)'));
+    async pin(tabId, { pinned = true, signal } = {}) {
+      return instance._callApi('pinTab', [assertNonEmptyString(tabId, 'tabs.pin(tabId)'), pinned !== false], { signal });
     },
-    async close(tabId) {
-      return instance.callApi('closeTabById', assertNonEmptyString(tabId, 'tabs.close(tabId)'));
+    async group(tabIds, { title = '', color = '', signal } = {}) {
+      if (!Array.isArray(tabIds) || tabIds.length === 0) {
+        throwInvalidArgument('tabs.group(tabIds) requires a non-empty array of tab ids.');
+      }
+      const ids = tabIds.map((tabId) => assertNonEmptyString(tabId, 'tabs.group(tabIds)'));
+      const result = await instance._callApi('groupTabs', [ids, { title: String(title), color: String(color) }], { signal });
+      return {
+        groupId: typeof result?.groupId === 'string' ? result.groupId : null,
+        tabIds: ids,
+        title: String(title),
+        color: String(color),
+      };
     },
-    async closeAll() {
-      return instance.callApi('closeAllTabs', { keep: 0 });
+    async duplicate(tabId, { signal } = {}) {
+      const id = assertNonEmptyString(tabId, 'tabs.duplicate(tabId)');
+      const before = await instance._listTabs({ signal, internal: true });
+      const source = before.find((tab) => tab.id === id);
+      if (!source) {
+        throw createBrowserBoxError(`hyper-frame tabs.duplicate: tab '${id}' does not exist.`, {
+          code: ERROR_CODES.NOT_FOUND,
+          status: 404,
+          tabId: id,
+        });
+      }
+      // The copy opens the source URL, so it is vetted like tabs.create();
+      // a redirect opens a fresh tab at the new URL instead.
+      const [url] = await instance._interceptCall('createTab', [source.url], { signal });
+      if (url !== source.url) {
+        return instance._createTab({ url, signal }, { intercepted: true });
+      }
+      const result = await instance._callApi('duplicateTab', [id], { signal });
+      if (result && typeof result === 'object') {
+        return normalizeTabInfo(result);
+      }
+      await instance._callApi('waitForTabCount', [before.length + 1, {
+        timeoutMs: instance.requestTimeoutMs,
+      }], { signal, internal: true });
+      // Browsers insert the copy next to its source, so find it by id.
+      const knownIds = new Set(before.map((tab) => tab.id));
+      const tabs = await instance._listTabs({ signal, internal: true });
+      return tabs.find((tab) => !knownIds.has(tab.id)) || null;
     },
   });
 }
@@ -382,46 +923,91 @@ function createPageNamespace(instance) {
     async navigate(url, opts = {}) {
       return instance.callApi('navigateTo', assertNonEmptyString(url, 'page.navigate(url)'), opts);
     },
-    async reload() {
-      return instance.callApi('reload');
+    async reload({ signal } = {}) {
+      return instance._callApi('reload', [], { signal });
     },
-    async back() {
-      return instance.callApi('goBack');
+    async back({ signal } = {}) {
+      return instance._callApi('goBack', [], { signal });
     },
-    async forward() {
-      return instance.callApi('goForward');
+    async forward({ signal } = {}) {
+      return instance._callApi('goForward', [], { signal });
     },
-    async stop() {
-      return instance.callApi('stop');
+    async stop({ signal } = {}) {
+      return instance._callApi('stop', [], { signal });
     },
-    async url() {
-      return (await instance._getActiveTabInfo('page.read'))?.url || '';
+    async url({ signal } = {}) {
+      return (await instance._getActiveTabInfo('page.read', { signal }))?.url || '';
     },
-    async title() {
-      return (await instance._getActiveTabInfo('page.read'))?.title || '';
+    async title({ signal } = {}) {
+      return (await instance._getActiveTabInfo('page.read', { signal }))?.title || '';
     },
-    async favicon() {
-      const activeTab = await instance._getActiveTabInfo('page.read');
+    async favicon({ signal } = {}) {
+      const activeTab = await instance._getActiveTabInfo('page.read', { signal });
       return activeTab?.faviconDataURI || activeTab?.favicon || null;
     },
-    async metrics() {
-      return normalizePageMetrics(await instance.callApi('getScreenMetrics'));
+    async metrics({ signal } = {}) {
+      return normalizePageMetrics(await instance._callApi('getScreenMetrics', [], { signal }));
     },
     async text(options = {}) {
       return instance._getPageText(options);
     },
+    for(tabId) {
+      return createTabPageNamespace(instance, assertNonEmptyString(tabId, 'page.for(tabId)'));
+    },
+  });
+}
+
+/**
+ * Page operations bound to one tab. Calls carry `tabId`, so BrowserBox runs
+ * them in that tab without activating it. Builds that would ignore `tabId`
+ * are refused up front rather than acting on the active tab.
+ */
+function createTabPageNamespace(instance, tabId) {
+  const call = async (method, args, { signal, ...options } = {}) => {
+    await instance._assertTabTargeting(tabId, { signal });
+    return instance._callApi(method, [...args, { ...options, tabId }], { signal });
+  };
+  return Object.freeze({
+    tabId,
+    async navigate(url, opts = {}) {
+      return call('navigateTo', [assertNonEmptyString(url, 'page.for(tabId).navigate(url)')], opts);
+    },
+    async url({ signal } = {}) {
+      const tabs = await instance.tabs.list({ signal });
+      return tabs.find((tab) => tab.id === tabId)?.url || '';
+    },
+    async text(options = {}) {
+      await instance._assertTabTargeting(tabId, options || {});
+      return instance._getPageText({ ...options, tabId });
+    },
+    async evaluate(expression, opts = {}) {
+      return call('evaluate', [assertNonEmptyString(expression, 'page.for(tabId).evaluate(expression)')], opts);
+    },
+    async waitForSelector(selector, opts = {}) {
+      return call('waitForSelector', [assertNonEmptyString(selector, 'page.for(tabId).waitForSelector(selector)')], opts);
+    },
+    async capture(options = {}) {
+      const scope = options?.scope === 'frame' ? 'frame' : 'viewport';
+      instance._assertCapability(`capture.${scope}`);
+      const { signal, ...captureOptions } = options || {};
+      await instance._assertTabTargeting(tabId, { signal });
+      return normalizeCaptureResult(
+        await instance._callApi('captureFrame', [{ ...captureOptions, scope, tabId }], { signal }),
+        options?.format,
+      );
+    },
   });
 }
 
 function createCaptureNamespace(instance) {
   return Object.freeze({
-    async enable(enabled = true) {
+    async enable(enabled = true, { signal } = {}) {
       instance._assertCapability('capture.frame');
-      return instance.callApi('frameCapture', Boolean(enabled));
+      return instance._callApi('frameCapture', [Boolean(enabled)], { signal });
     },
-    async next() {
+    async next({ signal } = {}) {
       instance._assertCapability('capture.frame');
-      return instance.callApi('getFrame');
+      return instance._callApi('getFrame', [], { signal });
     },
     async frame(options = {}) {
       instance._assertCapability('capture.frame');
@@ -569,44 +1155,624 @@ function createSelectionHandle(instance, rawSelection) {
   });
 }
 
-function createSessionFacade(instance) {
-  const session = {
-    health: (options) => instance.health(options),
-    refresh: () => instance.refresh(),
-    disconnect: () => instance.disconnect(),
-    observe: (config) => instance.observe(config),
-    act: (action) => instance.act(action),
-    capabilities: () => instance.capabilities(),
-    select: (options) => instance.select(options),
-    frameCapture: (enabled = true) => instance.frameCapture(enabled),
-    getFrame: () => instance.getFrame(),
-    cleanSlate: (url) => instance.cleanSlate(url),
+const DEFAULT_RECORDER_EVENTS = Object.freeze([
+  'did-navigate',
+  'tab-created',
+  'tab-closed',
+  'active-tab-changed',
+  'did-click',
+  'did-input',
+]);
+const RECORDED_SCRIPT_VERSION = 1;
+const RECORDER_NAVIGATION_AFTER_CLICK_MS = 3000;
+
+// Autocomplete tokens that mark a credential or payment field.
+const SENSITIVE_AUTOCOMPLETE_TOKENS = new Set([
+  'current-password',
+  'new-password',
+  'one-time-code',
+  'cc-number',
+  'cc-csc',
+  'cc-exp',
+  'cc-exp-month',
+  'cc-exp-year',
+]);
+
+/** True when a `did-input` detail describes a password or credential field. */
+function isSensitiveInput(detail) {
+  if (detail?.sensitive === true) {
+    return true;
+  }
+  if (String(detail?.inputType ?? '').trim().toLowerCase() === 'password') {
+    return true;
+  }
+  return String(detail?.autocomplete ?? '')
+    .toLowerCase()
+    .split(/\s+/)
+    .some((token) => SENSITIVE_AUTOCOMPLETE_TOKENS.has(token));
+}
+
+function redactSensitiveInput(detail) {
+  return { ...detail, value: '', text: '', redacted: true };
+}
+
+function isRecordableUrl(url) {
+  return typeof url === 'string' && url.length > 0 && url !== 'about:blank' && !url.startsWith('chrome://');
+}
+
+function createSessionRecorder(instance, options = {}) {
+  const eventNames = Array.isArray(options?.eventNames)
+    ? [...new Set(options.eventNames.map((name) => String(name)))]
+    : DEFAULT_RECORDER_EVENTS.slice();
+  const recordSensitiveValues = options?.recordSensitiveValues === true;
+  const id = generateOpaqueId('bbx-record');
+  const startedAt = new Date().toISOString();
+  const steps = [];
+  const events = [];
+  let stoppedAt = null;
+  let activeTabId = null;
+  let lastClickAt = 0;
+  let awaitingNavigation = false;
+
+  const lastStep = () => steps[steps.length - 1];
+
+  const record = (type, rawDetail) => {
+    const redacted = type === 'did-input' && !recordSensitiveValues && isSensitiveInput(rawDetail);
+    const detail = redacted ? redactSensitiveInput(rawDetail) : rawDetail;
+    const tabId = instance._normalizeTabId(detail) || (typeof detail?.tabId === 'string' ? detail.tabId : null);
+    events.push({
+      type,
+      detail: cloneJsonValue(detail),
+      timestamp: new Date().toISOString(),
+    });
+    switch (type) {
+      case 'active-tab-changed':
+        activeTabId = tabId;
+        return;
+      case 'tab-closed':
+        if (tabId && tabId === activeTabId) {
+          activeTabId = null;
+        }
+        return;
+      case 'did-navigate': {
+        if (activeTabId && tabId && tabId !== activeTabId) {
+          return;
+        }
+        if (!isRecordableUrl(detail?.url)) {
+          return;
+        }
+        if (awaitingNavigation && Date.now() - lastClickAt <= RECORDER_NAVIGATION_AFTER_CLICK_MS) {
+          awaitingNavigation = false;
+          steps.push({ waitForNavigation: {} });
+          return;
+        }
+        awaitingNavigation = false;
+        if (lastStep()?.navigate === detail.url) {
+          return;
+        }
+        steps.push({ navigate: detail.url });
+        return;
+      }
+      case 'did-click':
+        if (typeof detail?.selector !== 'string' || detail.selector.length === 0) {
+          return;
+        }
+        steps.push({ click: { selector: detail.selector } });
+        lastClickAt = Date.now();
+        awaitingNavigation = true;
+        return;
+      case 'did-input': {
+        if (typeof detail?.selector !== 'string' || detail.selector.length === 0) {
+          return;
+        }
+        const text = typeof detail.value === 'string'
+          ? detail.value
+          : (typeof detail.text === 'string' ? detail.text : '');
+        const previous = lastStep();
+        if (previous?.type && previous.type.selector === detail.selector) {
+          previous.type.text = text;
+          return;
+        }
+        steps.push({ type: { selector: detail.selector, text, ...(redacted ? { redacted: true } : {}) } });
+        awaitingNavigation = false;
+        return;
+      }
+      default:
+        return;
+    }
   };
 
-  Object.defineProperties(session, {
-    id: readOnlyProperty(() => instance.routingMid || null),
-    usable: readOnlyProperty(() => instance._usable),
-    transport: readOnlyProperty(() => instance._transportMode),
-    ready: readOnlyProperty(() => instance._isReady),
-    tabs: readOnlyProperty(() => instance.tabs),
-    page: readOnlyProperty(() => instance.page),
-    capture: readOnlyProperty(() => instance.capture),
-    augment: readOnlyProperty(() => instance.augment),
-    policy: readOnlyProperty(() => instance.policy),
+  const unsubscribers = eventNames.map((name) => instance.on(name, (event) => record(name, event.detail)));
+  instance._recorders.set(id, { recordSensitiveValues });
+  instance._sendUISync('recorder-started');
+
+  const script = () => ({
+    version: RECORDED_SCRIPT_VERSION,
+    startedAt,
+    ...(stoppedAt ? { stoppedAt } : {}),
+    steps: cloneJsonValue(steps),
   });
 
-  return Object.freeze(session);
-}
+  const stop = () => {
+    if (!stoppedAt) {
+      stoppedAt = new Date().toISOString();
+      for (const unsubscribe of unsubscribers.splice(0, unsubscribers.length)) {
+        unsubscribe();
+      }
+      instance._recorders.delete(id);
+      instance._sendUISync('recorder-stopped');
+    }
+    return script();
+  };
 
-const POLICY_DEFAULTS = {
-  tabs: { read: true, write: true },
-  page: { read: true, navigate: true },
-  act: {
-    navigate: true,
-    click: true,
-    type: true,
-    evaluate: true,
-    wait: true,
+  return Object.freeze({
+    id,
+    eventNames: Object.freeze(eventNames.slice()),
+    get recording() {
+      return !stoppedAt;
+    },
+    get steps() {
+      return cloneJsonValue(steps);
+    },
+    get events() {
+      return cloneJsonValue(events);
+    },
+    stop,
+    script,
+    export(format = 'json') {
+      const normalizedFormat = String(format || '').trim().toLowerCase();
+      if (normalizedFormat === 'json') {
+        return JSON.stringify(script(), null, 2);
+      }
+      if (normalizedFormat === 'js') {
+        return [
+          `// Recorded by hyper-frame (${startedAt})`,
+          "const bbx = document.querySelector('hyper-frame');",
+          'await bbx.whenReady();',
+          `await bbx.actSequence(${JSON.stringify(steps, null, 2)});`,
+          '',
+        ].join('\n');
+      }
+      throwInvalidArgument("hyper-frame recorder export(format) requires 'json' or 'js'.", {
+        format,
+      });
+    },
+  });
+}
+
+const MIRRORED_EVENTS = Object.freeze([
+  'tab-created',
+  'tab-closed',
+  'active-tab-changed',
+  'did-navigate',
+]);
+const MIRROR_DIRECTIONS = new Set(['one-way', 'two-way']);
+// Events a side emits this soon after a replay finished are its own echo.
+const MIRROR_ECHO_WINDOW_MS = 400;
+
+/**
+ * Replays tab and navigation events from `source` onto `target` (and back
+ * for `two-way`). Tabs are paired by index when mirroring starts, the
+ * target catches up with the source, and later tabs are paired as they are
+ * created. Each replay needs `mirror.follow` on the replaying side instead
+ * of the method's own capabilities, and still passes url-policy and
+ * interceptors.
+ */
+async function createSessionMirror(source, target, options = {}) {
+  if (options !== undefined) {
+    assertPlainObject(options, 'session.mirror(target, options)');
+  }
+  const direction = options?.direction ?? 'one-way';
+  if (!MIRROR_DIRECTIONS.has(direction)) {
+    throwInvalidArgument("session.mirror(target, { direction }) requires 'one-way' or 'two-way'.", {
+      direction,
+    });
+  }
+  if (!(target instanceof HyperFrameController) || target === source) {
+    throwInvalidArgument('session.mirror(target) requires another <hyper-frame> or HyperFrameController.');
+  }
+  source._assertCapability('events.read');
+  target._assertCapability('mirror.follow');
+  if (direction === 'two-way') {
+    target._assertCapability('events.read');
+    source._assertCapability('mirror.follow');
+  }
+
+  const id = generateOpaqueId('bbx-mirror');
+  const sides = [
+    { instance: source, pairs: new Map(), applying: 0, quietUntil: 0, chain: Promise.resolve() },
+    { instance: target, pairs: new Map(), applying: 0, quietUntil: 0, chain: Promise.resolve() },
+  ];
+  const [sourceSide, targetSide] = sides;
+  let stopped = false;
+
+  const listTabs = (instance) => instance._callApi('getTabs', [], { internal: true })
+    .then((tabs) => (Array.isArray(tabs) ? tabs.map((tab, index) => normalizeTabInfo(tab, index)).filter(Boolean) : []));
+  // `mirror.follow` stands in for the method's own capabilities, so a
+  // view-only target can follow; url-policy and interceptors still apply.
+  const follow = (instance, method, args) => instance._callApi(method, args, { authorizedBy: 'mirror.follow' });
+  const link = (from, to, fromTabId, toTabId) => {
+    from.pairs.set(fromTabId, toTabId);
+    to.pairs.set(toTabId, fromTabId);
+  };
+  const unlink = (from, to, fromTabId) => {
+    const toTabId = from.pairs.get(fromTabId);
+    from.pairs.delete(fromTabId);
+    if (toTabId) {
+      to.pairs.delete(toTabId);
+    }
+    return toTabId || null;
+  };
+
+  const createPairedTab = async (from, to, fromTabId, url) => {
+    const before = new Set((await listTabs(to.instance)).map((tab) => tab.id));
+    await follow(to.instance, 'createTab', [url || '']);
+    await to.instance._callApi('waitForTabCount', [before.size + 1, { timeoutMs: to.instance.requestTimeoutMs }], {
+      internal: true,
+    });
+    const created = (await listTabs(to.instance)).find((tab) => !before.has(tab.id));
+    if (created) {
+      link(from, to, fromTabId, created.id);
+    }
+    return created || null;
+  };
+
+  const replay = async (from, to, type, detail) => {
+    const fromTabId = from.instance._normalizeTabId(detail);
+    switch (type) {
+      case 'tab-created':
+        if (fromTabId && !from.pairs.has(fromTabId)) {
+          await createPairedTab(from, to, fromTabId, detail?.url);
+        }
+        return;
+      case 'tab-closed': {
+        const toTabId = unlink(from, to, fromTabId);
+        if (toTabId) {
+          await follow(to.instance, 'closeTabById', [toTabId]);
+        }
+        return;
+      }
+      case 'active-tab-changed': {
+        const toTabId = from.pairs.get(fromTabId);
+        if (toTabId) {
+          await follow(to.instance, 'switchToTabById', [toTabId]);
+        }
+        return;
+      }
+      case 'did-navigate': {
+        const toTabId = from.pairs.get(fromTabId);
+        if (!toTabId || !isRecordableUrl(detail?.url)) {
+          return;
+        }
+        const toTab = (await listTabs(to.instance)).find((tab) => tab.id === toTabId);
+        if (toTab && toTab.url !== detail.url) {
+          await follow(to.instance, 'navigateTab', [toTab.index, detail.url]);
+        }
+        return;
+      }
+      default:
+        return;
+    }
+  };
+
+  const schedule = (from, to, type, detail) => {
+    if (stopped || from.applying > 0 || Date.now() < from.quietUntil) {
+      return;
+    }
+    to.chain = to.chain.then(async () => {
+      if (stopped) {
+        return;
+      }
+      to.applying += 1;
+      try {
+        await replay(from, to, type, detail);
+      } catch (error) {
+        console.warn(`[hyper-frame] mirror could not replay ${type}`, {
+          mirrorId: id,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      } finally {
+        to.applying -= 1;
+        to.quietUntil = Date.now() + MIRROR_ECHO_WINDOW_MS;
+      }
+    });
+  };
+
+  // Pair existing tabs by index and bring the target up to date.
+  targetSide.applying += 1;
+  try {
+    const [sourceTabs, targetTabs] = await Promise.all([listTabs(source), listTabs(target)]);
+    for (const [index, sourceTab] of sourceTabs.entries()) {
+      const targetTab = targetTabs[index];
+      if (!targetTab) {
+        await createPairedTab(sourceSide, targetSide, sourceTab.id, sourceTab.url);
+        continue;
+      }
+      link(sourceSide, targetSide, sourceTab.id, targetTab.id);
+      if (isRecordableUrl(sourceTab.url) && targetTab.url !== sourceTab.url) {
+        await follow(target, 'navigateTab', [targetTab.index, sourceTab.url]);
+      }
+    }
+    const activeTargetId = sourceSide.pairs.get(sourceTabs.find((tab) => tab.active)?.id);
+    if (activeTargetId && !targetTabs.find((tab) => tab.id === activeTargetId)?.active) {
+      await follow(target, 'switchToTabById', [activeTargetId]);
+    }
+  } finally {
+    targetSide.applying -= 1;
+    targetSide.quietUntil = Date.now() + MIRROR_ECHO_WINDOW_MS;
+  }
+
+  const unsubscribers = [];
+  const stop = (reason = 'stopped') => {
+    if (stopped) {
+      return false;
+    }
+    stopped = true;
+    for (const unsubscribe of unsubscribers.splice(0, unsubscribers.length)) {
+      unsubscribe();
+    }
+    console.info('[hyper-frame] mirror stopped', { mirrorId: id, reason });
+    return true;
+  };
+
+  const listen = (from, to) => {
+    for (const type of MIRRORED_EVENTS) {
+      unsubscribers.push(from.instance.on(type, (event) => schedule(from, to, type, event.detail)));
+    }
+    unsubscribers.push(from.instance.on('disconnected', () => stop('disconnected')));
+  };
+  listen(sourceSide, targetSide);
+  if (direction === 'two-way') {
+    listen(targetSide, sourceSide);
+  } else {
+    unsubscribers.push(target.on('disconnected', () => stop('disconnected')));
+  }
+
+  return Object.freeze({
+    id,
+    direction,
+    get active() {
+      return !stopped;
+    },
+    get pairs() {
+      return Object.fromEntries(sourceSide.pairs);
+    },
+    stop: () => stop('stopped'),
+  });
+}
+
+const SESSION_SNAPSHOT_VERSION = 1;
+
+function isSelectionPreviewAugment(record) {
+  return record.spec.id.startsWith('bbx-select-preview');
+}
+
+async function captureSessionSnapshot(instance, { signal } = {}) {
+  const tabs = await instance.tabs.list({ signal });
+  const activeTab = tabs.find((tab) => tab.active) || null;
+  let scroll = null;
+  if (activeTab) {
+    try {
+      const metrics = await instance.page.metrics({ signal });
+      scroll = { tabId: activeTab.id, x: metrics.scrollX ?? 0, y: metrics.scrollY ?? 0 };
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      console.warn('[hyper-frame] snapshot could not read page metrics', error);
+    }
+  }
+  const augments = [];
+  const augmentRecords = instance._capabilityMap['augment.read'] ? instance._augmentRegistry.values() : [];
+  for (const record of augmentRecords) {
+    if (isSelectionPreviewAugment(record)) {
+      continue;
+    }
+    if (isDomNode(record.spec.content)) {
+      console.warn('[hyper-frame] snapshot skipped augment with DOM content', { augmentId: record.spec.id });
+      continue;
+    }
+    augments.push(cloneJsonValue({ ...record.spec, content: record.spec.content ?? null }));
+  }
+  return {
+    version: SESSION_SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    sessionId: instance.routingMid || null,
+    activeTabId: activeTab?.id || null,
+    tabs: tabs.map(({ faviconDataURI, ...tab }) => tab),
+    scroll,
+    augments,
+    policy: instance._capabilityMap['policy.read'] ? clonePolicyTree(instance._policySnapshot) : null,
+  };
+}
+
+async function restoreSessionSnapshot(instance, snapshot, { signal } = {}) {
+  const source = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  assertPlainObject(source, 'session.restore(snapshot)');
+  if (source.version !== SESSION_SNAPSHOT_VERSION || !Array.isArray(source.tabs)) {
+    throwInvalidArgument('session.restore(snapshot) requires a snapshot from session.snapshot().', {
+      version: source.version,
+    });
+  }
+  const augments = Array.isArray(source.augments) ? source.augments : [];
+  if (augments.length > 0) {
+    instance._assertCapability('augment.write');
+  }
+
+  const wanted = source.tabs.filter((tab) => tab && typeof tab === 'object');
+  let current = await instance._listTabs({ signal, internal: true });
+  // Close surplus tabs first so the remaining ones keep their positions.
+  for (const tab of current.slice(Math.max(wanted.length, 1)).reverse()) {
+    await instance._callApi('closeTabById', [tab.id], { signal });
+  }
+  current = current.slice(0, Math.max(wanted.length, 1));
+
+  const tabIds = {};
+  for (const [index, tab] of wanted.entries()) {
+    const url = typeof tab.url === 'string' ? tab.url : '';
+    const existing = current[index];
+    if (!existing) {
+      const created = await instance.tabs.create({ url, active: false, signal });
+      if (created?.id) {
+        tabIds[tab.id] = created.id;
+      }
+      continue;
+    }
+    if (url && existing.url !== url) {
+      await instance._callApi('navigateTab', [index, url], { signal });
+    }
+    tabIds[tab.id] = existing.id;
+  }
+
+  const activeTabId = tabIds[source.activeTabId] || null;
+  if (activeTabId) {
+    await instance.tabs.activate(activeTabId, { signal });
+  }
+
+  let scrollRestored = false;
+  const scroll = source.scroll;
+  if (activeTabId && scroll && tabIds[scroll.tabId] === activeTabId && (scroll.x || scroll.y)
+    && instance._capabilityMap['act.evaluate']) {
+    try {
+      await instance._callApi('evaluate', [
+        `window.scrollTo(${Number(scroll.x) || 0}, ${Number(scroll.y) || 0})`,
+      ], { signal });
+      scrollRestored = true;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      console.warn('[hyper-frame] restore could not scroll the active tab', error);
+    }
+  }
+
+  const augmentIds = [];
+  for (const spec of augments) {
+    if (instance._augmentRegistry.has(spec.id)) {
+      await instance._updateAugment(spec.id, spec);
+    } else {
+      await instance._createAugment(spec);
+    }
+    augmentIds.push(spec.id);
+  }
+
+  return { tabIds, activeTabId, scrollRestored, augmentIds };
+}
+
+const INTERCEPT_KINDS = new Set(['navigate', 'tab-create']);
+
+/**
+ * API calls that run `session.intercept()` handlers before they are sent:
+ * the hook kind, where the URL sits in the args, and how to swap it.
+ */
+const INTERCEPTED_METHODS = Object.freeze({
+  navigateTo: {
+    kind: 'navigate',
+    read: (args) => ({ url: args[0], tabId: args[1]?.tabId ?? null }),
+    write: (args, url) => [url, ...args.slice(1)],
+  },
+  navigateTab: {
+    kind: 'navigate',
+    read: (args) => ({ url: args[1], tabIndex: args[0] }),
+    write: (args, url) => [args[0], url, ...args.slice(2)],
+  },
+  submitOmnibox: {
+    kind: 'navigate',
+    read: (args) => ({ url: args[0], omnibox: true }),
+    write: (args, url) => [url, ...args.slice(1)],
+  },
+  createTab: {
+    kind: 'tab-create',
+    read: (args) => ({ url: args[0] ?? '' }),
+    write: (args, url) => [url, ...args.slice(1)],
+  },
+  createTabs: {
+    kind: 'tab-create',
+    read: (args) => ({ url: args[1]?.url ?? '', count: args[0] }),
+    write: (args, url) => [args[0], { ...(args[1] || {}), url }, ...args.slice(2)],
+  },
+  cleanSlate: {
+    kind: 'tab-create',
+    read: (args) => ({ url: args[0] ?? '' }),
+    write: (args, url) => [url, ...args.slice(1)],
+  },
+});
+
+/**
+ * Interceptors return `'allow'` (or nothing), `'deny'`, or an object
+ * `{ action: 'allow' | 'deny' | 'redirect', url?, reason? }`.
+ */
+function normalizeInterceptDecision(decision) {
+  if (decision === undefined || decision === null || decision === true || decision === 'allow') {
+    return { action: 'allow' };
+  }
+  if (decision === false || decision === 'deny') {
+    return { action: 'deny', reason: '' };
+  }
+  if (decision && typeof decision === 'object' && !Array.isArray(decision)) {
+    const reason = typeof decision.reason === 'string' ? decision.reason : '';
+    if (decision.action === 'allow' || decision.action === 'deny') {
+      return { action: decision.action, reason };
+    }
+    if (decision.action === 'redirect') {
+      return {
+        action: 'redirect',
+        url: assertNonEmptyString(decision.url, 'intercept() redirect url'),
+        reason,
+      };
+    }
+  }
+  throwInvalidArgument('hyper-frame interceptors must return allow, deny or { action, url?, reason? }.', {
+    decision: typeof decision === 'object' ? cloneJsonValue(decision) : decision,
+  });
+}
+
+function createSessionFacade(instance) {
+  const session = {
+    health: (options) => instance.health(options),
+    refresh: () => instance.refresh(),
+    disconnect: () => instance.disconnect(),
+    observe: (config) => instance.observe(config),
+    act: (action, options) => instance.act(action, options),
+    actSequence: (steps, options) => instance.actSequence(steps, options),
+    record: (options) => instance.record(options),
+    capabilities: () => instance.capabilities(),
+    quotas: () => instance.quotas(),
+    select: (options) => instance.select(options),
+    frameCapture: (enabled = true) => instance.frameCapture(enabled),
+    getFrame: () => instance.getFrame(),
+    cleanSlate: (url) => instance.cleanSlate(url),
+    mirror: (target, options) => instance.mirror(target, options),
+    snapshot: (options) => instance.snapshot(options),
+    restore: (snapshot, options) => instance.restore(snapshot, options),
+    intercept: (kind, handler) => instance.intercept(kind, handler),
+  };
+
+  Object.defineProperties(session, {
+    id: readOnlyProperty(() => instance.routingMid || null),
+    usable: readOnlyProperty(() => instance._usable),
+    transport: readOnlyProperty(() => instance._transportMode),
+    channel: readOnlyProperty(() => instance._transport.channel ?? instance._transport.kind),
+    ready: readOnlyProperty(() => instance._isReady),
+    tabs: readOnlyProperty(() => instance.tabs),
+    page: readOnlyProperty(() => instance.page),
+    capture: readOnlyProperty(() => instance.capture),
+    augment: readOnlyProperty(() => instance.augment),
+    policy: readOnlyProperty(() => instance.policy),
+  });
+
+  return Object.freeze(session);
+}
+
+const POLICY_DEFAULTS = freezePolicyTree({
+  tabs: { read: true, write: true },
+  page: { read: true, navigate: true },
+  act: {
+    navigate: true,
+    click: true,
+    type: true,
+    evaluate: true,
+    wait: true,
   },
   augment: {
     read: false,
@@ -621,9 +1787,16 @@ const POLICY_DEFAULTS = {
   events: { read: true },
   policy: { read: true },
   modals: { read: true, respond: true },
-};
+  mirror: { follow: false },
+});
+
+// BrowserBox does not know embedder-only capabilities such as
+// `mirror.follow`, so the server side grants them unless it says otherwise.
+const SERVER_SIDE_GRANTS = freezePolicyTree({
+  mirror: { follow: true },
+});
 
-const INTERACTION_MODE_PRESETS = {
+const INTERACTION_MODE_PRESETS = freezePolicyTree({
   'view-only': {
     tabs: { write: false },
     page: { navigate: false },
@@ -634,6 +1807,7 @@ const INTERACTION_MODE_PRESETS = {
       evaluate: false,
       wait: false,
     },
+    mirror: { follow: false },
   },
   limited: {
     tabs: { write: false },
@@ -645,9 +1819,89 @@ const INTERACTION_MODE_PRESETS = {
       evaluate: false,
       wait: true,
     },
+    mirror: { follow: false },
   },
   full: {},
-};
+});
+
+// Modes added with `registerInteractionMode`, keyed by lowercase name.
+const CUSTOM_INTERACTION_MODES = new Map();
+
+// Every controller, held weakly, so registering a mode can re-resolve the
+// ones already using or waiting for it.
+const INTERACTION_MODE_CONTROLLERS = new Set();
+
+/**
+ * Register (or replace) a named `interaction-mode` preset. `presetTree` is a
+ * capability patch like the built-in presets; `extends` names the mode it
+ * starts from (default: `POLICY_DEFAULTS`). Built-in modes cannot be replaced.
+ */
+function registerInteractionMode(name, presetTree = {}) {
+  const mode = assertNonEmptyString(name, 'registerInteractionMode name').toLowerCase();
+  assertPlainObject(presetTree, 'registerInteractionMode presetTree');
+  if (Object.hasOwn(INTERACTION_MODE_PRESETS, mode)) {
+    throwInvalidArgument(`hyper-frame interaction mode '${mode}' is built in and cannot be replaced.`, { mode });
+  }
+  const { extends: parent, ...tree } = presetTree;
+  const parentMode = parent === undefined || parent === null
+    ? null
+    : assertNonEmptyString(parent, 'registerInteractionMode extends').toLowerCase();
+  const previous = CUSTOM_INTERACTION_MODES.get(mode);
+  CUSTOM_INTERACTION_MODES.set(mode, freezePolicyTree({ extends: parentMode, tree: clonePolicyTree(tree) }));
+  const resolved = resolveInteractionMode(mode);
+  if (resolved.error) {
+    if (previous) {
+      CUSTOM_INTERACTION_MODES.set(mode, previous);
+    } else {
+      CUSTOM_INTERACTION_MODES.delete(mode);
+    }
+    throwInvalidArgument(`hyper-frame interaction mode '${mode}': ${resolved.error}`, { mode, extends: parentMode });
+  }
+  for (const ref of INTERACTION_MODE_CONTROLLERS) {
+    const controller = ref.deref();
+    if (!controller) {
+      INTERACTION_MODE_CONTROLLERS.delete(ref);
+    } else if (controller._usesInteractionMode(mode)) {
+      controller._refreshPolicyState('interaction-mode-registered');
+    }
+  }
+  return mode;
+}
+
+/**
+ * Resolve a mode name to `{ capabilities, constraints }` by walking its
+ * `extends` chain, or `{ error }` when the mode or a parent is unknown.
+ */
+function resolveInteractionMode(mode) {
+  const chain = [];
+  let current = mode;
+  while (current) {
+    if (chain.some((entry) => entry.mode === current)) {
+      return { error: `extends chain loops back to '${current}'.` };
+    }
+    if (Object.hasOwn(INTERACTION_MODE_PRESETS, current)) {
+      chain.push({ mode: current, tree: INTERACTION_MODE_PRESETS[current] });
+      break;
+    }
+    const custom = CUSTOM_INTERACTION_MODES.get(current);
+    if (!custom) {
+      return { error: chain.length === 0 ? `unknown interaction mode '${current}'.` : `unknown parent mode '${current}'.` };
+    }
+    chain.push({ mode: current, tree: custom.tree });
+    current = custom.extends;
+  }
+  let capabilities = clonePolicyTree(POLICY_DEFAULTS);
+  let constraints = {};
+  const invalid = [];
+  for (const { tree } of chain.reverse()) {
+    capabilities = mergePolicyTree(capabilities, tree);
+    constraints = mergePolicyConstraints(constraints, extractPolicyConstraints(tree, invalid));
+  }
+  if (invalid.length > 0) {
+    return { error: `invalid time windows for ${invalid.map((entry) => `'${entry.capability}'`).join(', ')}.` };
+  }
+  return { capabilities, constraints };
+}
 
 const IMPLEMENTED_CAPABILITIES = {
   'tabs.read': true,
@@ -674,6 +1928,7 @@ const IMPLEMENTED_CAPABILITIES = {
   'policy.read': true,
   'modals.read': true,
   'modals.respond': true,
+  'mirror.follow': true,
 };
 
 const METHOD_CAPABILITY_MAP = {
@@ -689,6 +1944,10 @@ const METHOD_CAPABILITY_MAP = {
   closeTab: ['tabs.write'],
   closeTabById: ['tabs.write'],
   closeAllTabs: ['tabs.write'],
+  moveTab: ['tabs.write'],
+  pinTab: ['tabs.write'],
+  groupTabs: ['tabs.write'],
+  duplicateTab: ['tabs.write'],
   switchToTab: ['tabs.write'],
   switchToTabById: ['tabs.write'],
   navigateTo: ['page.navigate'],
@@ -721,6 +1980,78 @@ const METHOD_CAPABILITY_MAP = {
   cleanSlate: ['tabs.write', 'page.navigate'],
 };
 
+const ACTION_METHOD_MAP = Object.freeze({
+  navigate: 'navigateTo',
+  click: 'click',
+  type: 'type',
+  evaluate: 'evaluate',
+  waitForSelector: 'waitForSelector',
+  waitForNavigation: 'waitForNavigation',
+});
+
+const RECONNECT_MODES = new Set(['fail-fast', 'queue-while-reconnecting']);
+const DEFAULT_RECONNECT_QUEUE_MAX_AGE_MS = 30000;
+
+/**
+ * How a call is handled in `queue-while-reconnecting` mode. `replay` holds the
+ * call and sends it again once the session is ready; `latest` does the same but
+ * only the newest call of its group survives; anything unlisted is `reject`ed
+ * as before. Keys are API methods or raw request types (legacy transport).
+ */
+const METHOD_REPLAY_POLICY = Object.freeze({
+  'bbx-api-list': 'replay',
+  getActiveTab: 'replay',
+  getTabs: 'replay',
+  getActiveTabIndex: 'replay',
+  getTabCount: 'replay',
+  getFavicons: 'replay',
+  getScreenMetrics: 'replay',
+  getTransportDiagnostics: 'replay',
+  getPageText: 'replay',
+  waitForTabCount: 'replay',
+  waitForTabUrl: 'replay',
+  waitForNonDefaultFavicon: 'replay',
+  waitForSelector: 'replay',
+  waitForNavigation: 'replay',
+  navigateTo: 'latest',
+  navigateTab: 'latest',
+  submitOmnibox: 'latest',
+  loadURL: 'latest',
+  reload: 'latest',
+  switchToTab: 'latest',
+  switchToTabById: 'latest',
+  setActiveTab: 'latest',
+});
+
+const REPLAY_GROUPS = Object.freeze({
+  navigateTo: 'navigate',
+  navigateTab: 'navigate',
+  submitOmnibox: 'navigate',
+  loadURL: 'navigate',
+  switchToTab: 'activate',
+  switchToTabById: 'activate',
+  setActiveTab: 'activate',
+});
+
+/**
+ * Mutating calls that carry an `idempotencyKey`. The key stays the same for
+ * every retry and replay of one call so BrowserBox can drop duplicates.
+ */
+const IDEMPOTENT_METHODS = new Set(['createTab', 'createTabs', 'closeAllTabs']);
+const IDEMPOTENCY_CACHE_LIMIT = 100;
+
+const RETRY_POLICY_FIELDS = Object.freeze(['attempts', 'baseDelayMs', 'maxDelayMs', 'jitter', 'timeoutMs']);
+
+/**
+ * Built-in retry behavior. Tab creation is only retried when the call never
+ * reached BrowserBox, so a timed-out `createTab` cannot open a second tab.
+ */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  default: Object.freeze({ attempts: 3, baseDelayMs: 300, maxDelayMs: 1500, jitter: 0 }),
+  createTab: Object.freeze({ retryOn: Object.freeze([ERROR_CODES.NOT_READY]) }),
+  createTabs: Object.freeze({ retryOn: Object.freeze([ERROR_CODES.NOT_READY]) }),
+});
+
 const EVENT_ALIAS_MAP = {
   'api-ready': ['api.ready'],
   'usability-changed': ['session.usability.changed'],
@@ -730,12 +2061,17 @@ const EVENT_ALIAS_MAP = {
   'tab-attached': ['tab.attached'],
   'tab-closed': ['tab.closed'],
   'tab-updated': ['tab.updated'],
+  'tab-moved': ['tab.moved'],
+  'tab-grouped': ['tab.grouped'],
   'active-tab-changed': ['tab.activated'],
   'did-navigate': ['page.navigated'],
   'did-start-loading': ['page.load.started'],
   'did-stop-loading': ['page.load.stopped'],
+  'did-click': ['page.clicked'],
+  'did-input': ['page.input'],
   'favicon-changed': ['page.favicon.changed'],
   'policy-denied': ['policy.denied'],
+  'policy-error': ['policy.error'],
   'modal-opened': ['modal.opened'],
   'modal-updated': ['modal.updated'],
   'modal-closed': ['modal.closed'],
@@ -815,6 +2151,9 @@ function createPolicySnapshotView(snapshot) {
 
 function mergePolicyTree(base, patch) {
   if (typeof base === 'boolean') {
+    if (isPolicyConstraint(patch)) {
+      return patch.allowed !== false;
+    }
     return typeof patch === 'boolean' ? patch : base;
   }
   const patchObject = patch && typeof patch === 'object' && !Array.isArray(patch) ? patch : {};
@@ -853,6 +2192,17 @@ function isPolicySnapshot(value) {
   return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
 
+/** Server side of the policy: `POLICY_DEFAULTS` plus `SERVER_SIDE_GRANTS`, then the server's own tree. */
+function extractServerCapabilities(serverPolicySnapshot) {
+  const base = mergePolicyTree(clonePolicyTree(POLICY_DEFAULTS), SERVER_SIDE_GRANTS);
+  if (!isPolicySnapshot(serverPolicySnapshot)) {
+    return base;
+  }
+  return mergePolicyTree(base, isPolicySnapshot(serverPolicySnapshot.apiCapabilities)
+    ? serverPolicySnapshot.apiCapabilities
+    : serverPolicySnapshot);
+}
+
 function extractApiCapabilities(policySnapshot) {
   if (!isPolicySnapshot(policySnapshot)) {
     return clonePolicyTree(POLICY_DEFAULTS);
@@ -863,64 +2213,433 @@ function extractApiCapabilities(policySnapshot) {
   return mergePolicyTree(clonePolicyTree(POLICY_DEFAULTS), source);
 }
 
-function mergePolicySnapshots(serverPolicySnapshot, localPolicySnapshot) {
-  const localCapabilities = extractApiCapabilities(localPolicySnapshot);
-  const serverCapabilities = serverPolicySnapshot
-    ? extractApiCapabilities(serverPolicySnapshot)
-    : clonePolicyTree(POLICY_DEFAULTS);
-  const effectiveCapabilities = intersectPolicyTrees(serverCapabilities, localCapabilities);
-  const timestamp = new Date().toISOString();
-  const base = serverPolicySnapshot && isPolicySnapshot(serverPolicySnapshot)
-    ? clonePolicyTree(serverPolicySnapshot)
-    : clonePolicyTree(localPolicySnapshot);
-  return {
-    schemaVersion: Number.isInteger(base?.schemaVersion) ? base.schemaVersion : POLICY_SCHEMA_VERSION,
-    policyProfile: typeof base?.policyProfile === 'string' ? base.policyProfile : POLICY_PROFILE_ID,
-    policyId: typeof base?.policyId === 'string' ? base.policyId : POLICY_ID,
-    baselineId: typeof base?.baselineId === 'string' ? base.baselineId : POLICY_BASELINE_ID,
-    policyVersion: Number.isInteger(base?.policyVersion) ? base.policyVersion : 1,
-    issuedAt: typeof base?.issuedAt === 'string' ? base.issuedAt : timestamp,
-    updatedAt: timestamp,
-    ...base,
-    apiCapabilities: effectiveCapabilities,
-  };
+const QUOTA_LIMIT_SPANS = Object.freeze({
+  maxPerMinute: 60_000,
+  maxPerHour: 3_600_000,
+  maxPerSession: Infinity,
+});
+
+const WEEKDAY_NAMES = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+/**
+ * A constraint leaf replaces a capability boolean with
+ * `{ allowed?, maxPerMinute?, maxPerHour?, maxPerSession?, windows? }`.
+ */
+function isPolicyConstraint(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  return 'allowed' in value || 'windows' in value || Object.keys(QUOTA_LIMIT_SPANS).some((key) => key in value);
 }
 
-function normalizePolicyStateSnapshot(snapshot) {
-  if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+function parseClockMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
     return null;
   }
-  const candidate = snapshot.policy && typeof snapshot.policy === 'object' && !Array.isArray(snapshot.policy)
-    ? snapshot.policy
-    : snapshot;
-  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+  return Math.min(24 * 60, Number(match[1]) * 60 + Number(match[2]));
+}
+
+function normalizeTimeWindow(window) {
+  if (!window || typeof window !== 'object' || Array.isArray(window)) {
     return null;
   }
+  if (parseClockMinutes(window.start) === null || parseClockMinutes(window.end) === null) {
+    return null;
+  }
+  let days = null;
+  if (Array.isArray(window.days)) {
+    days = window.days
+      .map((day) => (typeof day === 'number' ? day : WEEKDAY_NAMES.indexOf(String(day).trim().slice(0, 3).toLowerCase())))
+      .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+  }
+  const timeZone = typeof window.timeZone === 'string' && window.timeZone.trim() ? window.timeZone.trim() : null;
+  if (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch {
+      return null;
+    }
+  }
+  return { days, start: String(window.start).trim(), end: String(window.end).trim(), timeZone };
+}
+
+/**
+ * A `windows` list with no entries, or with any entry that does not parse,
+ * is rejected rather than narrowed, and recorded in `invalid`.
+ */
+function normalizePolicyConstraint(value, capability, invalid) {
+  const constraint = {};
+  for (const limit of Object.keys(QUOTA_LIMIT_SPANS)) {
+    const max = Number(value[limit]);
+    if (value[limit] !== undefined && Number.isInteger(max) && max >= 0) {
+      constraint[limit] = max;
+    }
+  }
+  if (Array.isArray(value.windows)) {
+    const windows = value.windows.map(normalizeTimeWindow);
+    if (windows.length > 0 && windows.every(Boolean)) {
+      constraint.windows = windows;
+    } else {
+      invalid?.push({ capability, windows: cloneJsonValue(value.windows) });
+    }
+  }
+  return Object.keys(constraint).length > 0 ? constraint : null;
+}
+
+/**
+ * Collect quota and time-window constraints from a policy tree, keyed by
+ * capability path. Each capability maps to a list; every entry applies.
+ * Rejected time windows are pushed to `invalid` when it is given.
+ */
+function extractPolicyConstraints(policySnapshot, invalid = null) {
+  if (!isPolicySnapshot(policySnapshot)) {
+    return {};
+  }
+  const source = isPolicySnapshot(policySnapshot.apiCapabilities)
+    ? policySnapshot.apiCapabilities
+    : policySnapshot;
+  const constraints = {};
+  for (const capability of Object.keys(flattenPolicyTree(POLICY_DEFAULTS))) {
+    const value = capability.split('.').reduce((node, key) => (isPolicySnapshot(node) ? node[key] : undefined), source);
+    const constraint = isPolicyConstraint(value) ? normalizePolicyConstraint(value, capability, invalid) : null;
+    if (constraint) {
+      constraints[capability] = [constraint];
+    }
+  }
+  return constraints;
+}
+
+function mergePolicyConstraints(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [capability, list] of Object.entries(isPolicySnapshot(source) ? source : {})) {
+      if (Array.isArray(list) && list.length > 0) {
+        merged[capability] = [...(merged[capability] || []), ...list];
+      }
+    }
+  }
+  return merged;
+}
+
+function isWithinTimeWindow(window, date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    ...(window.timeZone ? { timeZone: window.timeZone } : {}),
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map((part) => [part.type, part.value]));
+  const day = WEEKDAY_NAMES.indexOf(String(parts.weekday).slice(0, 3).toLowerCase());
+  if (window.days && !window.days.includes(day)) {
+    return false;
+  }
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  const start = parseClockMinutes(window.start);
+  const end = parseClockMinutes(window.end);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map((part) => part.split('*').map((chunk) => chunk.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compile one URL rule. Strings are `/regex/flags`, a bare origin
+ * (`https://example.com`), a URL glob (contains `://`) or a host glob
+ * (`*.example.com`); objects use `{ origin }`, `{ glob }` or `{ regex, flags? }`.
+ * `*` stops at `/`, `**` does not.
+ */
+function compileUrlRule(rule) {
+  let spec = rule;
+  if (typeof rule === 'string') {
+    const pattern = rule.trim();
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) {
+      spec = { regex: regexMatch[1], flags: regexMatch[2] };
+    } else if (/^[a-z][a-z0-9+.-]*:\/\/[^/*]+$/i.test(pattern)) {
+      spec = { origin: pattern };
+    } else {
+      spec = { glob: pattern };
+    }
+  }
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new TypeError('URL rule must be a string or an { origin | glob | regex } object.');
+  }
+  if (typeof spec.origin === 'string') {
+    const origin = new URL(spec.origin).origin;
+    return { type: 'origin', pattern: origin, test: (url) => url.origin === origin };
+  }
+  if (typeof spec.regex === 'string') {
+    const flags = typeof spec.flags === 'string' ? spec.flags : '';
+    const regex = new RegExp(spec.regex, flags.replace(/[gy]/g, ''));
+    return { type: 'regex', pattern: spec.regex, flags, test: (url) => regex.test(url.href) };
+  }
+  if (typeof spec.glob === 'string' && spec.glob.trim()) {
+    const glob = spec.glob.trim();
+    const regex = globToRegExp(glob);
+    return glob.includes('://')
+      ? { type: 'glob', pattern: glob, test: (url) => regex.test(url.href) }
+      : { type: 'host', pattern: glob, test: (url) => regex.test(url.hostname) };
+  }
+  throw new TypeError('URL rule must be a string or an { origin | glob | regex } object.');
+}
+
+/**
+ * Merge `{ allow, deny }` URL rule lists into compiled rules. Rules that do
+ * not compile are logged and skipped.
+ */
+function compileUrlPolicy(...sources) {
+  const policy = { allow: [], deny: [] };
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') {
+      continue;
+    }
+    for (const list of ['allow', 'deny']) {
+      for (const rule of Array.isArray(source[list]) ? source[list] : []) {
+        try {
+          policy[list].push({ ...compileUrlRule(rule), list, index: policy[list].length });
+        } catch (error) {
+          console.error('[hyper-frame] ignoring invalid URL rule.', { list, rule, error });
+        }
+      }
+    }
+  }
+  return policy;
+}
+
+function describeUrlRule(rule) {
+  return {
+    list: rule.list,
+    index: rule.index,
+    type: rule.type,
+    pattern: rule.pattern,
+    ...(rule.flags ? { flags: rule.flags } : {}),
+  };
+}
+
+/**
+ * Resolve navigation input the way the omnibox does: `//host/…` and bare
+ * hosts (`example.com/x`, `localhost:3000`) become https URLs. Returns null
+ * for input that is not a URL, e.g. search terms.
+ */
+function parseNavigableUrl(rawUrl) {
+  const input = String(rawUrl).trim();
+  let candidate = null;
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(input) || /^(?:about|blob|data|javascript|mailto|view-source):/i.test(input)) {
+    candidate = input;
+  } else if (input.startsWith('//')) {
+    candidate = `https:${input}`;
+  } else if (/^(?:localhost|[^\s/?#:@]+\.[^\s/?#:@]+|\[[0-9a-f:.]+\])(?::\d+)?(?:[/?#]\S*)?$/i.test(input)) {
+    candidate = `https://${input}`;
+  }
+  if (candidate === null) {
+    return null;
+  }
+  try {
+    return new URL(candidate);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a URL against a compiled policy. Deny rules win; a non-empty allow
+ * list must match. Blank tabs are always allowed. Input that is not a URL
+ * (omnibox search terms) is left to BrowserBox unless there is an allow
+ * list, which it cannot match. Returns the blocking rule or null.
+ */
+function findUrlPolicyViolation(policy, rawUrl) {
+  if (!policy || (policy.allow.length === 0 && policy.deny.length === 0)) {
+    return null;
+  }
+  if (!rawUrl || rawUrl === 'about:blank') {
+    return null;
+  }
+  const allowList = { list: 'allow', index: null, type: 'allow-list', pattern: null };
+  const url = parseNavigableUrl(rawUrl);
+  if (!url) {
+    return policy.allow.length > 0 ? { reasonCode: 'url-unparseable', rule: allowList } : null;
+  }
+  const denied = policy.deny.find((rule) => rule.test(url));
+  if (denied) {
+    return { reasonCode: 'url-denied', rule: describeUrlRule(denied) };
+  }
+  if (policy.allow.length > 0 && !policy.allow.some((rule) => rule.test(url))) {
+    return { reasonCode: 'url-not-allowed', rule: allowList };
+  }
+  return null;
+}
+
+function mergePolicySnapshots(serverPolicySnapshot, localPolicySnapshot) {
+  const localCapabilities = extractApiCapabilities(localPolicySnapshot);
+  const serverCapabilities = extractServerCapabilities(serverPolicySnapshot);
+  const effectiveCapabilities = intersectPolicyTrees(serverCapabilities, localCapabilities);
+  const timestamp = new Date().toISOString();
+  const base = serverPolicySnapshot && isPolicySnapshot(serverPolicySnapshot)
+    ? clonePolicyTree(serverPolicySnapshot)
+    : clonePolicyTree(localPolicySnapshot);
+  return {
+    schemaVersion: Number.isInteger(base?.schemaVersion) ? base.schemaVersion : POLICY_SCHEMA_VERSION,
+    policyProfile: typeof base?.policyProfile === 'string' ? base.policyProfile : POLICY_PROFILE_ID,
+    policyId: typeof base?.policyId === 'string' ? base.policyId : POLICY_ID,
+    baselineId: typeof base?.baselineId === 'string' ? base.baselineId : POLICY_BASELINE_ID,
+    policyVersion: Number.isInteger(base?.policyVersion) ? base.policyVersion : 1,
+    issuedAt: typeof base?.issuedAt === 'string' ? base.issuedAt : timestamp,
+    updatedAt: timestamp,
+    ...base,
+    apiCapabilities: effectiveCapabilities,
+    constraints: mergePolicyConstraints(serverPolicySnapshot?.constraints, localPolicySnapshot?.constraints),
+  };
+}
+
+function normalizePolicyStateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+    return null;
+  }
+  const candidate = snapshot.policy && typeof snapshot.policy === 'object' && !Array.isArray(snapshot.policy)
+    ? snapshot.policy
+    : snapshot;
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return null;
+  }
+  const invalid = [];
+  const constraints = extractPolicyConstraints(candidate, invalid);
+  if (invalid.length > 0) {
+    console.warn('[hyper-frame] ignoring invalid time windows in the BrowserBox policy.', { invalid });
+  }
   return {
     ...clonePolicyTree(candidate),
-    apiCapabilities: extractApiCapabilities(candidate),
+    apiCapabilities: extractServerCapabilities(candidate),
+    constraints,
+  };
+}
+
+const POLICY_TOKEN_ALGORITHMS = Object.freeze({
+  RS256: { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' } },
+  RS384: { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' } },
+  RS512: { importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' }, verifyParams: { name: 'RSASSA-PKCS1-v1_5' } },
+  PS256: { importParams: { name: 'RSA-PSS', hash: 'SHA-256' }, verifyParams: { name: 'RSA-PSS', saltLength: 32 } },
+  PS384: { importParams: { name: 'RSA-PSS', hash: 'SHA-384' }, verifyParams: { name: 'RSA-PSS', saltLength: 48 } },
+  PS512: { importParams: { name: 'RSA-PSS', hash: 'SHA-512' }, verifyParams: { name: 'RSA-PSS', saltLength: 64 } },
+  ES256: { importParams: { name: 'ECDSA', namedCurve: 'P-256' }, verifyParams: { name: 'ECDSA', hash: 'SHA-256' } },
+  ES384: { importParams: { name: 'ECDSA', namedCurve: 'P-384' }, verifyParams: { name: 'ECDSA', hash: 'SHA-384' } },
+  ES512: { importParams: { name: 'ECDSA', namedCurve: 'P-521' }, verifyParams: { name: 'ECDSA', hash: 'SHA-512' } },
+  EdDSA: { importParams: { name: 'Ed25519' }, verifyParams: { name: 'Ed25519' } },
+});
+
+function decodeBase64Url(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function policyTokenError(reasonCode, message) {
+  return createBrowserBoxError(`hyper-frame policy token ${message}`, {
+    code: ERROR_CODES.POLICY_DENIED,
+    status: 403,
+    reasonCode,
+    source: 'policy-token',
+  });
+}
+
+/**
+ * Verify a compact JWS against a public JWK with `crypto.subtle` and return
+ * `{ policy, alg, kid, expiresAt }`. The payload is a policy snapshot, either
+ * at the top level or under `policy`; `exp` and `nbf` are honoured.
+ */
+async function verifyPolicyToken(token, jwk, { now = Date.now() } = {}) {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw policyTokenError('policy-token-unsupported', 'cannot be verified: crypto.subtle is unavailable.');
+  }
+  const segments = String(token).trim().split('.');
+  if (segments.length !== 3) {
+    throw policyTokenError('policy-token-invalid', 'is not a compact JWS.');
+  }
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(new TextDecoder().decode(decodeBase64Url(segments[0])));
+    payload = JSON.parse(new TextDecoder().decode(decodeBase64Url(segments[1])));
+  } catch {
+    throw policyTokenError('policy-token-invalid', 'could not be decoded.');
+  }
+  const algorithm = POLICY_TOKEN_ALGORITHMS[header?.alg];
+  if (!algorithm) {
+    throw policyTokenError('policy-token-invalid', `uses unsupported alg '${header?.alg}'.`);
+  }
+  if ((jwk.alg && jwk.alg !== header.alg) || (jwk.kid && header.kid && jwk.kid !== header.kid)) {
+    throw policyTokenError('policy-token-invalid', 'was not issued for this policy key.');
+  }
+  let verified = false;
+  try {
+    const key = await subtle.importKey('jwk', jwk, algorithm.importParams, false, ['verify']);
+    verified = await subtle.verify(
+      algorithm.verifyParams,
+      key,
+      decodeBase64Url(segments[2]),
+      new TextEncoder().encode(`${segments[0]}.${segments[1]}`),
+    );
+  } catch (error) {
+    throw policyTokenError('policy-token-invalid', `could not be verified: ${error?.message || error}`);
+  }
+  if (!verified) {
+    throw policyTokenError('policy-token-invalid', 'signature does not match the policy key.');
+  }
+  if (!isPolicySnapshot(payload)) {
+    throw policyTokenError('policy-token-invalid', 'payload must be an object.');
+  }
+  if (Number.isFinite(payload.nbf) && now < payload.nbf * 1000) {
+    throw policyTokenError('policy-token-not-yet-valid', 'is not valid yet.');
+  }
+  if (Number.isFinite(payload.exp) && now >= payload.exp * 1000) {
+    throw policyTokenError('policy-token-expired', 'has expired.');
+  }
+  return {
+    policy: normalizePolicyStateSnapshot(isPolicySnapshot(payload.policy) ? payload.policy : payload),
+    alg: header.alg,
+    kid: typeof header.kid === 'string' ? header.kid : null,
+    expiresAt: Number.isFinite(payload.exp) ? payload.exp * 1000 : null,
   };
 }
 
+const POLICY_ERROR_EVENTS = new Set(['policy-error', 'policy.error']);
+
 const EVENT_CAPABILITY_RULES = Object.freeze({
   'tab-created': 'tabs.read',
   'tab-attached': 'tabs.read',
   'tab-closed': 'tabs.read',
   'tab-updated': 'tabs.read',
   'active-tab-changed': 'tabs.read',
+  'tabs-reconciled': 'tabs.read',
+  'tab-moved': 'tabs.read',
+  'tab-grouped': 'tabs.read',
   'tab.created': 'tabs.read',
   'tab.attached': 'tabs.read',
   'tab.closed': 'tabs.read',
   'tab.updated': 'tabs.read',
+  'tab.moved': 'tabs.read',
+  'tab.grouped': 'tabs.read',
   'tab.activated': 'tabs.read',
   'did-navigate': 'page.read',
   'did-start-loading': 'page.read',
   'did-stop-loading': 'page.read',
   'favicon-changed': 'page.read',
+  'did-click': 'page.read',
+  'did-input': 'page.read',
   'page.navigated': 'page.read',
   'page.load.started': 'page.read',
   'page.load.stopped': 'page.read',
   'page.favicon.changed': 'page.read',
+  'page.clicked': 'page.read',
+  'page.input': 'page.read',
   'policy.changed': 'policy.read',
   'modal-opened': 'modals.read',
   'modal-updated': 'modals.read',
@@ -930,12 +2649,91 @@ const EVENT_CAPABILITY_RULES = Object.freeze({
   'modal.closed': 'modals.read',
 });
 
+function policySnapshotCapabilities(snapshot) {
+  return flattenPolicyTree(extractApiCapabilities(snapshot));
+}
+
+/**
+ * Compare two policy snapshots: capabilities granted or revoked, changed
+ * constraints and changed top-level fields (timestamps are ignored).
+ */
+function diffPolicySnapshots(a, b) {
+  assertPlainObject(a, 'policy.diff(a, b) a');
+  assertPlainObject(b, 'policy.diff(a, b) b');
+  const before = policySnapshotCapabilities(a);
+  const after = policySnapshotCapabilities(b);
+  const granted = [];
+  const revoked = [];
+  for (const capability of Object.keys(after)) {
+    if (before[capability] === after[capability]) {
+      continue;
+    }
+    (after[capability] ? granted : revoked).push(capability);
+  }
+  const constraintsBefore = isPolicySnapshot(a.constraints) ? a.constraints : extractPolicyConstraints(a);
+  const constraintsAfter = isPolicySnapshot(b.constraints) ? b.constraints : extractPolicyConstraints(b);
+  const constraints = [...new Set([...Object.keys(constraintsBefore), ...Object.keys(constraintsAfter)])]
+    .filter((capability) => JSON.stringify(constraintsBefore[capability] ?? null) !== JSON.stringify(constraintsAfter[capability] ?? null))
+    .map((capability) => ({
+      capability,
+      from: clonePolicyTree(constraintsBefore[capability] ?? null),
+      to: clonePolicyTree(constraintsAfter[capability] ?? null),
+    }));
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((key) => !['apiCapabilities', 'constraints', 'issuedAt', 'updatedAt'].includes(key))
+    .filter((key) => !(key in POLICY_DEFAULTS))
+    .filter((key) => JSON.stringify(a[key] ?? null) !== JSON.stringify(b[key] ?? null))
+    .map((key) => ({ key, from: clonePolicyTree(a[key] ?? null), to: clonePolicyTree(b[key] ?? null) }));
+  return {
+    equal: granted.length === 0 && revoked.length === 0 && constraints.length === 0 && fields.length === 0,
+    granted,
+    revoked,
+    constraints,
+    fields,
+  };
+}
+
 function createPolicyNamespace(instance) {
   return Object.freeze({
     async get() {
       instance._assertCapability('policy.read');
       return instance._getPolicySnapshotView();
     },
+
+    /**
+     * Dry-run the policy for a method (with its args) or a capability name.
+     * @returns {{ target, capabilities, allowed, reasonCode, decisions }}
+     */
+    async explain(methodOrCapability, args = []) {
+      instance._assertCapability('policy.read');
+      const target = assertNonEmptyString(methodOrCapability, 'policy.explain(methodOrCapability)');
+      let capabilities;
+      if (Object.hasOwn(IMPLEMENTED_CAPABILITIES, target) || Object.hasOwn(flattenPolicyTree(POLICY_DEFAULTS), target)) {
+        capabilities = [target];
+      } else if (target === 'captureFrame' || Object.hasOwn(METHOD_CAPABILITY_MAP, target)) {
+        capabilities = instance._capabilitiesForMethod(target, Array.isArray(args) ? args : [args]);
+      } else {
+        throwInvalidArgument(`hyper-frame policy.explain: unknown method or capability '${target}'.`, { target });
+      }
+      const decisions = capabilities.map((capability) => instance._explainCapability(capability));
+      const denied = decisions.find((decision) => !decision.allowed);
+      return {
+        target,
+        capabilities: [...capabilities],
+        allowed: !denied,
+        reasonCode: denied ? denied.reasonCode : null,
+        decisions,
+      };
+    },
+
+    /** Compare two snapshots; `b` defaults to the current effective policy. */
+    async diff(a, b) {
+      if (b === undefined) {
+        instance._assertCapability('policy.read');
+        return diffPolicySnapshots(a, instance._getPolicySnapshotView());
+      }
+      return diffPolicySnapshots(a, b);
+    },
   });
 }
 
@@ -975,11 +2773,41 @@ class BrowserBoxError extends Error {
     }
     return json;
   }
+
+  /**
+   * Rebuild an error from its `toJSON()` form (or that form as a string), e.g.
+   * after crossing a worker or process boundary. The subclass is picked from
+   * `code`, so `instanceof` checks keep working.
+   * @param {object|string} json
+   * @returns {BrowserBoxError}
+   */
+  static from(json) {
+    const source = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throwInvalidArgument('BrowserBoxError.from(json) requires an object.');
+    }
+    const {
+      name,
+      message,
+      code = ERROR_CODES.BASE,
+      cause,
+      ...details
+    } = source;
+    const revivedCause = cause && typeof cause === 'object' && typeof cause.code === 'string'
+      ? BrowserBoxError.from(cause)
+      : cause;
+    return createBrowserBoxError(typeof message === 'string' ? message : '', {
+      ...details,
+      code,
+      ...(revivedCause === undefined ? {} : { cause: revivedCause }),
+    });
+  }
 }
 
+class BrowserBoxNotReadyError extends BrowserBoxError {}
 class BrowserBoxPolicyError extends BrowserBoxError {
-  constructor(capability) {
-    super(`hyper-frame policy denied capability '${capability}'.`, {
+  static forCapability(capability) {
+    return new BrowserBoxPolicyError(`hyper-frame policy denied capability '${capability}'.`, {
       code: ERROR_CODES.POLICY_DENIED,
       status: 403,
       capability,
@@ -987,3033 +2815,6128 @@ class BrowserBoxPolicyError extends BrowserBoxError {
     });
   }
 }
+class BrowserBoxTimeoutError extends BrowserBoxError {}
+class BrowserBoxTransportError extends BrowserBoxError {}
+class BrowserBoxUnsupportedError extends BrowserBoxError {}
+class BrowserBoxInvalidArgumentError extends BrowserBoxError {}
+class BrowserBoxNotFoundError extends BrowserBoxError {}
+class BrowserBoxConflictError extends BrowserBoxError {}
+class BrowserBoxInternalError extends BrowserBoxError {}
+class BrowserBoxAbortError extends BrowserBoxError {}
+class BrowserBoxNavigationError extends BrowserBoxError {}
+class BrowserBoxSelectorNotFoundError extends BrowserBoxNotFoundError {}
+class BrowserBoxSessionExpiredError extends BrowserBoxError {}
+
+const ERROR_CLASSES = Object.freeze({
+  [ERROR_CODES.NOT_READY]: BrowserBoxNotReadyError,
+  [ERROR_CODES.POLICY_DENIED]: BrowserBoxPolicyError,
+  [ERROR_CODES.TIMEOUT]: BrowserBoxTimeoutError,
+  [ERROR_CODES.TRANSPORT]: BrowserBoxTransportError,
+  [ERROR_CODES.UNSUPPORTED]: BrowserBoxUnsupportedError,
+  [ERROR_CODES.INVALID_ARGUMENT]: BrowserBoxInvalidArgumentError,
+  [ERROR_CODES.NOT_FOUND]: BrowserBoxNotFoundError,
+  [ERROR_CODES.CONFLICT]: BrowserBoxConflictError,
+  [ERROR_CODES.INTERNAL]: BrowserBoxInternalError,
+  [ERROR_CODES.ABORTED]: BrowserBoxAbortError,
+  [ERROR_CODES.NAVIGATION_FAILED]: BrowserBoxNavigationError,
+  [ERROR_CODES.SELECTOR_NOT_FOUND]: BrowserBoxSelectorNotFoundError,
+  [ERROR_CODES.SESSION_EXPIRED]: BrowserBoxSessionExpiredError,
+});
 
-const DEFAULT_IFRAME_ALLOW_FEATURES = [
-  'accelerometer',
-  'camera',
-  'encrypted-media',
-  'display-capture',
-  'geolocation',
-  'gyroscope',
-  'microphone',
-  'midi',
-  'clipboard-read',
-  'clipboard-write',
-  'web-share',
-  'fullscreen',
-];
-const MEDIA_ALLOW_FEATURES = new Set(['camera', 'microphone', 'display-capture']);
-
-function normalizeMediaPermissions(value) {
-  return String(value || '').trim().toLowerCase() === 'none' ? 'none' : 'default';
+function cloneMessage(message) {
+  return typeof globalThis.structuredClone === 'function'
+    ? globalThis.structuredClone(message)
+    : cloneJsonValue(message);
 }
 
-function normalizeSessionUnloadWarning(value) {
-  return String(value || '').trim().toLowerCase() === 'none' ? 'none' : 'default';
+function isTransport(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && typeof value.connect === 'function'
+    && typeof value.disconnect === 'function'
+    && typeof value.post === 'function';
 }
 
-function normalizeBeforeUnloadBehavior(value) {
-  const raw = String(value || '').trim().toLowerCase();
-  if (raw === 'allow' || raw === 'leave') return 'allow';
-  if (raw === 'block' || raw === 'remain') return 'block';
-  return 'default';
-}
+/**
+ * Transport contract used by <hyper-frame> and HyperFrameController for all
+ * BrowserBox traffic.
+ *
+ * - `kind` — short label reported in diagnostics
+ * - `connected` — whether `post()` can deliver right now
+ * - `connect(host)` — start delivering inbound messages through
+ *   `host.receive({ data, origin, source })` and report (re)loads of the
+ *   remote side through `host.loaded(reason)`. `host.origin()` is the
+ *   expected BrowserBox origin (`'*'` while unknown) and
+ *   `host.acceptsOrigin(origin)` checks an inbound message origin.
+ * - `disconnect()` — stop delivering messages
+ * - `post(message, { targetOrigin }?)` — send one message; throws on failure
+ * - `reload(reason)` (optional) — restart the remote side; returns `false`
+ *   when there is nothing to reload
+ *
+ * Both the modern (`bbx-api-call`) and the legacy message protocols run over
+ * whichever transport is installed.
+ */
+const CHANNEL_UPGRADE_TIMEOUT_MS = 3000;
+// Window messages still accepted once a private MessageChannel is in place:
+// only the handshake that (re)establishes the session and its side channels.
+const WINDOW_HANDSHAKE_MESSAGE_TYPES = new Set([
+  'bbx-api-ready',
+  'tab-api-ready',
+  'bbx-mid-request',
+  'bbx-mid-ack',
+  'bbx-ui-request',
+  'bbx-ui-ack',
+  'bbx-sos',
+]);
+
+class IframeTransport {
+  constructor(element) {
+    this.kind = 'iframe';
+    this.element = element;
+    this._host = null;
+    this._port = null;
+    this._portOrigin = null;
+    this._upgradeInFlight = null;
+    this._windowRequestIds = new Set();
+    this._boundMessage = this._handleWindowMessage.bind(this);
+    this._boundLoad = this._handleIframeLoad.bind(this);
+  }
+
+  get connected() {
+    return Boolean(this._port || this.element.iframe.contentWindow);
+  }
+
+  /** `'message-port'` once the private channel is up, otherwise `'window'`. */
+  get channel() {
+    return this._port ? 'message-port' : 'window';
+  }
+
+  connect(host) {
+    this.disconnect();
+    this._host = host;
+    window.addEventListener('message', this._boundMessage);
+    this.element.iframe.addEventListener('load', this._boundLoad);
+  }
 
-function computeIframeAllow(mediaPermissions) {
-  const features = normalizeMediaPermissions(mediaPermissions) === 'none'
-    ? DEFAULT_IFRAME_ALLOW_FEATURES.filter((f) => !MEDIA_ALLOW_FEATURES.has(f))
-    : DEFAULT_IFRAME_ALLOW_FEATURES;
-  return features.join('; ');
-}
+  disconnect() {
+    window.removeEventListener('message', this._boundMessage);
+    this.element.iframe.removeEventListener('load', this._boundLoad);
+    this._closePort();
+    this._host = null;
+  }
 
-class HyperFrame extends HTMLElement {
-  static get observedAttributes() {
-    return [
-      'login-link',
-      'width',
-      'height',
-      'embedder-origin',
-      'parent-origin', // deprecated alias for embedder-origin
-      'request-timeout-ms',
-      'ui-visible',
-      'allow-user-toggle-ui',
-      'policy',
-      'interaction-mode',
-      'chrome',
-      'augment-root',
-      'capture',
-      'media-permissions',
-      'session-unload-warning',
-      'beforeunload-behavior',
-      'first-load-cleanse',
-    ];
+  post(message, { targetOrigin } = {}) {
+    if (this._port && targetOrigin === undefined) {
+      this._port.postMessage(message);
+      return;
+    }
+    const target = this.element.iframe.contentWindow;
+    if (!target || !this._host) {
+      throw createBrowserBoxError('hyper-frame iframe is not ready.', {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+      });
+    }
+    target.postMessage(message, targetOrigin ?? this._host.origin());
+    if (typeof message?.requestId === 'string') {
+      this._windowRequestIds.add(message.requestId);
+    }
   }
 
-  constructor() {
-    super();
-    this.attachShadow({ mode: 'open' });
+  /**
+   * Negotiate a dedicated MessageChannel with BrowserBox. The iframe receives
+   * `bbx-channel-open` with the remote port attached and answers
+   * `bbx-channel-ack` over that port; after that all API traffic uses the
+   * port. Builds that never acknowledge keep using window messaging.
+   * @returns {Promise<boolean>} whether the private channel is active
+   */
+  upgrade({ timeoutMs = CHANNEL_UPGRADE_TIMEOUT_MS } = {}) {
+    if (this._upgradeInFlight) {
+      return this._upgradeInFlight;
+    }
+    const target = this.element.iframe.contentWindow;
+    const origin = this._host?.origin() ?? '*';
+    if (!target || origin === '*' || typeof MessageChannel !== 'function') {
+      return Promise.resolve(Boolean(this._port));
+    }
+    const channel = new MessageChannel();
+    this._upgradeInFlight = new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        channel.port1.onmessage = null;
+        channel.port1.close();
+        resolve(false);
+      }, Math.max(100, timeoutMs));
+      channel.port1.onmessage = (event) => {
+        if (event.data?.type !== 'bbx-channel-ack') {
+          return;
+        }
+        clearTimeout(timer);
+        if (this._port) {
+          this._port.onmessage = null;
+          this._port.close();
+        }
+        this._port = channel.port1;
+        this._portOrigin = origin;
+        this._port.onmessage = (portEvent) => {
+          this._host?.receive({
+            data: portEvent.data,
+            origin: this._portOrigin,
+            source: this._port,
+          });
+        };
+        resolve(true);
+      };
+      try {
+        target.postMessage({ type: 'bbx-channel-open', data: { version: 1 } }, origin, [channel.port2]);
+      } catch {
+        clearTimeout(timer);
+        channel.port1.close();
+        resolve(false);
+      }
+    }).finally(() => {
+      this._upgradeInFlight = null;
+    });
+    return this._upgradeInFlight;
+  }
 
-    this._shell = document.createElement('div');
-    this._shell.className = 'bbx-shell';
-    this.iframe = document.createElement('iframe');
-    this.iframe.allowFullscreen = true;
-    this.iframe.setAttribute(
-      'allow',
-      computeIframeAllow(this.getAttribute('media-permissions'))
-    );
-    this.iframe.setAttribute(
-      'sandbox',
-      'allow-same-origin allow-forms allow-scripts allow-top-navigation allow-top-navigation-by-user-activation allow-storage-access-by-user-activation allow-popups allow-popups-to-escape-sandbox allow-downloads allow-modals allow-pointer-lock'
-    );
+  /** Stop waiting for a reply to `requestId` (it timed out or was aborted). */
+  forget(requestId) {
+    this._windowRequestIds.delete(requestId);
+  }
+
+  _closePort() {
+    if (this._port) {
+      this._port.onmessage = null;
+      this._port.close();
+    }
+    this._port = null;
+    this._portOrigin = null;
+    this._windowRequestIds.clear();
+  }
+
+  _handleWindowMessage(event) {
+    if (event.source !== this.element.iframe.contentWindow) {
+      return;
+    }
+    if (!this._host?.acceptsOrigin(event.origin)) {
+      return;
+    }
+    const payload = event.data || {};
+    if (
+      this._port
+      && !WINDOW_HANDSHAKE_MESSAGE_TYPES.has(payload.type)
+      && !(typeof payload.requestId === 'string' && this._windowRequestIds.has(payload.requestId))
+    ) {
+      return;
+    }
+    if (typeof payload.requestId === 'string') {
+      this._windowRequestIds.delete(payload.requestId);
+    }
+    this._host?.receive(event);
+  }
+
+  _handleIframeLoad() {
+    this._closePort();
+    this._host?.loaded('iframe-load');
+  }
+
+  reload(reason = 'reload') {
+    const src = this.element.iframe.src;
+    if (!src) {
+      return false;
+    }
+    this.element._assignIframeSrc(src, reason);
+    return true;
+  }
+}
+
+const MOCK_BROWSERBOX_ORIGIN = 'mock://browserbox';
+const MOCK_BLANK_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * In-memory stand-in for a BrowserBox instance. It speaks the same
+ * postMessage protocol as the real iframe (handshake, `bbx-api-call`,
+ * `bbx-api-list`, legacy tab commands, `bbx-policy-sync` and tab events) so
+ * embedding code can be exercised without a live server.
+ *
+ * @example
+ * const browserbox = new MockBrowserBox({ tabs: [{ url: 'https://example.com' }] });
+ * bbx.transport = new MockTransport(browserbox);
+ * await bbx.whenReady();
+ */
+class MockBrowserBox {
+  constructor({
+    protocol = 'modern',
+    tabs = [],
+    policy = null,
+    latencyMs = 0,
+    methods = {},
+    features = [TAB_TARGETING_FEATURE],
+  } = {}) {
+    this.protocol = protocol === 'legacy' ? 'legacy' : 'modern';
+    this.features = Array.isArray(features) ? features.slice() : [];
+    this.policy = policy ? cloneJsonValue(policy) : null;
+    this.latencyMs = Number.isFinite(latencyMs) ? Math.max(0, latencyMs) : 0;
+    this.received = [];
+    this.cancelled = new Set();
+    this.uiConfig = null;
+    this._idempotentResults = new Map();
+    this._listeners = new Set();
+    this._tabSeq = 0;
+    this._groupSeq = 0;
+    this._navigationRequests = new Map();
+    this._methods = {
+      ...this._defaultMethods(),
+      ...(methods && typeof methods === 'object' ? methods : {}),
+    };
+    this.tabs = [];
+    this.activeTabId = null;
+    for (const tab of Array.isArray(tabs) ? tabs : []) {
+      this._insertTab(typeof tab === 'string' ? tab : tab?.url, { silent: true, title: tab?.title });
+    }
+  }
+
+  get methods() {
+    return Object.keys(this._methods);
+  }
+
+  attach(listener) {
+    this._listeners.add(listener);
+    return () => {
+      this._listeners.delete(listener);
+    };
+  }
+
+  defineMethod(name, handler) {
+    this._methods[assertNonEmptyString(name, 'MockBrowserBox.defineMethod(name)')] = handler;
+  }
+
+  setPolicy(policy) {
+    this.policy = policy ? cloneJsonValue(policy) : null;
+    this.emit('bbx-policy-sync', { policy: this.policy });
+  }
+
+  emit(type, data = {}) {
+    this._post({ type, data });
+  }
+
+  listTabs() {
+    return this.tabs.map((tab, index) => this._describeTab(tab, index));
+  }
+
+  /**
+   * Simulate a navigation started inside BrowserBox: ask the embedder via
+   * `bbx-navigation-request`, then apply its decision. Resolves with it.
+   */
+  requestNavigation(url, { tabId = this.activeTabId, kind = 'navigate' } = {}) {
+    const requestId = generateOpaqueId('mock-nav');
+    return new Promise((resolve) => {
+      this._navigationRequests.set(requestId, (decision) => {
+        if (decision?.action !== 'deny') {
+          if (kind === 'tab-create') {
+            this._insertTab(decision?.url ?? url);
+          } else {
+            this._navigateTab(tabId, decision?.url ?? url);
+          }
+        }
+        resolve(decision);
+      });
+      this._post({ type: 'bbx-navigation-request', requestId, data: { url, tabId, kind } });
+    });
+  }
+
+  receive(message) {
+    this.received.push(message);
+    if (!message || typeof message.type !== 'string') {
+      return;
+    }
+    const { type, requestId, data = {} } = message;
+    switch (type) {
+      case 'init':
+        if (this.protocol === 'modern') {
+          this.emit('bbx-api-ready', {
+            methods: this.methods,
+            features: this.features.slice(),
+            ...(this.policy ? { policy: cloneJsonValue(this.policy) } : {}),
+          });
+        } else {
+          this.emit('tab-api-ready', {});
+        }
+        return;
+      case 'bbx-mid-sync':
+        this.emit('bbx-mid-ack', { mid: data.mid });
+        return;
+      case 'bbx-ui-sync':
+        this.uiConfig = cloneJsonValue(data);
+        this.emit('bbx-ui-ack', {});
+        return;
+      case 'bbx-viewport-reset':
+        return;
+      case 'bbx-navigation-decision':
+        this._navigationRequests.get(requestId)?.(cloneJsonValue(data));
+        this._navigationRequests.delete(requestId);
+        return;
+      case 'bbx-api-cancel':
+        if (typeof data.requestId === 'string') {
+          this.cancelled.add(data.requestId);
+        }
+        return;
+      case 'closeTab':
+      case 'createTab':
+        // The element posts these raw in both protocols, e.g. for first-load-cleanse.
+        this._handleLegacyMessage(message);
+        return;
+      case 'getActiveTab': {
+        const index = this.tabs.findIndex((tab) => tab.id === this.activeTabId);
+        this._reply(type, requestId, index === -1 ? null : this._describeTab(this.tabs[index], index));
+        return;
+      }
+      default:
+        break;
+    }
+    if (this.protocol === 'modern') {
+      if (type === 'bbx-api-list') {
+        this._reply(type, requestId, this.methods);
+        return;
+      }
+      if (type === 'bbx-api-call') {
+        this._invoke(requestId, data.method, Array.isArray(data.args) ? data.args : [], data.idempotencyKey);
+        return;
+      }
+    } else if (this._handleLegacyMessage(message)) {
+      return;
+    }
+    if (requestId) {
+      const message = `Unknown message type '${type}'`;
+      this._reply(type, requestId, undefined, this.protocol === 'modern'
+        ? toErrorEnvelope(createBrowserBoxError(message, { code: ERROR_CODES.UNSUPPORTED, status: 501 }))
+        : message);
+    }
+  }
+
+  _post(message) {
+    const payload = cloneMessage(message);
+    setTimeout(() => {
+      for (const listener of this._listeners) {
+        listener(payload);
+      }
+    }, this.latencyMs);
+  }
+
+  _reply(type, requestId, data, error = null) {
+    if (!requestId || this.cancelled.has(requestId)) {
+      return;
+    }
+    this._post({
+      type: `${type}-result`,
+      requestId,
+      ...(error ? { error } : { data }),
+    });
+  }
+
+  async _invoke(requestId, method, args, idempotencyKey) {
+    const handler = this._methods[method];
+    if (typeof handler !== 'function') {
+      this._reply('bbx-api-call', requestId, undefined, toErrorEnvelope(createBrowserBoxError(`Unknown API method '${method}'`, {
+        code: ERROR_CODES.UNSUPPORTED,
+        status: 501,
+        method,
+      })));
+      return;
+    }
+    try {
+      let result;
+      if (typeof idempotencyKey === 'string') {
+        if (!this._idempotentResults.has(idempotencyKey)) {
+          const run = Promise.resolve().then(() => handler.apply(this, args));
+          run.catch(() => this._idempotentResults.delete(idempotencyKey));
+          this._idempotentResults.set(idempotencyKey, run);
+        }
+        result = await this._idempotentResults.get(idempotencyKey);
+      } else {
+        result = await handler.apply(this, args);
+      }
+      this._reply('bbx-api-call', requestId, result === undefined ? null : result);
+    } catch (error) {
+      this._reply('bbx-api-call', requestId, undefined, toErrorEnvelope(error));
+    }
+  }
+
+  _handleLegacyMessage({ type, requestId, tabId, data = {} }) {
+    switch (type) {
+      case 'getTabs':
+        this._reply(type, requestId, this.listTabs());
+        return true;
+      case 'getTabCount':
+        this._reply(type, requestId, this.tabs.length);
+        return true;
+      case 'createTab':
+        if (typeof data.idempotencyKey === 'string') {
+          if (this._idempotentResults.has(data.idempotencyKey)) {
+            return true;
+          }
+          this._idempotentResults.set(data.idempotencyKey, Promise.resolve(true));
+        }
+        this._insertTab(data.url);
+        return true;
+      case 'closeTab':
+        this._removeTab(tabId);
+        return true;
+      case 'setActiveTab':
+        this._activateTab(tabId);
+        return true;
+      case 'loadURL':
+        this._navigateTab(tabId, data.url);
+        return true;
+      case 'reload':
+      case 'stop':
+        return true;
+      case 'goBack':
+        this._traverseHistory(tabId, -1);
+        return true;
+      case 'goForward':
+        this._traverseHistory(tabId, 1);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  _describeTab(tab, index) {
+    return {
+      id: tab.id,
+      index,
+      url: tab.url,
+      title: tab.title,
+      active: tab.id === this.activeTabId,
+      canGoBack: tab.historyIndex > 0,
+      canGoForward: tab.historyIndex < tab.history.length - 1,
+      loading: false,
+      pinned: Boolean(tab.pinned),
+      groupId: tab.groupId || null,
+    };
+  }
+
+  _findTab(tabId) {
+    const index = this.tabs.findIndex((tab) => tab.id === tabId);
+    if (index === -1) {
+      throw createBrowserBoxError(`Tab ${tabId} does not exist`, {
+        code: ERROR_CODES.NOT_FOUND,
+        status: 404,
+        tabId,
+      });
+    }
+    return { tab: this.tabs[index], index };
+  }
+
+  _tabAt(indexArg) {
+    if (this.tabs.length === 0) {
+      throw createBrowserBoxError('No target tab', { code: ERROR_CODES.NOT_FOUND, status: 404 });
+    }
+    const requested = Number.isInteger(indexArg) ? indexArg : 0;
+    const normalized = requested < 0 ? this.tabs.length + requested : requested;
+    return this.tabs[Math.max(0, Math.min(this.tabs.length - 1, normalized))];
+  }
+
+  _targetTab(opts) {
+    return typeof opts?.tabId === 'string' ? this._findTab(opts.tabId).tab : this._activeTab();
+  }
+
+  _activeTab() {
+    const tab = this.tabs.find((candidate) => candidate.id === this.activeTabId);
+    if (!tab) {
+      throw createBrowserBoxError('No active tab', { code: ERROR_CODES.NOT_FOUND, status: 404 });
+    }
+    return tab;
+  }
+
+  _insertTab(url = '', { silent = false, title = '' } = {}) {
+    this._tabSeq += 1;
+    const tab = {
+      id: `mock-tab-${this._tabSeq}`,
+      url: '',
+      title: typeof title === 'string' ? title : '',
+      history: [],
+      historyIndex: -1,
+    };
+    this.tabs.push(tab);
+    if (!silent) {
+      this.emit('tab-created', { id: tab.id, index: this.tabs.length - 1, url: url || '' });
+    }
+    this._activateTab(tab.id, { silent });
+    if (url) {
+      this._navigateTab(tab.id, url, { silent });
+    }
+    return tab;
+  }
+
+  _removeTab(tabId) {
+    const { index } = this._findTab(tabId);
+    this.tabs.splice(index, 1);
+    this.emit('tab-closed', { id: tabId, index });
+    if (this.activeTabId === tabId) {
+      this.activeTabId = null;
+      const next = this.tabs[Math.min(index, this.tabs.length - 1)];
+      if (next) {
+        this._activateTab(next.id);
+      }
+    }
+  }
+
+  _activateTab(tabId, { silent = false } = {}) {
+    const { index } = this._findTab(tabId);
+    if (this.activeTabId === tabId) {
+      return;
+    }
+    this.activeTabId = tabId;
+    if (!silent) {
+      this.emit('active-tab-changed', { id: tabId, index });
+    }
+  }
+
+  _navigateTab(tabId, url, { silent = false } = {}) {
+    const { tab } = this._findTab(tabId);
+    const nextUrl = typeof url === 'string' ? url : '';
+    tab.history = tab.history.slice(0, tab.historyIndex + 1);
+    tab.history.push(nextUrl);
+    tab.historyIndex = tab.history.length - 1;
+    this._commitNavigation(tab, nextUrl, silent);
+  }
+
+  _traverseHistory(tabId, delta) {
+    const { tab } = this._findTab(tabId);
+    const nextIndex = tab.historyIndex + delta;
+    if (nextIndex < 0 || nextIndex >= tab.history.length) {
+      return false;
+    }
+    tab.historyIndex = nextIndex;
+    this._commitNavigation(tab, tab.history[nextIndex], false);
+    return true;
+  }
+
+  _commitNavigation(tab, url, silent) {
+    tab.url = url;
+    try {
+      tab.title = new URL(url).hostname || url;
+    } catch {
+      tab.title = url;
+    }
+    if (silent) {
+      return;
+    }
+    this.emit('did-start-loading', { tabId: tab.id, url });
+    this.emit('did-navigate', { tabId: tab.id, url });
+    this.emit('tab-updated', { id: tab.id, url, title: tab.title });
+    this.emit('did-stop-loading', { tabId: tab.id, url });
+  }
+
+  async _waitFor(predicate, opts = {}, message = 'Condition') {
+    const timeoutMs = Number.isFinite(opts?.timeoutMs) ? opts.timeoutMs : 1000;
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() <= deadline) {
+      const result = predicate();
+      if (result !== undefined && result !== false) {
+        return result;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw createBrowserBoxError(`${message} timed out after ${timeoutMs}ms`, {
+      code: ERROR_CODES.TIMEOUT,
+      status: 504,
+      retriable: true,
+      timeoutMs,
+    });
+  }
+
+  _defaultMethods() {
+    return {
+      getTabs() { return this.listTabs(); },
+      getActiveTabIndex() { return this.tabs.findIndex((tab) => tab.id === this.activeTabId); },
+      getTabCount() { return this.tabs.length; },
+      getFavicons() { return this.tabs.map(() => null); },
+      createTab(url = '') { return this._describeTab(this._insertTab(url), this.tabs.length - 1); },
+      createTabs(count, opts = {}) {
+        const total = Number.isInteger(count) && count > 0 ? count : 0;
+        for (let i = 0; i < total; i += 1) {
+          this._insertTab(typeof opts?.url === 'string' ? opts.url : '');
+        }
+        return this.tabs.length;
+      },
+      closeTab(index = null) {
+        this._removeTab(index === null ? this._activeTab().id : this._tabAt(index).id);
+        return true;
+      },
+      closeTabById(targetId) {
+        this._removeTab(targetId);
+        return true;
+      },
+      closeAllTabs(opts = {}) {
+        const keep = Number.isInteger(opts?.keep) ? Math.max(0, opts.keep) : 0;
+        while (this.tabs.length > keep) {
+          this._removeTab(this.tabs[this.tabs.length - 1].id);
+        }
+        return this.tabs.length;
+      },
+      moveTab(tabId, index) {
+        const { tab, index: fromIndex } = this._findTab(tabId);
+        const toIndex = Math.max(0, Math.min(Number.isInteger(index) ? index : 0, this.tabs.length - 1));
+        this.tabs.splice(fromIndex, 1);
+        this.tabs.splice(toIndex, 0, tab);
+        this.emit('tab-moved', { id: tabId, fromIndex, index: toIndex });
+        return true;
+      },
+      pinTab(tabId, pinned = true) {
+        this._findTab(tabId).tab.pinned = pinned !== false;
+        this.emit('tab-updated', { id: tabId, pinned: pinned !== false });
+        return true;
+      },
+      groupTabs(tabIds, opts = {}) {
+        this._groupSeq += 1;
+        const groupId = `mock-group-${this._groupSeq}`;
+        for (const tabId of tabIds) {
+          this._findTab(tabId).tab.groupId = groupId;
+        }
+        const detail = { groupId, tabIds, title: opts?.title || '', color: opts?.color || '' };
+        this.emit('tab-grouped', detail);
+        return detail;
+      },
+      duplicateTab(tabId) {
+        const copy = this._insertTab(this._findTab(tabId).tab.url);
+        return this._describeTab(copy, this.tabs.length - 1);
+      },
+      switchToTab(index) {
+        this._activateTab(this._tabAt(index).id);
+        return true;
+      },
+      switchToTabById(targetId) {
+        this._activateTab(targetId);
+        return true;
+      },
+      navigateTo(url, opts = {}) {
+        if (this.tabs.length === 0) {
+          this._insertTab(url);
+        } else {
+          this._navigateTab(this._targetTab(opts).id, url);
+        }
+        return { url };
+      },
+      navigateTab(index, url) {
+        const tab = this._tabAt(index);
+        this._activateTab(tab.id);
+        this._navigateTab(tab.id, url);
+        return { url };
+      },
+      submitOmnibox(query) { return this._methods.navigateTo.call(this, query); },
+      reload() { this._activeTab(); return true; },
+      goBack() { return this._traverseHistory(this._activeTab().id, -1); },
+      goForward() { return this._traverseHistory(this._activeTab().id, 1); },
+      stop() { this._activeTab(); return true; },
+      waitForTabCount(expectedCount, opts = {}) {
+        return this._waitFor(() => this.tabs.length === expectedCount && this.tabs.length, opts, 'waitForTabCount');
+      },
+      waitForTabUrl(index, opts = {}) {
+        const expectIncludes = typeof opts?.expectIncludes === 'string' ? opts.expectIncludes : '';
+        return this._waitFor(() => {
+          const tab = this.tabs.length > 0 ? this._tabAt(index) : null;
+          if (!tab || (!tab.url && !opts?.allowBlank) || !tab.url.includes(expectIncludes)) {
+            return false;
+          }
+          return { index: this.tabs.indexOf(tab), id: tab.id, url: tab.url };
+        }, opts, 'waitForTabUrl');
+      },
+      getScreenMetrics() {
+        return { viewportWidth: 1280, viewportHeight: 720, scrollX: 0, scrollY: 0, documentWidth: 1280, documentHeight: 720 };
+      },
+      getTransportDiagnostics() { return { transport: 'mock', tabs: this.tabs.length }; },
+      getPageText(opts = {}) { this._targetTab(opts); return ''; },
+      evaluate(expression, opts = {}) { this._targetTab(opts); return { result: { value: null } }; },
+      waitForSelector(selector, opts = {}) { this._targetTab(opts); return true; },
+      waitForNavigation() { this._activeTab(); return true; },
+      click() { this._activeTab(); return true; },
+      type() { this._activeTab(); return true; },
+      captureFrame(opts = {}) { this._targetTab(opts); return { dataURI: MOCK_BLANK_PNG }; },
+      frameCapture(enabled = true) { return Boolean(enabled); },
+      getFrame() { return null; },
+      uiVisible(visible) { return visible !== false; },
+      allowUserToggleUI(allow) { return allow !== false; },
+      getCurrentModal() { return null; },
+      respondToModal() { return false; },
+      dismissModal() { return false; },
+      cleanSlate(url) {
+        this._methods.closeAllTabs.call(this, { keep: 0 });
+        if (typeof url === 'string' && url.length > 0) {
+          this._insertTab(url);
+        }
+        return true;
+      },
+    };
+  }
+}
+
+/**
+ * Transport that talks to a {@link MockBrowserBox} in the same realm.
+ */
+class MockTransport {
+  constructor(browserbox = new MockBrowserBox()) {
+    this.kind = 'mock';
+    this.browserbox = browserbox;
+    this._host = null;
+    this._detach = null;
+  }
+
+  get connected() {
+    return Boolean(this._host);
+  }
+
+  connect(host) {
+    this.disconnect();
+    this._host = host;
+    this._detach = this.browserbox.attach((data) => {
+      this._host?.receive({ data, origin: MOCK_BROWSERBOX_ORIGIN, source: this.browserbox });
+    });
+    this.reload('mock-connect');
+  }
+
+  disconnect() {
+    this._detach?.();
+    this._detach = null;
+    this._host = null;
+  }
+
+  post(message) {
+    if (!this._host) {
+      throw createBrowserBoxError('hyper-frame mock transport is not connected.', {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+      });
+    }
+    this.browserbox.receive(cloneMessage(message));
+  }
+
+  reload(reason = 'mock-reload') {
+    setTimeout(() => this._host?.loaded(reason), 0);
+  }
+}
+
+/**
+ * Transport over any postMessage-capable target: another window (an iframe's
+ * `contentWindow`, a popup), a Worker or a MessagePort. Window targets are
+ * answered through the global `message` event and checked against
+ * `host.acceptsOrigin()`; workers and ports deliver to the target itself.
+ * There is no load event to observe, so `connect()` reports one load and the
+ * usual `init` handshake takes over.
+ */
+class TargetTransport {
+  constructor(target, { targetOrigin } = {}) {
+    if (!target || typeof target.postMessage !== 'function') {
+      throwInvalidArgument('TargetTransport requires a target with postMessage().');
+    }
+    this.kind = 'target';
+    this.target = target;
+    this.targetOrigin = typeof targetOrigin === 'string' && targetOrigin.length > 0 ? targetOrigin : null;
+    this._host = null;
+    this._isWindow = isWindowTarget(target);
+    this._boundMessage = this._handleMessage.bind(this);
+  }
+
+  get connected() {
+    return Boolean(this._host) && !(this._isWindow && this.target.closed);
+  }
+
+  connect(host) {
+    this.disconnect();
+    this._host = host;
+    this._messageSource().addEventListener('message', this._boundMessage);
+    if (!this._isWindow) {
+      this.target.start?.();
+    }
+    setTimeout(() => this._host?.loaded('target-connect'), 0);
+  }
+
+  disconnect() {
+    this._messageSource()?.removeEventListener('message', this._boundMessage);
+    this._host = null;
+  }
+
+  post(message, { targetOrigin } = {}) {
+    if (!this.connected) {
+      throw createBrowserBoxError('hyper-frame target is not connected.', {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+      });
+    }
+    if (this._isWindow) {
+      this.target.postMessage(message, targetOrigin ?? this.targetOrigin ?? this._host.origin());
+      return;
+    }
+    this.target.postMessage(message);
+  }
+
+  _messageSource() {
+    return this._isWindow ? globalThis : this.target;
+  }
+
+  _handleMessage(event) {
+    if (this._isWindow) {
+      if (event.source !== this.target) {
+        return;
+      }
+      const expected = this.targetOrigin;
+      if (expected ? (expected !== '*' && event.origin !== expected) : !this._host?.acceptsOrigin(event.origin)) {
+        return;
+      }
+    }
+    this._host?.receive({
+      data: event.data,
+      origin: event.origin || '',
+      source: this.target,
+    });
+  }
+}
+
+function isWindowTarget(target) {
+  try {
+    return target.window === target;
+  } catch {
+    return false;
+  }
+}
+
+const DEFAULT_IFRAME_ALLOW_FEATURES = [
+  'accelerometer',
+  'camera',
+  'encrypted-media',
+  'display-capture',
+  'geolocation',
+  'gyroscope',
+  'microphone',
+  'midi',
+  'clipboard-read',
+  'clipboard-write',
+  'web-share',
+  'fullscreen',
+];
+const MEDIA_ALLOW_FEATURES = new Set(['camera', 'microphone', 'display-capture']);
+
+function normalizeMediaPermissions(value) {
+  return String(value || '').trim().toLowerCase() === 'none' ? 'none' : 'default';
+}
+
+function normalizeSessionUnloadWarning(value) {
+  return String(value || '').trim().toLowerCase() === 'none' ? 'none' : 'default';
+}
+
+function normalizeBeforeUnloadBehavior(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  if (raw === 'allow' || raw === 'leave') return 'allow';
+  if (raw === 'block' || raw === 'remain') return 'block';
+  return 'default';
+}
+
+function computeIframeAllow(mediaPermissions) {
+  const features = normalizeMediaPermissions(mediaPermissions) === 'none'
+    ? DEFAULT_IFRAME_ALLOW_FEATURES.filter((f) => !MEDIA_ALLOW_FEATURES.has(f))
+    : DEFAULT_IFRAME_ALLOW_FEATURES;
+  return features.join('; ');
+}
+
+function createMemoryStorage() {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => {
+      values.set(key, String(value));
+    },
+    removeItem: (key) => {
+      values.delete(key);
+    },
+  };
+}
+
+/**
+ * Headless BrowserBox session: the protocol, policy, event, retry and legacy
+ * logic behind <hyper-frame>, with no dependency on `document`, `window` or
+ * `localStorage`. Give it any postMessage-capable `target` (an iframe window,
+ * Worker or MessagePort) or a `transport`, then call `attach()`.
+ *
+ * - `options` — initial settings, keyed by the element's attribute names
+ * - `storage` — `localStorage`-like store for the routing mid and
+ *   first-load-cleanse markers (default: in memory)
+ * - `eventTarget` — where events are dispatched (default: the controller)
+ * - `getOption` / `setOption` / `host` — used by the element to keep
+ *   attributes as the source of truth and to drive the iframe
+ *
+ * @example
+ * const session = new HyperFrameController({
+ *   target: worker,
+ *   options: { 'interaction-mode': 'view-only' },
+ * });
+ * session.attach();
+ * await session.whenReady();
+ * const tabs = await session.tabs.list();
+ */
+class HyperFrameController extends EventTarget {
+  constructor({
+    target = null,
+    targetOrigin,
+    transport = null,
+    options = {},
+    getOption = null,
+    setOption = null,
+    storage = null,
+    eventTarget = null,
+    host = null,
+  } = {}) {
+    super();
+    const initialTransport = transport ?? (target ? new TargetTransport(target, { targetOrigin }) : null);
+    if (!isTransport(initialTransport)) {
+      throwInvalidArgument('HyperFrameController requires a postMessage target or a transport.');
+    }
+    if (options !== null && options !== undefined) {
+      assertPlainObject(options, 'HyperFrameController options');
+    }
+    this._optionValues = new Map();
+    for (const [name, value] of Object.entries(options || {})) {
+      if (value !== null && value !== undefined && value !== false) {
+        this._optionValues.set(name, String(value));
+      }
+    }
+    this._readOption = typeof getOption === 'function'
+      ? getOption
+      : (name) => this._optionValues.get(name) ?? null;
+    this._writeOption = typeof setOption === 'function'
+      ? setOption
+      : (name, value) => {
+        const previous = this._readOption(name);
+        if (value === null) {
+          this._optionValues.delete(name);
+        } else {
+          this._optionValues.set(name, value);
+        }
+        this._handleOptionChanged(name, previous, value);
+      };
+    this._storage = storage ?? createMemoryStorage();
+    this._eventTarget = eventTarget ?? this;
+    this._host = host ?? {};
+    this._attached = false;
+
+    this._requestSeq = 0;
+    this._pending = new Map();
+    this._reconnectQueue = new Map();
+    this._replayPolicyOverrides = {};
+    this._retryPolicy = null;
+    this._idempotentCalls = new Map();
+    this._apiMethods = [];
+    this._apiFeatures = [];
+    this._isReady = false;
+    this._usable = false;
+    this._readyPromise = Promise.resolve(true);
+    this._initPingTimer = null;
+    this._transportMode = 'unknown';
+    this._tabStore = createTabStore();
+    this._quotaUsage = new Map();
+    this._reportedInteractionModeError = null;
+    this._reportedPolicyConstraintError = null;
+    this._emulatedTabLayout = createEmulatedTabLayout();
+    this._tabReconcile = null;
+    this._tabReconcileQueued = null;
+    this._tabCleanse = null;
+
+    // Remote load retry state
+    this._iframeRetryCount = 0;
+    this._iframeRetryMax = 5;
+    this._iframeRetryPingThreshold = 30; // pings (1s each) before retry — covers ~90s cold starts
+    this._initPingCount = 0;
+    this._reconnectStopped = false;
+    this._silentRecoveryUsed = false;
+
+    // Mid routing durability handshake state
+    this._routingMid = '';
+    this._midStorageKey = 'bbx.embedder.mid';
+    this._midSyncAcked = false;
+    this._midSyncTimer = null;
+    this._midSyncAttempt = 0;
+    this._midSyncMaxAttempts = 90;
+    this._midSyncIntervalMs = 1000;
+
+    // UI config sync state (embedder → BrowserBox)
+    this._uiSyncAcked = false;
+    this._serverPolicySnapshot = null;
+    this._policyToken = this._option('policy-token') || this._option('policy-key')
+      ? { status: 'pending' }
+      : { status: 'none' };
+    this._policyTokenSeq = 0;
+    this._policyTokenTimer = null;
+    this._policyTokenVerification = null;
+    this._pinnedPolicyKey = null;
+    this._policySnapshot = this._resolvePolicySnapshot();
+    this._capabilityMap = this._buildCapabilityMap(this._policySnapshot);
+    INTERACTION_MODE_CONTROLLERS.add(new WeakRef(this));
+    this._policySnapshotCache = {
+      source: null,
+      value: null,
+    };
+    this._eventSubscribers = new Set();
+    this._eventSeq = 0;
+    this._recorders = new Map();
+    this._interceptors = new Map([...INTERCEPT_KINDS].map((kind) => [kind, new Set()]));
+    this._urlPolicy = null;
+    this._augmentRegistry = new Map();
+    this._pageAugmentRefreshScheduled = false;
+    this._lastError = null;
+
+    this._defaultTransport = initialTransport;
+    this._transport = initialTransport;
+    this._transportHost = Object.freeze({
+      receive: (event) => this._handleMessage(event),
+      loaded: () => this._handleLoad(),
+      origin: () => this._outboundTargetOrigin(),
+      acceptsOrigin: (origin) => this._validateIncomingOrigin(origin),
+    });
+    this._resetReadyPromise();
+    this.tabs = createTabsNamespace(this);
+    this.page = createPageNamespace(this);
+    this.capture = createCaptureNamespace(this);
+    this.augment = createAugmentApi(this);
+    this.policy = createPolicyNamespace(this);
+    this.session = createSessionFacade(this);
+    if (this._policyToken.status === 'pending') {
+      this._verifyPolicyToken('init');
+    }
+  }
+
+  /** Start exchanging messages over the transport. */
+  attach() {
+    if (this._attached) {
+      return;
+    }
+    this._attached = true;
+    this._transport.connect(this._transportHost);
+  }
+
+  /** Stop exchanging messages and reject outstanding calls. `attach()` resumes. */
+  detach() {
+    if (!this._attached) {
+      return;
+    }
+    this._attached = false;
+    this._transport.disconnect();
+    this._stopInitPing();
+    this._stopMidSync();
+    this._rejectPending(createBrowserBoxError('hyper-frame disconnected.', {
+      code: ERROR_CODES.TRANSPORT,
+      retriable: true,
+      status: 503,
+    }));
+    this._setUsable(false, 'disconnected');
+    this._emitBrowserBoxEvent('disconnected', {});
+  }
+
+  get attached() {
+    return this._attached;
+  }
+
+  /**
+   * Read a setting by its attribute name, e.g. `'interaction-mode'`.
+   * @param {string} name
+   * @returns {string|null}
+   */
+  getOption(name) {
+    return this._option(assertNonEmptyString(name, 'getOption(name)'));
+  }
+
+  /**
+   * Change a setting by its attribute name. `null`, `undefined` and `false`
+   * remove it.
+   * @param {string} name
+   * @param {*} value
+   */
+  setOption(name, value) {
+    this._setOption(assertNonEmptyString(name, 'setOption(name, value)'), value);
+  }
 
-    const style = document.createElement('style');
-    style.textContent = `
-      :host {
-        display: block;
-        margin: 0;
-        padding: 0;
-        overflow: hidden;
-        outline: none;
-        position: relative;
-      }
-      :host(:focus), :host(:focus-visible) {
-        outline: none;
-      }
-      .bbx-shell {
-        position: relative;
-        width: 100%;
-        height: 100%;
-        overflow: hidden;
-        background: transparent;
-      }
-      iframe {
-        border: none;
-        width: 100%;
-        height: 100%;
-        margin: 0;
-        padding: 0;
-        display: block;
-        outline: none;
-        position: absolute;
-        inset: 0;
-      }
-      iframe:focus, iframe:focus-visible {
-        outline: none;
+  _option(name) {
+    return this._readOption(name) ?? null;
+  }
+
+  _setOption(name, value) {
+    const next = value === null || value === undefined || value === false ? null : String(value);
+    if (next === this._option(name)) {
+      return;
+    }
+    this._writeOption(name, next);
+  }
+
+  _handleOptionChanged(name, oldValue, newValue) {
+    if (oldValue === newValue) {
+      return;
+    }
+    if (name === 'login-link') {
+      this._isReady = false;
+      this._apiMethods = [];
+      this._apiFeatures = [];
+      this._transportMode = 'unknown';
+      this._tabStore.clear();
+      this._quotaUsage.clear();
+      this._emulatedTabLayout = createEmulatedTabLayout();
+      this._iframeRetryCount = 0;
+      this._initPingCount = 0;
+      this._reconnectStopped = false;
+      this._silentRecoveryUsed = false;
+      this._idempotentCalls.clear();
+      this._resetReadyPromise();
+      this._host.reset?.('login-link-changed');
+      this._rejectPending(createBrowserBoxError('hyper-frame source changed.', {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+      }));
+      this._emitBrowserBoxEvent('disconnected', {
+        reason: 'login-link-changed',
+      });
+      this._startMidSync('login-link-changed');
+      return;
+    }
+    if (name === 'ui-visible' || name === 'allow-user-toggle-ui') {
+      this._sendUISync('attribute-changed');
+      return;
+    }
+    if (name === 'media-permissions') {
+      this._sendUISync('media-permissions-attribute-changed');
+      return;
+    }
+    if (name === 'session-unload-warning') {
+      this._sendUISync('session-unload-warning-attribute-changed');
+      return;
+    }
+    if (name === 'beforeunload-behavior') {
+      this._sendUISync('beforeunload-behavior-attribute-changed');
+      return;
+    }
+    if (name === 'retry-policy') {
+      this._retryPolicy = null;
+      return;
+    }
+    if (name === 'tabs') {
+      this._scheduleTabReconcile('attribute-changed');
+      return;
+    }
+    if (name === 'reconnect-mode' && this.reconnectMode !== 'queue-while-reconnecting') {
+      this._rejectReconnectQueue(createBrowserBoxError('hyper-frame reconnect queue disabled.', {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+      }));
+      return;
+    }
+    if (name === 'url-policy') {
+      this._urlPolicy = null;
+      this._sendUISync('url-policy-attribute-changed');
+      return;
+    }
+    if (name === 'policy-token' || name === 'policy-key') {
+      this._verifyPolicyToken(`${name}-changed`);
+      return;
+    }
+    if (name === 'policy' || name === 'interaction-mode' || name === 'chrome' || name === 'augment-root' || name === 'capture') {
+      if (name === 'chrome') {
+        this._sendUISync('chrome-attribute-changed');
       }
-      .bbx-layer {
-        position: absolute;
-        inset: 0;
-        pointer-events: none;
+      if (name === 'policy') {
+        this._urlPolicy = null;
+        this._sendUISync('policy-attribute-changed');
       }
-      .bbx-layer[data-space="toast"] {
-        inset: auto 0 0 auto;
-        display: flex;
-        flex-direction: column;
-        align-items: flex-end;
-        gap: 12px;
-        padding: 12px;
-        max-width: min(420px, 100%);
+      this._refreshPolicyState('attribute-changed');
+    }
+  }
+
+  _resolveUrlPolicy() {
+    if (this._urlPolicy) {
+      return this._urlPolicy;
+    }
+    const parse = (name) => {
+      const raw = this._option(name);
+      if (!raw) {
+        return null;
       }
-      .bbx-augment {
-        box-sizing: border-box;
-        color: #fff;
-        font: 13px/1.4 system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        console.error(`[hyper-frame] failed to parse ${name} attribute.`, { [name]: raw, error });
+        return null;
       }
-      .bbx-augment[data-interactive="true"] {
-        pointer-events: auto;
+    };
+    this._urlPolicy = compileUrlPolicy(parse('url-policy'), parse('policy')?.urls);
+    return this._urlPolicy;
+  }
+
+  _urlPolicySummary() {
+    const policy = this._resolveUrlPolicy();
+    return {
+      allow: policy.allow.map(describeUrlRule),
+      deny: policy.deny.map(describeUrlRule),
+    };
+  }
+
+  /** Throw (and emit `policy-denied`) if `url` breaks the URL policy. */
+  _assertUrlAllowed(kind, url, { method, source = 'embedder-url-policy' } = {}) {
+    const violation = findUrlPolicyViolation(this._resolveUrlPolicy(), url);
+    if (!violation) {
+      return;
+    }
+    this._emitBrowserBoxEvent('policy-denied', {
+      error: `URL policy denied ${kind}: ${url}`,
+      url,
+      reason: violation.reasonCode,
+      rule: violation.rule,
+      policyDenied: {
+        action: kind,
+        reasonCode: violation.reasonCode,
+        url,
+        rule: violation.rule,
+        decisionSchemaVersion: 'embedder-policy/v1',
+        source,
+      },
+    });
+    throw createBrowserBoxError(`hyper-frame URL policy denied ${kind} to '${url}'.`, {
+      code: ERROR_CODES.POLICY_DENIED,
+      status: 403,
+      ...(method ? { method } : {}),
+      url,
+      reason: violation.reasonCode,
+      rule: violation.rule,
+      source,
+    });
+  }
+
+  /**
+   * Run the interceptors for `kind`. Stops at the first denial; a redirect
+   * hands the new URL to the next handler. A throwing handler denies.
+   */
+  async _runInterceptors(kind, request) {
+    let url = request.url;
+    let redirected = false;
+    for (const handler of [...this._interceptors.get(kind)]) {
+      let decision;
+      try {
+        decision = normalizeInterceptDecision(await handler({ ...request, kind, url }));
+      } catch (error) {
+        console.error('[hyper-frame] interceptor failed; denying', { kind, url, error });
+        return { action: 'deny', url, reason: 'interceptor-error' };
       }
-      .bbx-augment-surface {
-        position: absolute;
-        inset: 0;
+      if (decision.action === 'deny') {
+        return { action: 'deny', url, reason: decision.reason };
       }
-      .bbx-augment-content {
-        width: 100%;
-        height: 100%;
+      if (decision.action === 'redirect') {
+        url = decision.url;
+        redirected = true;
       }
-      .bbx-augment-panel,
-      .bbx-augment-sidebar,
-      .bbx-augment-toolbar,
-      .bbx-augment-note,
-      .bbx-augment-badge,
-      .bbx-augment-custom,
-      .bbx-augment-toast {
-        background: rgba(24, 24, 27, 0.92);
-        border: 1px solid rgba(255, 255, 255, 0.16);
-        border-radius: 12px;
-        box-shadow: 0 18px 40px rgba(0, 0, 0, 0.35);
-        padding: 12px;
-        backdrop-filter: blur(10px);
+    }
+    return { action: redirected ? 'redirect' : 'allow', url };
+  }
+
+  _emitInterceptorDenial(kind, url, reason, source) {
+    this._emitBrowserBoxEvent('policy-denied', {
+      error: `Interceptor denied ${kind}: ${url}`,
+      url,
+      reason,
+      policyDenied: {
+        action: kind,
+        reasonCode: 'interceptor-denied',
+        url,
+        reason,
+        decisionSchemaVersion: 'embedder-policy/v1',
+        source,
+      },
+    });
+  }
+
+  async _interceptCall(method, args, { signal } = {}) {
+    const { kind, read, write } = INTERCEPTED_METHODS[method];
+    const request = { ...read(args), method, source: 'local' };
+    if (this._interceptors.get(kind).size === 0) {
+      this._assertUrlAllowed(kind, request.url, { method });
+      return args;
+    }
+    const decision = await this._runInterceptors(kind, request);
+    assertNotAborted(signal, { method });
+    if (decision.action === 'deny') {
+      this._emitInterceptorDenial(kind, request.url, decision.reason, 'host-interceptor');
+      throw createBrowserBoxError(`hyper-frame interceptor denied ${kind} to '${request.url}'.`, {
+        code: ERROR_CODES.POLICY_DENIED,
+        status: 403,
+        method,
+        url: request.url,
+        reason: decision.reason,
+        source: 'host-interceptor',
+      });
+    }
+    this._assertUrlAllowed(kind, decision.url, { method });
+    return decision.action === 'redirect' ? write(args, decision.url) : args;
+  }
+
+  async _handleNavigationRequest(data = {}) {
+    const kind = INTERCEPT_KINDS.has(data.kind) ? data.kind : 'navigate';
+    const url = typeof data.url === 'string' ? data.url : '';
+    let decision = this._interceptors.get(kind).size === 0
+      ? { action: 'allow', url }
+      : await this._runInterceptors(kind, {
+        url,
+        tabId: typeof data.tabId === 'string' ? data.tabId : null,
+        source: 'remote',
+      });
+    if (decision.action === 'deny') {
+      this._emitInterceptorDenial(kind, url, decision.reason, 'host-interceptor+remote');
+    } else {
+      try {
+        this._assertUrlAllowed(kind, decision.url, { source: 'embedder-url-policy+remote' });
+      } catch (error) {
+        decision = { action: 'deny', url: decision.url, reason: error.reason, rule: error.rule };
       }
-      .bbx-augment-toolbar {
-        border-radius: 999px;
+    }
+    this._postRaw({
+      type: 'bbx-navigation-decision',
+      requestId: data.requestId,
+      data: decision,
+    });
+  }
+
+  // A navigation request that could not be decided is denied, so BrowserBox
+  // is not left waiting, and reported as a policy-error.
+  _failNavigationRequest(data, error) {
+    this._rememberError(error);
+    console.error('[hyper-frame] navigation request failed; denying', { url: data.url, error });
+    this._emitBrowserBoxEvent('policy-error', {
+      reasonCode: 'navigation-request-failed',
+      error: error instanceof Error ? error.message : String(error),
+      url: typeof data.url === 'string' ? data.url : '',
+      fallback: 'deny',
+    });
+    try {
+      this._postRaw({
+        type: 'bbx-navigation-decision',
+        requestId: data.requestId,
+        data: { action: 'deny', url: data.url, reason: 'navigation-request-failed' },
+      });
+    } catch (postError) {
+      console.warn('[hyper-frame] failed to send bbx-navigation-decision', postError);
+    }
+  }
+
+  _resetReadyPromise() {
+    this._readyPromise = new Promise((resolve) => {
+      this._resolveReady = resolve;
+    });
+  }
+
+  _setReady() {
+    if (!this._isReady) {
+      this._isReady = true;
+      this._setUsable(true, 'ready');
+      this._iframeRetryCount = 0;
+      this._reconnectStopped = false;
+      this._stopInitPing();
+      if (typeof this._resolveReady === 'function') {
+        this._resolveReady(true);
       }
-      .bbx-highlight-box {
-        position: absolute;
-        border: 2px solid rgba(250, 204, 21, 0.95);
-        background: rgba(250, 204, 21, 0.18);
-        border-radius: 8px;
-        box-shadow: 0 0 0 1px rgba(17, 24, 39, 0.18) inset;
+      this._flushReconnectQueue();
+    }
+    this._host.ready?.();
+  }
+
+  _rejectPending(error) {
+    for (const pending of this._pending.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    }
+    this._pending.clear();
+    this._rejectReconnectQueue(error);
+  }
+
+  _replayPolicyFor(method) {
+    const policy = this._replayPolicyOverrides[method] || METHOD_REPLAY_POLICY[method] || 'reject';
+    return {
+      policy,
+      group: REPLAY_GROUPS[method] || method,
+    };
+  }
+
+  _isQueueingReconnects() {
+    return this.reconnectMode === 'queue-while-reconnecting' && !this._reconnectStopped;
+  }
+
+  /**
+   * Reject in-flight requests after the remote side went away. In
+   * `queue-while-reconnecting` mode, requests whose method may be replayed
+   * are parked in the reconnect queue instead and sent again by `_setReady()`.
+   */
+  _requeuePending(error) {
+    if (!this._isQueueingReconnects()) {
+      this._rejectPending(error);
+      return;
+    }
+    for (const [requestId, pending] of this._pending) {
+      clearTimeout(pending.timer);
+      const method = pending.message.type === 'bbx-api-call'
+        ? pending.message.data?.method
+        : pending.message.type;
+      const { policy, group } = this._replayPolicyFor(method);
+      if (policy === 'reject') {
+        pending.reject(error);
+        continue;
       }
-      .bbx-highlight-box[data-tone="info"] {
-        border-color: rgba(59, 130, 246, 0.95);
-        background: rgba(59, 130, 246, 0.18);
+      this._enqueueReconnectCall({
+        id: requestId,
+        method,
+        policy,
+        group,
+        replay: () => this._dispatchPending(requestId, pending),
+        reject: pending.reject,
+      });
+    }
+    this._pending.clear();
+  }
+
+  _enqueueReconnectCall(entry) {
+    const maxAgeMs = this.reconnectQueueMaxAgeMs;
+    const queued = {
+      ...entry,
+      enqueuedAt: Date.now(),
+      expiryTimer: setTimeout(() => {
+        this._dropQueuedCall(entry.id);
+        entry.reject(createBrowserBoxError(`hyper-frame call '${entry.method}' expired after ${maxAgeMs}ms in the reconnect queue.`, {
+          code: ERROR_CODES.TIMEOUT,
+          retriable: true,
+          status: 504,
+          method: entry.method,
+          timeoutMs: maxAgeMs,
+        }));
+      }, maxAgeMs),
+    };
+    this._reconnectQueue.set(entry.id, queued);
+  }
+
+  _queueCallUntilReady(method, run, signal) {
+    const id = generateOpaqueId('bbx-queued');
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this._dropQueuedCall(id);
+        reject(createAbortError(signal, { method }));
+      };
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      const { policy, group } = this._replayPolicyFor(method);
+      this._enqueueReconnectCall({
+        id,
+        method,
+        policy,
+        group,
+        replay: () => run().then(settle(resolve), settle(reject)),
+        reject: settle(reject),
+      });
+    });
+  }
+
+  _dropQueuedCall(id) {
+    const queued = this._reconnectQueue.get(id);
+    if (!queued) {
+      return null;
+    }
+    clearTimeout(queued.expiryTimer);
+    this._reconnectQueue.delete(id);
+    return queued;
+  }
+
+  _flushReconnectQueue() {
+    if (this._reconnectQueue.size === 0) {
+      return;
+    }
+    const entries = [...this._reconnectQueue.values()];
+    for (const entry of entries) {
+      this._dropQueuedCall(entry.id);
+    }
+    const latestByGroup = new Map();
+    for (const entry of entries) {
+      if (entry.policy === 'latest') {
+        latestByGroup.set(entry.group, entry);
       }
-      .bbx-highlight-box[data-tone="success"] {
-        border-color: rgba(34, 197, 94, 0.95);
-        background: rgba(34, 197, 94, 0.18);
+    }
+    console.info('[hyper-frame] replaying calls held while reconnecting', {
+      count: entries.length,
+    });
+    for (const entry of entries) {
+      if (entry.policy === 'latest' && latestByGroup.get(entry.group) !== entry) {
+        entry.reject(createBrowserBoxError(`hyper-frame call '${entry.method}' was superseded while reconnecting.`, {
+          code: ERROR_CODES.ABORTED,
+          status: 499,
+          method: entry.method,
+          reason: 'superseded',
+        }));
+        continue;
       }
-      .bbx-highlight-box[data-tone="danger"] {
-        border-color: rgba(239, 68, 68, 0.95);
-        background: rgba(239, 68, 68, 0.18);
+      entry.replay();
+    }
+  }
+
+  _rejectReconnectQueue(error) {
+    for (const id of [...this._reconnectQueue.keys()]) {
+      this._dropQueuedCall(id)?.reject(error);
+    }
+  }
+
+  _setUsable(next, reason = '') {
+    const usable = Boolean(next);
+    if (this._usable === usable) return;
+    this._usable = usable;
+    this._emitBrowserBoxEvent('usability-changed', {
+      usable,
+      reason,
+    });
+  }
+
+  async _withRetry(task, {
+    attempts = 3,
+    baseDelayMs = 250,
+    maxDelayMs = 1500,
+    shouldRetry = () => false,
+    jitter = 0,
+    signal,
+  } = {}) {
+    let attempt = 0;
+    let lastError = null;
+    while (attempt < attempts) {
+      assertNotAborted(signal);
+      try {
+        return await task(attempt);
+      } catch (error) {
+        lastError = error;
+        attempt += 1;
+        if (attempt >= attempts || isAbortError(error) || !shouldRetry(error, attempt)) {
+          throw error;
+        }
+        const backoffMs = Math.min(maxDelayMs, baseDelayMs * (2 ** (attempt - 1)));
+        const delayMs = jitter > 0
+          ? Math.round(backoffMs * (1 - jitter + Math.random() * jitter * 2))
+          : backoffMs;
+        await sleep(Math.max(0, delayMs), signal);
       }
-    `;
-    this._augmentRoots = {
-      page: this._createAugmentLayer('page'),
-      viewport: this._createAugmentLayer('viewport'),
-      chrome: this._createAugmentLayer('chrome'),
-      session: this._createAugmentLayer('session'),
-      toast: this._createAugmentLayer('toast'),
+    }
+    throw lastError || createBrowserBoxError('hyper-frame retry failed.', {
+      code: ERROR_CODES.INTERNAL,
+      status: 500,
+    });
+  }
+
+  _resolveRetryPolicy(method, args = []) {
+    const configured = this.retryPolicy;
+    const layers = [DEFAULT_RETRY_POLICY.default, DEFAULT_RETRY_POLICY[method], configured.default];
+    for (const capability of this._capabilitiesForMethod(method, args)) {
+      layers.push(configured[capability.split('.')[0]], configured[capability]);
+    }
+    layers.push(configured[method]);
+    const resolved = Object.assign({}, ...layers.filter(Boolean));
+    const { retryOn } = resolved;
+    return {
+      ...resolved,
+      shouldRetry: Array.isArray(retryOn)
+        ? (error) => retryOn.includes(error?.code)
+        : (error) => this._isRetryableApiError(error),
     };
-    this._shell.append(
-      this.iframe,
-      this._augmentRoots.page,
-      this._augmentRoots.viewport,
-      this._augmentRoots.chrome,
-      this._augmentRoots.session,
-      this._augmentRoots.toast,
+  }
+
+  _isRetryableApiError(error) {
+    if (isAbortError(error)) {
+      return false;
+    }
+    const message = String(error?.message || '').toLowerCase();
+    return (
+      error?.retriable === true
+      || error?.code === ERROR_CODES.NOT_READY
+      || error?.code === ERROR_CODES.TIMEOUT
+      || error?.code === ERROR_CODES.TRANSPORT
+      || message.includes('timed out')
+      || message.includes('not ready')
+      || message.includes('disconnected')
+      || message.includes('reconnect stopped')
     );
-    this.shadowRoot.append(style, this._shell);
+  }
 
-    this._requestSeq = 0;
-    this._pending = new Map();
-    this._apiMethods = [];
+  _rememberError(error) {
+    if (!error) {
+      this._lastError = null;
+      return;
+    }
+    this._lastError = {
+      code: typeof error.code === 'string' ? error.code : ERROR_CODES.INTERNAL,
+      message: error instanceof Error ? error.message : String(error),
+    };
+  }
+
+  _normalizeRemoteError(error, context = {}) {
+    if (error instanceof BrowserBoxError) {
+      return error;
+    }
+    const envelope = parseErrorEnvelope(error);
+    if (envelope) {
+      return createBrowserBoxError(envelope.message, {
+        ...envelope.details,
+        ...context,
+        code: envelope.code,
+        status: envelope.status,
+        retriable: envelope.retriable,
+      });
+    }
+    // Legacy builds only send message strings.
+    const message = error instanceof Error ? error.message : String(error || 'Unknown BrowserBox error');
+    const lower = message.toLowerCase();
+    let code = ERROR_CODES.INTERNAL;
+    let status = 500;
+    let retriable = false;
+
+    if (lower.includes('timed out')) {
+      code = ERROR_CODES.TIMEOUT;
+      status = 504;
+      retriable = true;
+    } else if (lower.includes('not ready') || lower.includes('selection is already active')) {
+      code = ERROR_CODES.NOT_READY;
+      status = 409;
+      retriable = true;
+    } else if (lower.includes('already exists')) {
+      code = ERROR_CODES.CONFLICT;
+      status = 409;
+    } else if (lower.includes('unknown api method') || lower.includes('no legacy fallback')) {
+      code = ERROR_CODES.UNSUPPORTED;
+      status = 501;
+    } else if (
+      lower.includes('requires a non-empty')
+      || lower.includes('requires an object')
+      || lower.includes('requires target.selector')
+      || lower.includes('requires selection.selector')
+      || lower.includes('requires data.method')
+      || lower.includes('requires payload')
+    ) {
+      code = ERROR_CODES.INVALID_ARGUMENT;
+      status = 400;
+    } else if (
+      lower.includes('does not exist')
+      || lower.includes('no target tab')
+      || lower.includes('no active tab')
+    ) {
+      code = ERROR_CODES.NOT_FOUND;
+      status = 404;
+    } else if (lower.includes('does not support')) {
+      code = ERROR_CODES.UNSUPPORTED;
+      status = 501;
+    } else if (lower.includes('disconnected') || lower.includes('iframe')) {
+      code = ERROR_CODES.TRANSPORT;
+      status = 503;
+      retriable = true;
+    }
+
+    return createBrowserBoxError(message, {
+      code,
+      status,
+      retriable,
+      ...context,
+      ...(error instanceof Error && error.cause !== undefined ? { cause: error.cause } : {}),
+    });
+  }
+
+  _handleLoad() {
+    if (this._reconnectStopped) {
+      return;
+    }
+    const needsReset = this._isReady;
     this._isReady = false;
-    this._usable = false;
-    this._readyPromise = Promise.resolve(true);
-    this._initPingTimer = null;
+    this._apiMethods = [];
+    this._apiFeatures = [];
     this._transportMode = 'unknown';
-    this._legacyTabsCache = [];
-
-    // Iframe connection retry state
-    this._iframeRetryCount = 0;
-    this._iframeRetryMax = 5;
-    this._iframeRetryPingThreshold = 30; // pings (1s each) before retry — covers ~90s cold starts
+    this._tabStore.clear();
     this._initPingCount = 0;
-    this._reconnectStopped = false;
-    this._silentRecoveryUsed = false;
-    this._silentRecoveryParam = 'bbx_embed_retry';
-
-    // Mid routing durability handshake state
-    this._routingMid = '';
-    this._midStorageKey = 'bbx.embedder.mid';
+    this._host.reset?.('load');
+    if (needsReset) {
+      this._iframeRetryCount = 0;
+      this._resetReadyPromise();
+      if (this._isQueueingReconnects()) {
+        this._requeuePending(createBrowserBoxError('hyper-frame reloaded.', {
+          code: ERROR_CODES.TRANSPORT,
+          retriable: true,
+          status: 503,
+        }));
+      }
+    }
     this._midSyncAcked = false;
-    this._midSyncTimer = null;
-    this._midSyncAttempt = 0;
-    this._midSyncMaxAttempts = 90;
-    this._midSyncIntervalMs = 1000;
-
-    // UI config sync state (embedder → BrowserBox iframe)
     this._uiSyncAcked = false;
-    this._serverPolicySnapshot = null;
-    this._policySnapshot = this._resolvePolicySnapshot();
-    this._capabilityMap = this._buildCapabilityMap(this._policySnapshot);
-    this._policySnapshotCache = {
-      source: null,
-      value: null,
-    };
-    this._eventSubscribers = new Set();
-    this._eventSeq = 0;
-    this._augmentRegistry = new Map();
-    this._pageAugmentRefreshScheduled = false;
-    this._resizeObserver = null;
-    this._lastError = null;
-    this._frameBootstrapTimer = null;
-    this._frameBootstrapInFlight = null;
-    this._frameBootstrapRetryTimer = null;
-    this._frameBootstrapRetryRemaining = 0;
-    this._frameBootstrapEpoch = 0;
-    this._lastSuccessfulBootstrapAt = 0;
-    this._iframeViewportKickTimer = null;
-    this._resizeBootstrapTimer = null;
-    this._lastResizeWidth = -1;
-    this._lastResizeHeight = -1;
-    this._visibilityPollTimer = null;
-    this._lastEffectiveVisibility = null;
-    this._deferredVisibilityRecheckTimer = null;
+    this._startMidSync('iframe-load');
+    this._sendUISync('iframe-load');
+    this._startInitPing();
+  }
+
+  _startInitPing() {
+    if (this._reconnectStopped) {
+      return;
+    }
+    this._stopInitPing();
+    this._initPingCount = 0;
+    this._postRaw({ type: 'init' });
+    this._initPingTimer = setInterval(() => {
+      if (this._reconnectStopped) {
+        this._stopInitPing();
+        return;
+      }
+      if (this._isReady) {
+        this._stopInitPing();
+        return;
+      }
+      this._initPingCount += 1;
+      if (this._initPingCount >= this._iframeRetryPingThreshold) {
+        if (this._iframeRetryCount < this._iframeRetryMax && typeof this._transport.reload === 'function') {
+          this._retryRemoteLoad();
+          return;
+        }
+        if (this._host.recover?.('iframe-unresponsive')) {
+          return;
+        }
+        this.stopReconnectAttempts('iframe-unresponsive');
+        return;
+      }
+      this._postRaw({ type: 'init' });
+    }, 1000);
+  }
 
-    this._boundMessage = this._handleMessage.bind(this);
-    this._boundLoad = this._handleLoad.bind(this);
-    this._boundResize = this._handleResize.bind(this);
-    this._boundVisibilityChange = () => this._handleResumeTrigger('document-visibility');
-    this._boundPageShow = () => this._handleResumeTrigger('page-show');
-    this._boundWindowFocus = () => this._handleResumeTrigger('window-focus');
+  _retryRemoteLoad() {
+    this._stopInitPing();
+    this._iframeRetryCount += 1;
+    const delay = Math.min(2000 * this._iframeRetryCount, 8000);
+    console.log(
+      `[hyper-frame] ${this._transport.kind} not responsive after ${this._iframeRetryPingThreshold}s, `
+      + `retry ${this._iframeRetryCount}/${this._iframeRetryMax} in ${delay}ms`
+    );
+    this._emitBrowserBoxEvent('iframe-retry', {
+      attempt: this._iframeRetryCount,
+      maxAttempts: this._iframeRetryMax,
+      delayMs: delay,
+    });
+    setTimeout(() => {
+      if (this._isReady || this._reconnectStopped) return;
+      this._transport.reload('retry');
+    }, delay);
+  }
+
+  /** Reset session state before the host reloads BrowserBox one last time. */
+  _beginSilentRecovery(reason) {
+    this._silentRecoveryUsed = true;
+    this._isReady = false;
+    this._apiMethods = [];
+    this._apiFeatures = [];
+    this._transportMode = 'unknown';
+    this._tabStore.clear();
+    this._iframeRetryCount = 0;
+    this._initPingCount = 0;
+    this._midSyncAcked = false;
+    this._reconnectStopped = false;
     this._resetReadyPromise();
-    this.tabs = createTabsNamespace(this);
-    this.page = createPageNamespace(this);
-    this.capture = createCaptureNamespace(this);
-    this.augment = createAugmentApi(this);
-    this.policy = createPolicyNamespace(this);
-    this.session = createSessionFacade(this);
+    this._requeuePending(createBrowserBoxError(`hyper-frame silent recovery (${reason}).`, {
+      code: ERROR_CODES.TRANSPORT,
+      retriable: true,
+      status: 503,
+      reason,
+    }));
   }
 
-  connectedCallback() {
-    window.addEventListener('message', this._boundMessage);
-    window.addEventListener('resize', this._boundResize);
-    window.addEventListener('pageshow', this._boundPageShow);
-    window.addEventListener('focus', this._boundWindowFocus);
-    document.addEventListener('visibilitychange', this._boundVisibilityChange);
-    this.iframe.addEventListener('load', this._boundLoad);
-    if (!this._resizeObserver && typeof ResizeObserver === 'function') {
-      this._resizeObserver = new ResizeObserver(() => this._handleResize());
-      this._resizeObserver.observe(this);
+  _stopInitPing() {
+    if (this._initPingTimer) {
+      clearInterval(this._initPingTimer);
+      this._initPingTimer = null;
     }
-    this._startVisibilityPolling();
-    this.updateIframe();
   }
 
-  disconnectedCallback() {
-    window.removeEventListener('message', this._boundMessage);
-    window.removeEventListener('resize', this._boundResize);
-    window.removeEventListener('pageshow', this._boundPageShow);
-    window.removeEventListener('focus', this._boundWindowFocus);
-    document.removeEventListener('visibilitychange', this._boundVisibilityChange);
-    this.iframe.removeEventListener('load', this._boundLoad);
-    this._resizeObserver?.disconnect?.();
-    this._resizeObserver = null;
-    this._invalidateFrameBootstrap('disconnected');
-    if (this._iframeViewportKickTimer) {
-      clearTimeout(this._iframeViewportKickTimer);
-      this._iframeViewportKickTimer = null;
+  _normalizeMid(value) {
+    const mid = String(value || '').trim();
+    return /^[A-Za-z0-9-]{6,64}$/.test(mid) ? mid : '';
+  }
+
+  _refreshRoutingMid(loginLink = this._option('login-link')) {
+    let storageKey = this._midStorageKey;
+    let midFromLogin = '';
+    try {
+      const parsed = new URL(loginLink || '', globalThis.location?.href);
+      storageKey = `bbx.embedder.mid:${parsed.origin}`;
+      midFromLogin = this._normalizeMid(parsed.searchParams.get('mid'));
+    } catch {
+      // Keep fallback values when login-link is not parseable.
     }
-    if (this._resizeBootstrapTimer) {
-      clearTimeout(this._resizeBootstrapTimer);
-      this._resizeBootstrapTimer = null;
+
+    let persistedMid = '';
+    try {
+      persistedMid = this._normalizeMid(this._storage.getItem(storageKey));
+    } catch {
+      // Storage may be blocked in some embedding contexts.
     }
-    if (this._deferredVisibilityRecheckTimer) {
-      clearTimeout(this._deferredVisibilityRecheckTimer);
-      this._deferredVisibilityRecheckTimer = null;
+
+    const resolvedMid = midFromLogin || persistedMid || this._routingMid;
+    this._midStorageKey = storageKey;
+    this._routingMid = resolvedMid || '';
+
+    if (midFromLogin) {
+      try {
+        this._storage.setItem(storageKey, midFromLogin);
+      } catch {
+        // Storage writes are best-effort only.
+      }
     }
-    this._stopVisibilityPolling();
-    this._stopInitPing();
-    this._stopMidSync();
-    this._rejectPending(createBrowserBoxError('hyper-frame disconnected.', {
-      code: ERROR_CODES.TRANSPORT,
-      retriable: true,
-      status: 503,
-    }));
-    this._setUsable(false, 'disconnected');
-    this._emitBrowserBoxEvent('disconnected', {});
-  }
 
-  attributeChangedCallback(name, oldValue, newValue) {
-    if (oldValue === newValue) {
-      return;
+    if (this._routingMid) {
+      this._setOption('routing-mid', this._routingMid);
+    } else {
+      this._setOption('routing-mid', null);
     }
-    if (name === 'login-link') {
-      this._isReady = false;
-      this._apiMethods = [];
-      this._transportMode = 'unknown';
-      this._legacyTabsCache = [];
-      this._iframeRetryCount = 0;
-      this._initPingCount = 0;
-      this._reconnectStopped = false;
-      this._silentRecoveryUsed = false;
-      this._lastSuccessfulBootstrapAt = 0;
-      this._resetReadyPromise();
-      this._invalidateFrameBootstrap('login-link-changed');
-      this._rejectPending(createBrowserBoxError('hyper-frame source changed.', {
-        code: ERROR_CODES.TRANSPORT,
-        retriable: true,
-        status: 503,
-      }));
-      this._emitBrowserBoxEvent('disconnected', {
-        reason: 'login-link-changed',
+    if (this._routingMid) {
+      console.info('[bbx-mid] routing mid resolved', {
+        mid: this._routingMid,
+        source: midFromLogin ? 'login-link' : (persistedMid ? 'storage' : 'memory'),
       });
-      this._updateIframeSrcFromAttribute(name);
-      this._startMidSync('login-link-changed');
-      return;
+    } else {
+      console.info('[bbx-mid] no routing mid resolved');
     }
-    if (name === 'width' || name === 'height') {
-      this._applyHostDimensions();
-      return;
+    return this._routingMid;
+  }
+
+  _postMidSync(reason = '') {
+    const mid = this._refreshRoutingMid();
+    if (!mid || !this._transport.connected) {
+      return false;
     }
-    if (name === 'ui-visible' || name === 'allow-user-toggle-ui') {
-      this._sendUISync('attribute-changed');
+    // Mid-sync messages use '*' targetOrigin because the iframe may
+    // still be navigating to the BBX origin (from parent origin).
+    // These messages contain only the routing mid, not sensitive data.
+    try {
+      this._transport.post({
+        type: 'bbx-mid-sync',
+        data: {
+          mid,
+          reason,
+          attempt: this._midSyncAttempt,
+        },
+      }, { targetOrigin: '*' });
+    } catch (error) {
+      console.warn('[bbx-mid] postMessage failed', { error: error.message });
+      return false;
+    }
+    console.info('[bbx-mid] sent sync', {
+      mid,
+      reason,
+      attempt: this._midSyncAttempt,
+    });
+    return true;
+  }
+
+  _startMidSync(reason = 'start') {
+    this._stopMidSync();
+    this._midSyncAcked = false;
+    this._midSyncAttempt = 0;
+    if (!this._postMidSync(reason)) {
       return;
     }
-    if (name === 'media-permissions') {
-      if (this.iframe) {
-        this.iframe.setAttribute('allow', computeIframeAllow(newValue));
+    this._midSyncAttempt = 1;
+    this._midSyncTimer = setInterval(() => {
+      if (this._midSyncAcked) {
+        this._stopMidSync();
+        return;
+      }
+      if (this._midSyncAttempt >= this._midSyncMaxAttempts) {
+        this._stopMidSync();
+        console.warn('[bbx-mid] sync timeout', {
+          attempts: this._midSyncAttempt,
+          mid: this._routingMid,
+        });
+        this._eventTarget.dispatchEvent(new CustomEvent('mid-sync-timeout', {
+          detail: {
+            attempts: this._midSyncAttempt,
+            mid: this._routingMid,
+          },
+        }));
+        this._setUsable(false, 'mid-sync-timeout');
+        return;
+      }
+      this._midSyncAttempt += 1;
+      this._postMidSync('retry');
+    }, this._midSyncIntervalMs);
+  }
+
+  _stopMidSync() {
+    if (this._midSyncTimer) {
+      clearInterval(this._midSyncTimer);
+      this._midSyncTimer = null;
+    }
+  }
+
+  _resolveUIConfig() {
+    const parseBool = (v, fallback) => {
+      if (v === null || v === undefined) return fallback;
+      const raw = String(v).trim().toLowerCase();
+      if (raw === 'true' || raw === '1') return true;
+      if (raw === 'false' || raw === '0') return false;
+      return fallback;
+    };
+    const chromeMode = String(this._option('chrome') || 'default').trim().toLowerCase();
+    const chromeVisibleByMode = chromeMode === 'none' ? false : true;
+    const mediaPermissions = normalizeMediaPermissions(this._option('media-permissions'));
+    const sessionUnloadWarning = normalizeSessionUnloadWarning(this._option('session-unload-warning'));
+    const beforeUnloadBehavior = normalizeBeforeUnloadBehavior(this._option('beforeunload-behavior'));
+    return {
+      uiVisible: parseBool(this._option('ui-visible'), chromeVisibleByMode),
+      allowUserToggleUI: parseBool(this._option('allow-user-toggle-ui'), true),
+      chromeMode,
+      mediaPermissions,
+      sessionUnloadWarning,
+      beforeUnloadBehavior,
+    };
+  }
+
+  // The attribute-driven inputs to the local policy, shared by
+  // `_resolveLocalPolicySnapshot` and `policy.explain()`.
+  _localPolicySources() {
+    const interactionModeRaw = this._option('interaction-mode') || 'full';
+    const requestedMode = String(interactionModeRaw).trim().toLowerCase() || 'full';
+    let interactionMode = requestedMode;
+    let preset = resolveInteractionMode(interactionMode);
+    if (preset.error) {
+      if (this._reportedInteractionModeError !== interactionMode) {
+        this._reportedInteractionModeError = interactionMode;
+        console.error(`[hyper-frame] ${preset.error} Falling back to view-only.`, { mode: interactionMode });
+        const detail = {
+          reasonCode: 'unknown-interaction-mode',
+          error: preset.error,
+          mode: interactionMode,
+          fallback: 'view-only',
+        };
+        // Deferred so listeners added right after construction still hear it,
+        // and dropped if the mode was registered in the meantime.
+        queueMicrotask(() => {
+          if (this._reportedInteractionModeError === requestedMode) {
+            this._emitBrowserBoxEvent('policy-error', detail);
+          }
+        });
+      }
+      interactionMode = 'view-only';
+      preset = resolveInteractionMode(interactionMode);
+    } else {
+      this._reportedInteractionModeError = null;
+    }
+    let capabilityOverride = {};
+    let constraints = {};
+    const policyRaw = this._option('policy');
+    if (policyRaw) {
+      try {
+        const parsed = JSON.parse(policyRaw);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          capabilityOverride = isPolicySnapshot(parsed.apiCapabilities) ? parsed.apiCapabilities : parsed;
+          const invalid = [];
+          constraints = extractPolicyConstraints(parsed, invalid);
+          this._reportInvalidPolicyConstraints(policyRaw, invalid);
+        } else {
+          console.error('[hyper-frame] policy attribute must decode to an object.', {
+            policy: policyRaw,
+          });
+        }
+      } catch (error) {
+        console.error('[hyper-frame] failed to parse policy attribute.', {
+          policy: policyRaw,
+          error,
+        });
+      }
+    }
+    const captureMode = String(this._option('capture') || 'snapshot').trim().toLowerCase();
+    const captureOverride = {
+      capture: {
+        frame: captureMode !== 'off',
+        viewport: captureMode !== 'off',
+        stream: captureMode === 'sampled',
+      },
+    };
+    return { requestedMode, interactionMode, preset, capabilityOverride, constraints, captureMode, captureOverride };
+  }
+
+  // Whether the requested mode is `mode`, or extends it, or is waiting on
+  // it as an unregistered parent.
+  _usesInteractionMode(mode) {
+    const seen = new Set();
+    let current = String(this._option('interaction-mode') || 'full').trim().toLowerCase() || 'full';
+    while (current && !seen.has(current)) {
+      if (current === mode) {
+        return true;
       }
-      this._sendUISync('media-permissions-attribute-changed');
-      return;
+      seen.add(current);
+      current = CUSTOM_INTERACTION_MODES.get(current)?.extends;
     }
-    if (name === 'session-unload-warning') {
-      this._sendUISync('session-unload-warning-attribute-changed');
+    return false;
+  }
+
+  _reportInvalidPolicyConstraints(policyRaw, invalid) {
+    if (invalid.length === 0) {
+      this._reportedPolicyConstraintError = null;
       return;
     }
-    if (name === 'beforeunload-behavior') {
-      this._sendUISync('beforeunload-behavior-attribute-changed');
+    if (this._reportedPolicyConstraintError === policyRaw) {
       return;
     }
-    if (name === 'policy' || name === 'interaction-mode' || name === 'chrome' || name === 'augment-root' || name === 'capture') {
-      if (name === 'chrome') {
-        this._sendUISync('chrome-attribute-changed');
-      }
-      this._refreshPolicyState('attribute-changed');
-    }
+    this._reportedPolicyConstraintError = policyRaw;
+    console.error('[hyper-frame] ignoring invalid time windows in the policy attribute.', { invalid });
+    const detail = {
+      reasonCode: 'invalid-policy-constraint',
+      error: 'time windows must be a non-empty list of { days?, start, end, timeZone? }.',
+      invalid,
+      fallback: 'ignore-windows',
+    };
+    queueMicrotask(() => this._emitBrowserBoxEvent('policy-error', detail));
   }
 
-  _resetReadyPromise() {
-    this._readyPromise = new Promise((resolve) => {
-      this._resolveReady = resolve;
+  _resolveLocalPolicySnapshot() {
+    const {
+      interactionMode,
+      preset,
+      capabilityOverride,
+      constraints,
+      captureMode,
+      captureOverride,
+    } = this._localPolicySources();
+    // Only keys the policy attribute names override the preset.
+    const capabilities = mergePolicyTree(preset.capabilities, {
+      ...capabilityOverride,
+      capture: {
+        ...(isPolicySnapshot(capabilityOverride.capture) ? capabilityOverride.capture : {}),
+        ...captureOverride.capture,
+      },
+    });
+    return createLocalPolicySnapshot(capabilities, {
+      baselineId: `hyper-frame-${interactionMode}`,
+      constraints: mergePolicyConstraints(preset.constraints, constraints),
+      featureControls: {
+        chromeMode: String(this._option('chrome') || 'default').trim().toLowerCase(),
+        augmentRoot: String(this._option('augment-root') || 'open').trim().toLowerCase(),
+        captureMode,
+      },
     });
   }
 
-  _setReady() {
-    if (!this._isReady) {
-      this._isReady = true;
-      this._setUsable(true, 'ready');
-      this._iframeRetryCount = 0;
-      this._reconnectStopped = false;
-      this._stopInitPing();
-      if (typeof this._resolveReady === 'function') {
-        this._resolveReady(true);
-      }
+  _resolvePolicySnapshot() {
+    return this._applyPolicyToken(mergePolicySnapshots(this._serverPolicySnapshot, this._resolveLocalPolicySnapshot()));
+  }
+
+  // A verified token caps whatever the server and the attributes grant;
+  // a pending or rejected one denies everything.
+  _applyPolicyToken(snapshot) {
+    const { status, policy, alg, kid, expiresAt, error } = this._policyToken;
+    if (status === 'none') {
+      return snapshot;
     }
-    this._invalidateFrameBootstrap('ready');
-    this._scheduleFrameBootstrap('ready', 120);
-    this._startFrameBootstrapRetries('ready');
+    if (status !== 'valid') {
+      return {
+        ...snapshot,
+        apiCapabilities: intersectPolicyTrees(clonePolicyTree(POLICY_DEFAULTS), false),
+        policyToken: { status, ...(error ? { reasonCode: error.reasonCode || null } : {}) },
+      };
+    }
+    return {
+      ...snapshot,
+      apiCapabilities: intersectPolicyTrees(snapshot.apiCapabilities, policy.apiCapabilities),
+      constraints: mergePolicyConstraints(snapshot.constraints, policy.constraints),
+      policyToken: { status, alg, kid, expiresAt },
+    };
   }
 
-  _rejectPending(error) {
-    for (const pending of this._pending.values()) {
-      clearTimeout(pending.timer);
-      pending.reject(error);
+  /**
+   * (Re)verify `policy-token` against `policy-key`. The first key that
+   * verifies is pinned: removing or swapping it later is a failure.
+   */
+  _verifyPolicyToken(reason) {
+    const token = this._option('policy-token');
+    const keyRaw = this._option('policy-key');
+    const seq = ++this._policyTokenSeq;
+    clearTimeout(this._policyTokenTimer);
+    this._policyTokenTimer = null;
+    if (!token && !keyRaw && this._pinnedPolicyKey === null) {
+      this._policyToken = { status: 'none' };
+      this._policyTokenVerification = null;
+      this._refreshPolicyState(reason);
+      return Promise.resolve();
+    }
+    this._policyToken = { status: 'pending' };
+    this._refreshPolicyState(reason);
+    this._policyTokenVerification = (async () => {
+      try {
+        if (!keyRaw) {
+          throw policyTokenError('policy-key-missing', 'cannot be verified without a policy-key.');
+        }
+        let jwk;
+        try {
+          jwk = JSON.parse(keyRaw);
+        } catch {
+          jwk = null;
+        }
+        if (!isPolicySnapshot(jwk)) {
+          throw policyTokenError('policy-key-invalid', 'cannot be verified: policy-key must be a JWK object.');
+        }
+        const fingerprint = JSON.stringify(jwk);
+        if (this._pinnedPolicyKey !== null && this._pinnedPolicyKey !== fingerprint) {
+          throw policyTokenError('policy-key-changed', 'cannot be verified: policy-key changed after it was first trusted.');
+        }
+        if (!token) {
+          throw policyTokenError('policy-token-missing', 'is missing.');
+        }
+        const result = await verifyPolicyToken(token, jwk);
+        if (seq !== this._policyTokenSeq) {
+          return;
+        }
+        this._pinnedPolicyKey = fingerprint;
+        this._policyToken = { status: 'valid', ...result };
+        if (result.expiresAt !== null) {
+          this._policyTokenTimer = setTimeout(
+            () => this._verifyPolicyToken('policy-token-expired'),
+            Math.min(Math.max(0, result.expiresAt - Date.now()), 2 ** 31 - 1),
+          );
+          this._policyTokenTimer.unref?.();
+        }
+        this._refreshPolicyState('policy-token-verified');
+      } catch (error) {
+        if (seq !== this._policyTokenSeq) {
+          return;
+        }
+        this._policyToken = { status: 'invalid', error };
+        this._refreshPolicyState('policy-token-rejected');
+        console.error('[hyper-frame] policy token rejected; denying every capability.', {
+          reasonCode: error?.reasonCode,
+          error,
+        });
+        this._emitBrowserBoxEvent('policy-error', {
+          reasonCode: error?.reasonCode || 'policy-token-invalid',
+          error: error?.message || String(error),
+          fallback: 'deny-all',
+        });
+      }
+    })();
+    return this._policyTokenVerification;
+  }
+
+  _buildCapabilityMap(policySnapshot) {
+    const policyCapabilities = flattenPolicyTree(extractApiCapabilities(policySnapshot));
+    const resolved = {};
+    for (const [capability, allowedByPolicy] of Object.entries(policyCapabilities)) {
+      resolved[capability] = Boolean(allowedByPolicy) && Boolean(IMPLEMENTED_CAPABILITIES[capability]);
     }
-    this._pending.clear();
+    return resolved;
   }
 
-  _setUsable(next, reason = '') {
-    const usable = Boolean(next);
-    if (this._usable === usable) return;
-    this._usable = usable;
-    this._emitBrowserBoxEvent('usability-changed', {
-      usable,
-      reason,
-    });
+  _invalidatePolicySnapshotCache() {
+    this._policySnapshotCache.source = null;
+    this._policySnapshotCache.value = null;
   }
 
-  _createAugmentLayer(space) {
-    const layer = document.createElement('div');
-    layer.className = 'bbx-layer';
-    layer.dataset.space = space;
-    return layer;
+  _getPolicySnapshotView() {
+    if (this._policySnapshotCache.source === this._policySnapshot && this._policySnapshotCache.value) {
+      return this._policySnapshotCache.value;
+    }
+
+    const snapshotView = createPolicySnapshotView(this._policySnapshot);
+    this._policySnapshotCache.source = this._policySnapshot;
+    this._policySnapshotCache.value = snapshotView;
+    return snapshotView;
   }
 
-  _handleResize() {
-    const w = this.clientWidth;
-    const h = this.clientHeight;
-    const RESIZE_TOLERANCE_PX = 2;
+  _refreshPolicyState(reason = 'refresh') {
+    const previousPolicy = JSON.stringify(this._policySnapshot);
+    const previousCapabilities = JSON.stringify(this._capabilityMap);
+    const nextPolicySnapshot = this._resolvePolicySnapshot();
+    const nextCapabilityMap = this._buildCapabilityMap(nextPolicySnapshot);
+
     if (
-      this._lastResizeWidth >= 0
-      && this._lastResizeHeight >= 0
-      && Math.abs(w - this._lastResizeWidth) <= RESIZE_TOLERANCE_PX
-      && Math.abs(h - this._lastResizeHeight) <= RESIZE_TOLERANCE_PX
-    ) return;
-    this._lastResizeWidth = w;
-    this._lastResizeHeight = h;
-    this._emitBrowserBoxEvent('viewport.resized', {
-      width: w,
-      height: h,
+      previousPolicy === JSON.stringify(nextPolicySnapshot)
+      && previousCapabilities === JSON.stringify(nextCapabilityMap)
+    ) {
+      return;
+    }
+
+    this._policySnapshot = nextPolicySnapshot;
+    this._capabilityMap = nextCapabilityMap;
+    this._invalidatePolicySnapshotCache();
+    this._emitBrowserBoxEvent('policy.changed', {
+      reason,
+      policy: this._getPolicySnapshotView(),
+      capabilities: { ...this._capabilityMap },
     });
-    this._schedulePageAugmentRefresh();
-    this._sendViewportReset('viewport-resized');
-    if (this._resizeBootstrapTimer) clearTimeout(this._resizeBootstrapTimer);
-    this._resizeBootstrapTimer = setTimeout(() => {
-      this._resizeBootstrapTimer = null;
-      this._invalidateFrameBootstrap('resize-settled');
-      this._scheduleFrameBootstrap('resize-settled', 0);
-    }, 450);
   }
 
-  _stopFrameBootstrap() {
-    if (this._frameBootstrapTimer) {
-      clearTimeout(this._frameBootstrapTimer);
-      this._frameBootstrapTimer = null;
+  _capabilitiesForMethod(method, args = []) {
+    if (method === 'captureFrame') {
+      const scope = String(args?.[0]?.scope || 'frame').trim().toLowerCase();
+      return [scope === 'viewport' ? 'capture.viewport' : 'capture.frame'];
     }
+    const requirements = METHOD_CAPABILITY_MAP[method];
+    return Array.isArray(requirements) ? requirements : [];
   }
 
-  _stopFrameBootstrapRetries() {
-    if (this._frameBootstrapRetryTimer) {
-      clearTimeout(this._frameBootstrapRetryTimer);
-      this._frameBootstrapRetryTimer = null;
+  /**
+   * Throw POLICY_DENIED unless `capability` is granted and within its quota
+   * and time windows. `consume` counts the call against the quota.
+   */
+  _assertCapability(capability, { consume = false } = {}) {
+    if (this._capabilityMap?.[capability]) {
+      this._enforcePolicyConstraints(capability, { consume });
+      return true;
     }
-    this._frameBootstrapRetryRemaining = 0;
+    this._emitPolicyDenied(capability, 'embed-policy-denied');
+    throw BrowserBoxPolicyError.forCapability(capability);
   }
 
-  _invalidateFrameBootstrap(_reason = 'state-changed') {
-    this._frameBootstrapEpoch += 1;
-    this._stopFrameBootstrap();
-    this._stopFrameBootstrapRetries();
-    return this._frameBootstrapEpoch;
+  _emitPolicyDenied(capability, reasonCode, extra = {}) {
+    this._emitBrowserBoxEvent('policy-denied', {
+      error: `Capability denied: ${capability}`,
+      policyDenied: {
+        action: capability,
+        capability,
+        reasonCode,
+        ...extra,
+        policyId: this._policySnapshot?.policyId || POLICY_ID,
+        baselineId: this._policySnapshot?.baselineId || POLICY_BASELINE_ID,
+        decisionSchemaVersion: 'embedder-policy/v1',
+        source: this._serverPolicySnapshot ? 'server+embedder-policy' : 'embedder-policy',
+      },
+    });
   }
 
-  _kickIframeViewportGeometry() {
-    if (!this.iframe?.isConnected) {
-      return false;
-    }
-    const width = Math.max(0, Math.floor(this.clientWidth));
-    const height = Math.max(0, Math.floor(this.clientHeight));
-    if (width <= 0 || height <= 0) {
-      return false;
-    }
-    // Skip the +1px kick when using percentage sizing (embedded mode) —
-    // the kick triggers parent relayout → ResizeObserver → infinite loop.
-    const widthAttr = this.getAttribute('width') || '100%';
-    const heightAttr = this.getAttribute('height') || '100%';
-    if (!/^\d+$/.test(widthAttr) || !/^\d+$/.test(heightAttr)) {
-      return false;
-    }
-    if (this._iframeViewportKickTimer) {
-      clearTimeout(this._iframeViewportKickTimer);
-      this._iframeViewportKickTimer = null;
-    }
-    const previousWidth = this.iframe.style.width;
-    const previousHeight = this.iframe.style.height;
-    this.iframe.style.width = `${width + 1}px`;
-    this.iframe.style.height = `${height + 1}px`;
-    this._iframeViewportKickTimer = setTimeout(() => {
-      this._iframeViewportKickTimer = null;
-      this.iframe.style.width = previousWidth;
-      this.iframe.style.height = previousHeight;
-    }, 40);
-    return true;
+  _quotaUsageFor(capability, now = Date.now()) {
+    const usage = this._quotaUsage.get(capability) || { times: [], total: 0 };
+    usage.times = usage.times.filter((time) => now - time < QUOTA_LIMIT_SPANS.maxPerHour);
+    return usage;
   }
 
-  _isEffectivelyVisible() {
-    if (!this.isConnected) {
-      return false;
+  _enforcePolicyConstraints(capability, { consume = false } = {}) {
+    const constraints = this._policySnapshot?.constraints?.[capability];
+    if (!Array.isArray(constraints) || constraints.length === 0) {
+      return;
     }
-    if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
-      return false;
+    const now = Date.now();
+    const usage = this._quotaUsageFor(capability, now);
+    for (const constraint of constraints) {
+      if (constraint.windows && !constraint.windows.some((window) => isWithinTimeWindow(window, new Date(now)))) {
+        this._emitPolicyDenied(capability, 'outside-time-window', { windows: constraint.windows });
+        throw createBrowserBoxError(`hyper-frame policy only allows '${capability}' inside its time windows.`, {
+          code: ERROR_CODES.POLICY_DENIED,
+          status: 403,
+          capability,
+          reasonCode: 'outside-time-window',
+          windows: constraint.windows,
+          source: 'embedder-policy',
+        });
+      }
+      for (const [limit, spanMs] of Object.entries(QUOTA_LIMIT_SPANS)) {
+        if (!Number.isInteger(constraint[limit])) {
+          continue;
+        }
+        const recent = spanMs === Infinity ? null : usage.times.filter((time) => now - time < spanMs);
+        const used = recent ? recent.length : usage.total;
+        if (used < constraint[limit]) {
+          continue;
+        }
+        const retryAfterMs = recent?.length ? Math.max(0, spanMs - (now - recent[0])) : null;
+        this._emitPolicyDenied(capability, 'quota-exceeded', { limit, max: constraint[limit], retryAfterMs });
+        throw createBrowserBoxError(`hyper-frame policy quota exceeded for '${capability}' (${limit}: ${constraint[limit]}).`, {
+          code: ERROR_CODES.POLICY_DENIED,
+          status: 429,
+          capability,
+          reasonCode: 'quota-exceeded',
+          limit,
+          max: constraint[limit],
+          retryAfterMs,
+          source: 'embedder-policy',
+        });
+      }
     }
-    if (this.clientWidth <= 0 || this.clientHeight <= 0) {
-      return false;
+    if (consume) {
+      usage.times.push(now);
+      usage.total += 1;
+      this._quotaUsage.set(capability, usage);
     }
-    let node = this;
-    while (node && node instanceof Element) {
-      const style = window.getComputedStyle(node);
-      if (
-        style.display === 'none'
-        || style.visibility === 'hidden'
-        || Number(style.opacity) === 0
-      ) {
-        return false;
+  }
+
+  /**
+   * Explain the decision for one capability: every policy source that
+   * feeds it, in order, and the `reasonCode` of the first one that denies.
+   */
+  _explainCapability(capability) {
+    const { requestedMode, interactionMode, preset, capabilityOverride, captureMode, captureOverride } = this._localPolicySources();
+    const valueAt = (tree, path) => {
+      const value = path.split('.').reduce((node, key) => (isPolicySnapshot(node) ? node[key] : undefined), tree);
+      if (isPolicyConstraint(value)) {
+        return value.allowed !== false;
       }
-      node = node.parentElement;
-    }
-    return true;
+      return typeof value === 'boolean' ? value : null;
+    };
+    const serverValue = valueAt(extractServerCapabilities(this._serverPolicySnapshot), capability);
+    const presetValue = valueAt(preset.capabilities, capability);
+    const attributeValue = valueAt(capabilityOverride, capability);
+    const captureValue = valueAt(captureOverride, capability);
+    const token = this._policyToken;
+    const tokenValue = token.status === 'valid' ? valueAt(token.policy.apiCapabilities, capability) : null;
+    const implemented = Boolean(IMPLEMENTED_CAPABILITIES[capability]);
+    const quota = this._quotaReport()[capability] || null;
+    const chain = [
+      { source: 'server-policy', present: Boolean(this._serverPolicySnapshot), value: serverValue },
+      {
+        source: 'interaction-mode',
+        mode: interactionMode,
+        ...(requestedMode !== interactionMode ? { requestedMode } : {}),
+        value: presetValue,
+      },
+      { source: 'policy-attribute', value: attributeValue },
+      { source: 'capture-attribute', mode: captureMode, value: captureValue },
+      { source: 'policy-token', status: token.status, value: tokenValue },
+      { source: 'implemented', value: implemented },
+      {
+        source: 'constraints',
+        constraints: clonePolicyTree(this._policySnapshot?.constraints?.[capability] || []),
+        quota,
+        value: quota ? quota.withinWindow && Object.values(quota.remaining).every((remaining) => remaining > 0) : null,
+      },
+    ];
+    let localDecider = 'interaction-mode';
+    if (captureValue !== null) {
+      localDecider = 'capture-attribute';
+    } else if (attributeValue !== null) {
+      localDecider = 'policy-attribute';
+    }
+    const localValue = chain.find((step) => step.source === localDecider).value;
+    let reasonCode = null;
+    if (token.status === 'pending' || token.status === 'invalid') {
+      reasonCode = `policy-token-${token.status}`;
+    } else if (serverValue === false) {
+      reasonCode = 'server-policy-denied';
+    } else if (localValue === false) {
+      reasonCode = `${localDecider}-denied`;
+    } else if (tokenValue === false) {
+      reasonCode = 'policy-token-denied';
+    } else if (!implemented) {
+      reasonCode = 'not-implemented';
+    } else if (quota && !quota.withinWindow) {
+      reasonCode = 'outside-time-window';
+    } else if (quota && Object.values(quota.remaining).some((remaining) => remaining <= 0)) {
+      reasonCode = 'quota-exceeded';
+    }
+    const allowed = reasonCode === null && Boolean(this._capabilityMap?.[capability]);
+    return {
+      capability,
+      allowed,
+      reasonCode: allowed ? null : (reasonCode || 'embed-policy-denied'),
+      chain,
+    };
   }
 
-  _scheduleVisibilityWake(reason = 'became-visible') {
-    // If a bootstrap succeeded very recently, skip: routine focus/visibility
-    // events from the host page don't need to restart the cast pipeline.
-    // `reactivateActiveTab` / `requestFrameRefresh` deliberately reset
-    // `_lastEffectiveVisibility` so their explicit wakes bypass this cooldown.
-    const VISIBILITY_WAKE_COOLDOWN_MS = 2500;
-    const since = Date.now() - this._lastSuccessfulBootstrapAt;
-    if (this._lastSuccessfulBootstrapAt && since < VISIBILITY_WAKE_COOLDOWN_MS) {
-      console.info(`[hyper-frame] visibility wake skipped (${reason}, last success ${since}ms ago)`);
-      return;
+  _quotaReport() {
+    const report = {};
+    const now = Date.now();
+    for (const [capability, constraints] of Object.entries(this._policySnapshot?.constraints || {})) {
+      if (!this._capabilityMap?.[capability] || !Array.isArray(constraints) || constraints.length === 0) {
+        continue;
+      }
+      const usage = this._quotaUsageFor(capability, now);
+      const entry = { limits: {}, remaining: {}, withinWindow: true };
+      for (const constraint of constraints) {
+        if (constraint.windows && !constraint.windows.some((window) => isWithinTimeWindow(window, new Date(now)))) {
+          entry.withinWindow = false;
+        }
+        for (const [limit, spanMs] of Object.entries(QUOTA_LIMIT_SPANS)) {
+          if (!Number.isInteger(constraint[limit])) {
+            continue;
+          }
+          const used = spanMs === Infinity ? usage.total : usage.times.filter((time) => now - time < spanMs).length;
+          entry.limits[limit] = Math.min(entry.limits[limit] ?? Infinity, constraint[limit]);
+          entry.remaining[limit] = Math.min(entry.remaining[limit] ?? Infinity, Math.max(0, constraint[limit] - used));
+        }
+      }
+      report[capability] = entry;
     }
-    console.info(`[hyper-frame] visibility wake scheduled (${reason})`);
-    this._invalidateFrameBootstrap(`visibility-wake:${reason}`);
-    this._scheduleFrameBootstrap(reason, 50);
-    this._startFrameBootstrapRetries(reason, {
-      attempts: 6,
-      initialDelayMs: 180,
-      intervalMs: 650,
-    });
+    return report;
   }
 
-  _checkEffectiveVisibility() {
-    const nextVisible = this._isEffectivelyVisible();
-    const previousVisible = this._lastEffectiveVisibility;
-    this._lastEffectiveVisibility = nextVisible;
-    if (previousVisible === false && nextVisible === true) {
-      this._scheduleVisibilityWake('became-visible');
+  _isEventAllowed(eventName) {
+    // Policy errors must reach the embedder even when they deny events.read.
+    if (POLICY_ERROR_EVENTS.has(eventName)) {
+      return true;
+    }
+    if (!this._capabilityMap?.['events.read']) {
+      return false;
     }
+    const requiredCapability = EVENT_CAPABILITY_RULES[eventName];
+    return !requiredCapability || Boolean(this._capabilityMap?.[requiredCapability]);
   }
 
-  _handleResumeTrigger(reason = 'document-visibility') {
-    const wasVisible = this._lastEffectiveVisibility;
-    this._checkEffectiveVisibility();
-    if (wasVisible === true && this._lastEffectiveVisibility === true) {
-      this._scheduleVisibilityWake(reason);
+  _emitBrowserBoxEvent(eventName, detail = {}) {
+    // Credential values never reach listeners unless a recorder asked for them.
+    if (eventName === 'did-input' && isSensitiveInput(detail) && !this._keepsSensitiveInput()) {
+      detail = redactSensitiveInput(detail);
     }
-    // If we transitioned hidden→visible, _checkEffectiveVisibility already
-    // scheduled the wake.  But if the poll timer hasn't run yet (fast
-    // minimize/restore), wasVisible might still be true from before the hide
-    // while _lastEffectiveVisibility just flipped to true inside the check.
-    // The guard above covers that (both true → wake). For the remaining edge
-    // case where an external caller (host window manager) fires this while
-    // the component was hidden and is now visible, always force a deferred
-    // recheck so layout can settle.
-    if (!this._deferredVisibilityRecheckTimer) {
-      this._deferredVisibilityRecheckTimer = setTimeout(() => {
-        this._deferredVisibilityRecheckTimer = null;
-        this._checkEffectiveVisibility();
-      }, 120);
+    const eventNames = [eventName, ...(EVENT_ALIAS_MAP[eventName] || [])];
+    for (const name of eventNames) {
+      if (!this._isEventAllowed(name)) {
+        continue;
+      }
+      const eventDetail = detail && typeof detail === 'object' ? { ...detail } : detail;
+      this._eventTarget.dispatchEvent(new CustomEvent(name, { detail: eventDetail }));
+      this._pushEventRecord(name, eventDetail);
+    }
+    if (
+      eventName === 'page.navigated'
+      || eventName === 'page.load.stopped'
+      || eventName === 'did-navigate'
+      || eventName === 'did-stop-loading'
+      || eventName === 'viewport.resized'
+    ) {
+      this._schedulePageAugmentRefresh();
     }
   }
 
-  _startVisibilityPolling() {
-    this._stopVisibilityPolling();
-    this._lastEffectiveVisibility = this._isEffectivelyVisible();
-    this._visibilityPollTimer = setInterval(() => {
-      this._checkEffectiveVisibility();
-    }, 250);
+  _keepsSensitiveInput() {
+    return [...this._recorders.values()].some((recorder) => recorder.recordSensitiveValues);
   }
 
-  _stopVisibilityPolling() {
-    if (this._visibilityPollTimer) {
-      clearInterval(this._visibilityPollTimer);
-      this._visibilityPollTimer = null;
+  _pushEventRecord(type, detail) {
+    const tabId = this._normalizeTabId(detail);
+    const record = {
+      id: `bbx-event-${++this._eventSeq}`,
+      type,
+      detail,
+      timestamp: new Date().toISOString(),
+      sessionId: this._routingMid || null,
+      ...(tabId ? { tabId } : {}),
+    };
+    for (const subscriber of this._eventSubscribers) {
+      if (subscriber.closed || !subscriber.filter(record)) {
+        continue;
+      }
+      if (subscriber.resolve) {
+        const resolve = subscriber.resolve;
+        subscriber.resolve = null;
+        resolve({ value: record, done: false });
+        continue;
+      }
+      if (subscriber.queue.length >= subscriber.maxQueue) {
+        subscriber.queue.shift();
+      }
+      subscriber.queue.push(record);
     }
-    this._lastEffectiveVisibility = null;
   }
 
-  _scheduleFrameBootstrap(reason = 'lifecycle', delayMs = 120) {
-    this._stopFrameBootstrap();
-    this._frameBootstrapTimer = setTimeout(() => {
-      this._frameBootstrapTimer = null;
-      void this._bootstrapActiveTabFrame(reason);
-    }, Math.max(0, delayMs));
+  _schedulePageAugmentRefresh() {
+    if (this._pageAugmentRefreshScheduled) {
+      return;
+    }
+    this._pageAugmentRefreshScheduled = true;
+    scheduleMicrotask(() => {
+      this._pageAugmentRefreshScheduled = false;
+      this._refreshPageAugments().catch((error) => {
+        console.warn('[hyper-frame] failed to refresh page augments', error);
+      });
+    });
   }
 
-  _startFrameBootstrapRetries(reason = 'ready', {
-    attempts = 24,
-    initialDelayMs = 400,
-    intervalMs = 800,
-  } = {}) {
-    this._stopFrameBootstrapRetries();
-    this._frameBootstrapRetryRemaining = Math.max(0, attempts);
-    if (this._frameBootstrapRetryRemaining === 0) {
+  async _refreshPageAugments() {
+    const pageAugments = [...this._augmentRegistry.values()].filter((record) => record.spec.space === 'page');
+    if (pageAugments.length === 0) {
       return;
     }
-    const run = async () => {
-      if (!this.isConnected || this._frameBootstrapRetryRemaining <= 0) {
-        this._stopFrameBootstrapRetries();
-        return;
-      }
-      const attempt = (attempts - this._frameBootstrapRetryRemaining) + 1;
-      this._frameBootstrapRetryRemaining -= 1;
-      const ok = await this._bootstrapActiveTabFrame(`${reason}-retry-${attempt}`);
-      // A successful bootstrap means the active tab is bound and the viewport
-      // was re-asserted — additional retries would just churn the cast. Only
-      // keep retrying if the bootstrap short-circuited (dimensions, readiness,
-      // or tab lookup failed).
-      if (ok || this._frameBootstrapRetryRemaining <= 0) {
-        this._stopFrameBootstrapRetries();
-        return;
-      }
-      this._frameBootstrapRetryTimer = setTimeout(run, Math.max(250, intervalMs));
-    };
-    this._frameBootstrapRetryTimer = setTimeout(run, Math.max(0, initialDelayMs));
+    await Promise.all(pageAugments.map(async (record) => {
+      record.resolution = await this._resolveAugmentTarget(record.spec);
+      this._host.renderAugment?.(record);
+    }));
   }
 
-  async _bootstrapActiveTabFrame(reason = 'lifecycle') {
-    if (this._frameBootstrapInFlight) {
-      return this._frameBootstrapInFlight;
-    }
-    this._frameBootstrapInFlight = (async () => {
-      const bootstrapEpoch = this._frameBootstrapEpoch;
-      try {
-        if (!this.isConnected) {
-          return false;
-        }
-        if (this.clientWidth <= 0 || this.clientHeight <= 0) {
-          return false;
-        }
-        const ready = await this._ensureReadyForApi();
-        if (!ready) {
-          return false;
-        }
-        if (this._transportMode === 'unknown') {
-          await this._resolveTransport();
-        }
-        const activeTab = await this._getActiveTabInfo(null).catch(() => null);
-        const tabId = activeTab?.id || activeTab?.targetId || null;
-        if (!tabId) {
-          return false;
-        }
-        if (bootstrapEpoch !== this._frameBootstrapEpoch) {
-          return false;
-        }
-        const kickedViewportGeometry = this._kickIframeViewportGeometry();
-        if (kickedViewportGeometry) {
-          await new Promise((resolve) => setTimeout(resolve, 80));
-        }
-        if (bootstrapEpoch !== this._frameBootstrapEpoch) {
-          return false;
-        }
-        const currentTab = await this._getActiveTabInfo(null).catch(() => null);
-        const currentTabId = currentTab?.id || currentTab?.targetId || null;
-        if (!currentTabId || currentTabId !== tabId) {
-          return false;
-        }
-        const forcedViewportReset = this._sendViewportReset(`frame-bootstrap:${reason}`);
-        if (forcedViewportReset) {
-          await new Promise((resolve) => setTimeout(resolve, 80));
-        }
-        if (bootstrapEpoch !== this._frameBootstrapEpoch) {
-          return false;
-        }
-        const activeAfterReset = await this._getActiveTabInfo(null).catch(() => null);
-        const activeAfterResetId = activeAfterReset?.id || activeAfterReset?.targetId || null;
-        if (!activeAfterResetId || activeAfterResetId !== tabId) {
-          return false;
-        }
-        if (this._transportMode === 'legacy') {
-          await this._legacyCall('switchToTabById', [tabId]);
-        } else {
-          await this._request('bbx-api-call', {
-            method: 'switchToTabById',
-            args: [tabId],
-          }, {
-            timeoutMs: Math.min(this.requestTimeoutMs, 5000),
-          });
-        }
-        this._lastSuccessfulBootstrapAt = Date.now();
-        console.info(`[hyper-frame] bootstrapped frame (${reason})`, {
-          tabId,
-          transport: this._transportMode,
-          kickedViewportGeometry,
-          forcedViewportReset,
-        });
-        return true;
-      } catch (error) {
-        console.warn(`[hyper-frame] active tab frame bootstrap failed (${reason})`, {
-          error: error instanceof Error ? error.message : String(error),
-        });
-        return false;
-      } finally {
-        this._frameBootstrapInFlight = null;
-      }
-    })();
-    return this._frameBootstrapInFlight;
+  _sendUISync(reason = '') {
+    if (!this._transport.connected) return false;
+    const config = this._resolveUIConfig();
+    this._postRaw({
+      type: 'bbx-ui-sync',
+      data: {
+        uiVisible: config.uiVisible,
+        allowUserToggleUI: config.allowUserToggleUI,
+        chromeMode: config.chromeMode,
+        mediaPermissions: config.mediaPermissions,
+        sessionUnloadWarning: config.sessionUnloadWarning,
+        beforeunloadBehavior: config.beforeUnloadBehavior,
+        inputCapture: this._recorders.size > 0,
+        redactSensitiveInput: !this._keepsSensitiveInput(),
+        intercepts: [...this._interceptors].filter(([, handlers]) => handlers.size > 0).map(([kind]) => kind),
+        urlPolicy: this._urlPolicySummary(),
+        embedderOrigin: this.embedderOrigin,
+        reason,
+      },
+    });
+    return true;
+  }
+
+  _sendViewportReset(reason = '') {
+    if (!this._transport.connected) return false;
+    this._postRaw({
+      type: 'bbx-viewport-reset',
+      data: {
+        reason,
+      },
+    });
+    return true;
   }
 
-  async _withRetry(task, {
-    attempts = 3,
-    baseDelayMs = 250,
-    maxDelayMs = 1500,
-    shouldRetry = () => false,
-  } = {}) {
-    let attempt = 0;
-    let lastError = null;
-    while (attempt < attempts) {
+  /**
+   * Derive the BrowserBox iframe origin from the login-link URL.
+   * This is the origin of the iframe content, used for:
+   *   - outbound postMessage targetOrigin (webview → iframe)
+   *   - inbound origin validation (iframe → webview)
+   * Falls back to '*' during initial load before login-link is set.
+   */
+  _browserboxOrigin() {
+    const loginLink = this._option('login-link');
+    if (loginLink) {
       try {
-        return await task(attempt);
-      } catch (error) {
-        lastError = error;
-        attempt += 1;
-        if (attempt >= attempts || !shouldRetry(error, attempt)) {
-          throw error;
-        }
-        const delayMs = Math.min(maxDelayMs, baseDelayMs * (2 ** (attempt - 1)));
-        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        return new URL(loginLink).origin;
+      } catch {
+        // login-link not parseable yet
       }
     }
-    throw lastError || createBrowserBoxError('hyper-frame retry failed.', {
-      code: ERROR_CODES.INTERNAL,
-      status: 500,
-    });
+    return '*';
   }
 
-  _isRetryableApiError(error) {
-    const message = String(error?.message || '').toLowerCase();
-    return (
-      error?.retriable === true
-      || error?.code === ERROR_CODES.NOT_READY
-      || error?.code === ERROR_CODES.TIMEOUT
-      || error?.code === ERROR_CODES.TRANSPORT
-      || message.includes('timed out')
-      || message.includes('not ready')
-      || message.includes('disconnected')
-      || message.includes('reconnect stopped')
-    );
+  _outboundTargetOrigin() {
+    return this._browserboxOrigin();
   }
 
-  _rememberError(error) {
-    if (!error) {
-      this._lastError = null;
+  _validateIncomingOrigin(origin) {
+    const expected = this._browserboxOrigin();
+    return expected === '*' || origin === expected;
+  }
+
+  _normalizeTabId(detail) {
+    return tabEntryId(detail);
+  }
+
+  async _resetTabsToCleanSlate(force = false, urlOverride = null) {
+    const attrValue = this._option('first-load-cleanse');
+    if (!force && attrValue === null) return;
+    const loginLink = this._option('login-link');
+    if (!loginLink) return;
+    const storageKey = `bbx-session-init:${loginLink}`;
+    try {
+      if (this._storage.getItem(storageKey)) return;
+    } catch {
       return;
     }
-    this._lastError = {
-      code: typeof error.code === 'string' ? error.code : ERROR_CODES.INTERNAL,
-      message: error instanceof Error ? error.message : String(error),
-    };
-  }
 
-  _normalizeRemoteError(error, context = {}) {
-    if (error instanceof BrowserBoxError) {
-      return error;
+    const candidateUrl = urlOverride ?? attrValue;
+    let url = typeof candidateUrl === 'string' && candidateUrl.length > 0 ? candidateUrl : null;
+    // The replacement tab is posted raw, so vet it like any createTab call
+    // before closing anything.
+    if (url) {
+      [url] = await this._interceptCall('createTab', [url]);
     }
-    const message = error instanceof Error ? error.message : String(error || 'Unknown BrowserBox error');
-    const lower = message.toLowerCase();
-    let code = ERROR_CODES.INTERNAL;
-    let status = 500;
-    let retriable = false;
 
-    if (lower.includes('timed out')) {
-      code = ERROR_CODES.TIMEOUT;
-      status = 504;
-      retriable = true;
-    } else if (lower.includes('not ready') || lower.includes('selection is already active')) {
-      code = ERROR_CODES.NOT_READY;
-      status = 409;
-      retriable = true;
-    } else if (lower.includes('already exists')) {
-      code = ERROR_CODES.CONFLICT;
-      status = 409;
-    } else if (lower.includes('unknown api method') || lower.includes('no legacy fallback')) {
-      code = ERROR_CODES.UNSUPPORTED;
-      status = 501;
-    } else if (
-      lower.includes('requires a non-empty')
-      || lower.includes('requires an object')
-      || lower.includes('requires target.selector')
-      || lower.includes('requires selection.selector')
-      || lower.includes('requires data.method')
-      || lower.includes('requires payload')
-    ) {
-      code = ERROR_CODES.INVALID_ARGUMENT;
-      status = 400;
-    } else if (
-      lower.includes('does not exist')
-      || lower.includes('no target tab')
-      || lower.includes('no active tab')
-    ) {
-      code = ERROR_CODES.NOT_FOUND;
-      status = 404;
-    } else if (lower.includes('does not support')) {
-      code = ERROR_CODES.UNSUPPORTED;
-      status = 501;
-    } else if (lower.includes('disconnected') || lower.includes('iframe')) {
-      code = ERROR_CODES.TRANSPORT;
-      status = 503;
-      retriable = true;
+    // Close what BrowserBox has now; the store may still hold stale ids.
+    let snapshot;
+    try {
+      const tabs = await this._callApi('getTabs', [], { internal: true });
+      snapshot = Array.isArray(tabs) ? tabs : [];
+    } catch (error) {
+      console.warn('[hyper-frame] first-load cleanse could not list tabs; using the tab store.', { error });
+      snapshot = this._tabStore.entries();
+    }
+    for (let i = snapshot.length - 1; i >= 0; i--) {
+      const tabId = snapshot[i]?.id || snapshot[i]?.targetId;
+      if (tabId) this._postRaw({ type: 'closeTab', tabId, data: {} });
+    }
+    if (url) {
+      this._postRaw({ type: 'createTab', data: { url } });
+    }
+    // The raw posts are not acknowledged; the cleanse is done once the
+    // tab count shows it, and only then is the session marked as cleansed.
+    await this._callApi('waitForTabCount', [url ? 1 : 0, { timeoutMs: this.requestTimeoutMs }], { internal: true });
+    try {
+      this._storage.setItem(storageKey, '1');
+    } catch (error) {
+      console.warn('[hyper-frame] first-load cleanse could not be recorded in storage.', { error });
     }
+  }
 
-    return createBrowserBoxError(message, {
-      code,
-      status,
-      retriable,
-      ...context,
-      ...(error instanceof Error && error.cause !== undefined ? { cause: error.cause } : {}),
+  // First-load cleanse, then resync the store and reconcile declared tabs,
+  // so neither reads the tab set while the cleanse is still changing it.
+  _startTabsAfterReady(reason) {
+    const cleanse = this._resetTabsToCleanSlate()
+      .catch((error) => {
+        console.warn('[hyper-frame] first-load cleanse failed', { reason, error });
+      });
+    this._tabCleanse = cleanse;
+    cleanse.finally(() => {
+      if (this._tabCleanse === cleanse) {
+        this._tabCleanse = null;
+      }
+      this._resyncTabStore(reason);
+      this._scheduleTabReconcile(reason);
     });
   }
 
-  _handleLoad() {
-    if (this._reconnectStopped) {
+  _resyncTabStore(reason) {
+    if (!this._capabilityMap['tabs.read']) {
       return;
     }
-    const needsReset = this._isReady;
-    this._isReady = false;
-    this._apiMethods = [];
-    this._transportMode = 'unknown';
-    this._legacyTabsCache = [];
-    this._initPingCount = 0;
-    this._lastSuccessfulBootstrapAt = 0;
-    if (needsReset) {
-      this._iframeRetryCount = 0;
-      this._resetReadyPromise();
+    Promise.all([
+      this._callApi('getTabs', [], { internal: true }),
+      this._callApi('getActiveTabIndex', [], { internal: true }).catch(() => -1),
+    ]).then(([tabs, activeIndex]) => {
+      if (!Array.isArray(tabs)) {
+        return;
+      }
+      const activeTab = Number.isInteger(activeIndex) ? tabs[activeIndex] : null;
+      this._tabStore.replace(tabs, activeTab ? tabEntryId(activeTab) : undefined);
+    }).catch((error) => {
+      console.warn('[hyper-frame] failed to resync tab store', { reason, error });
+    });
+  }
+
+  _declaredTabs() {
+    const fromHost = this._host.declaredTabs?.();
+    if (fromHost) {
+      return normalizeDeclaredTabs(fromHost);
+    }
+    const tabsRaw = this._option('tabs');
+    if (!tabsRaw) {
+      return null;
+    }
+    try {
+      return normalizeDeclaredTabs(JSON.parse(tabsRaw));
+    } catch (error) {
+      console.error('[hyper-frame] failed to parse tabs attribute.', {
+        tabs: tabsRaw,
+        error,
+      });
+      return null;
     }
-    this._midSyncAcked = false;
-    this._uiSyncAcked = false;
-    this._startMidSync('iframe-load');
-    this._sendUISync('iframe-load');
-    this._startInitPing();
   }
 
-  _startInitPing() {
-    if (this._reconnectStopped) {
+  /**
+   * Queue a reconcile of the live tabs against the declared ones. Runs one at
+   * a time; requests made while one runs collapse into a single follow-up.
+   */
+  _scheduleTabReconcile(reason) {
+    if (!this._isReady) {
+      return;
+    }
+    if (this._tabReconcile) {
+      this._tabReconcileQueued = reason;
       return;
     }
-    this._stopInitPing();
-    this._initPingCount = 0;
-    this._postRaw({ type: 'init' });
-    this._initPingTimer = setInterval(() => {
-      if (this._reconnectStopped) {
-        this._stopInitPing();
-        return;
-      }
-      if (this._isReady) {
-        this._stopInitPing();
-        return;
-      }
-      this._initPingCount += 1;
-      if (this._initPingCount >= this._iframeRetryPingThreshold) {
-        if (this._iframeRetryCount < this._iframeRetryMax) {
-          this._retryIframeLoad();
-          return;
-        }
-        if (this._attemptSilentRecovery('iframe-unresponsive')) {
-          return;
-        }
-        this.stopReconnectAttempts('iframe-unresponsive');
-        return;
-      }
-      this._postRaw({ type: 'init' });
-    }, 1000);
+    this._tabReconcile = this._reconcileTabs(reason)
+      .catch((error) => {
+        console.warn('[hyper-frame] failed to reconcile declared tabs', { reason, error });
+      })
+      .finally(() => {
+        this._tabReconcile = null;
+        const queued = this._tabReconcileQueued;
+        this._tabReconcileQueued = null;
+        if (queued) {
+          this._scheduleTabReconcile(queued);
+        }
+      });
+  }
+
+  async _reconcileTabs(reason) {
+    await this._tabCleanse;
+    const declared = this._declaredTabs();
+    if (!declared) {
+      return null;
+    }
+    const live = await this._listTabs({ internal: true });
+    const previousActiveId = live.find((tab) => tab.active)?.id || null;
+    const assigned = new Array(declared.length).fill(null);
+    const unclaimed = new Set(live.map((tab) => tab.id));
+
+    // Keep tabs that already show a declared URL, then reuse the rest in order.
+    declared.forEach((entry, index) => {
+      const match = live.find((tab) => unclaimed.has(tab.id) && isSameTabUrl(tab.url, entry.url));
+      if (match) {
+        assigned[index] = match.id;
+        unclaimed.delete(match.id);
+      }
+    });
+    const navigated = [];
+    for (const [index, entry] of declared.entries()) {
+      if (assigned[index] || unclaimed.size === 0 || !entry.url) {
+        continue;
+      }
+      const reused = live.find((tab) => unclaimed.has(tab.id));
+      unclaimed.delete(reused.id);
+      await this._callApi('navigateTab', [reused.index, entry.url], { internal: true });
+      assigned[index] = reused.id;
+      navigated.push(reused.id);
+    }
+    const created = [];
+    for (const [index, entry] of declared.entries()) {
+      if (assigned[index]) {
+        continue;
+      }
+      const tab = await this._createTab({ url: entry.url, active: false }, { internal: true });
+      assigned[index] = tab?.id || null;
+      if (tab?.id) {
+        created.push(tab.id);
+      }
+    }
+    const closed = [...unclaimed];
+    for (const tabId of closed) {
+      await this._callApi('closeTabById', [tabId], { internal: true });
+    }
+
+    const declaredActiveIndex = declared.findIndex((entry) => entry.active);
+    const activeTabId = (declaredActiveIndex === -1 ? null : assigned[declaredActiveIndex])
+      || (previousActiveId && !unclaimed.has(previousActiveId) ? previousActiveId : null)
+      || assigned.find(Boolean)
+      || null;
+    if (activeTabId && (navigated.length > 0 || created.length > 0 || closed.length > 0 || activeTabId !== previousActiveId)) {
+      await this._callApi('switchToTabById', [activeTabId], { internal: true });
+    }
+    const detail = { reason, created, closed, navigated, activeTabId };
+    this._emitBrowserBoxEvent('tabs-reconciled', detail);
+    return detail;
+  }
+
+  async _listTabs({ signal, internal = false } = {}) {
+    const tabs = await this._callApi('getTabs', [], { signal, internal });
+    if (Array.isArray(tabs)) {
+      this._tabStore.replace(tabs);
+    }
+    return Array.isArray(tabs)
+      ? tabs.map((tab, index) => normalizeTabInfo(tab, index)).filter(Boolean)
+      : [];
+  }
+
+  /**
+   * `tabs.create()`: only the `createTab` call counts toward quotas; the
+   * count, wait and list calls around it are bookkeeping.
+   */
+  async _createTab(input = {}, { internal = false, intercepted = false } = {}) {
+    assertPlainObject(input, 'tabs.create(input)');
+    const { signal } = input;
+    const idempotencyKey = input.idempotencyKey === undefined
+      ? generateOpaqueId('bbx-idem')
+      : assertNonEmptyString(input.idempotencyKey, 'tabs.create({ idempotencyKey })');
+    const url = typeof input.url === 'string' ? input.url : '';
+    const shouldActivate = input.active !== false;
+    const previousActiveTab = shouldActivate
+      ? null
+      : await this._getActiveTabInfo('tabs.read', { signal, internal: true });
+    const beforeCount = await this._callApi('getTabCount', [], { signal, internal: true });
+    await this._callApi('createTab', [url], { signal, idempotencyKey, internal, intercepted });
+    await this._callApi('waitForTabCount', [beforeCount + 1, {
+      timeoutMs: this.requestTimeoutMs,
+    }], { signal, internal: true });
+    const tabs = await this._listTabs({ signal, internal: true });
+    const createdTab = tabs[tabs.length - 1] || null;
+    if (!shouldActivate && previousActiveTab?.id) {
+      await this._callApi('switchToTabById', [previousActiveTab.id], { signal, internal: true });
+    }
+    return createdTab ? { ...createdTab, idempotencyKey } : null;
+  }
+
+  async _getActiveTabInfo(capability = 'tabs.read', { signal, internal = false } = {}) {
+    if (capability) {
+      this._assertCapability(capability, { consume: !internal });
+    }
+    const activeTab = await this._request('getActiveTab', {}, { signal }).catch(rethrowIfAborted(null));
+    if (activeTab) {
+      return normalizeTabInfo({ ...activeTab, active: true }, activeTab.index);
+    }
+    const tabs = await this._callApi('getTabs', [], { signal, internal: true }).catch(rethrowIfAborted([]));
+    const activeIndex = await this._callApi('getActiveTabIndex', [], { signal, internal: true })
+      .catch(rethrowIfAborted(-1));
+    if (!Array.isArray(tabs) || activeIndex < 0 || activeIndex >= tabs.length) {
+      return null;
+    }
+    return normalizeTabInfo({ ...tabs[activeIndex], active: true }, activeIndex);
+  }
+
+  async _getPageText(options = {}) {
+    this._assertCapability('page.read');
+    const { signal, ...textOptions } = options || {};
+    try {
+      const result = await this._callApi('getPageText', [textOptions], { signal });
+      return extractEvaluateValue(result);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      const message = String(error?.message || '');
+      const missingMethod = message.includes('Unknown API method')
+        || message.includes('Unknown BrowserBox API method')
+        || message.includes('No legacy fallback');
+      if (!missingMethod) {
+        throw error;
+      }
+      const mainContentOnly = Boolean(textOptions.mainContentOnly);
+      const targetExpression = mainContentOnly
+        ? '(document.querySelector("main, article, [role=\\"main\\"]") || document.body || document.documentElement)'
+        : '(document.body || document.documentElement)';
+      const result = await this.evaluate(`(() => {
+        const root = ${targetExpression};
+        if (!root) return "";
+        return typeof root.innerText === "string" ? root.innerText : (root.textContent || "");
+      })()`, {
+        timeoutMs: Number.isFinite(textOptions.timeoutMs) ? textOptions.timeoutMs : this.requestTimeoutMs,
+        ...(textOptions.tabId ? { tabId: textOptions.tabId } : {}),
+        signal,
+      });
+      return extractEvaluateValue(result);
+    }
+  }
+
+  async _callApiDirect(method, rawArgs = [], requestOptions = {}) {
+    if (typeof method !== 'string' || method.trim().length === 0) {
+      throwInvalidArgument('hyper-frame API method requires a non-empty string.');
+    }
+    if (!Array.isArray(rawArgs)) {
+      throwInvalidArgument('hyper-frame API args must be an array.');
+    }
+    const normalizedMethod = method.trim();
+    const { args, signal: argSignal } = extractAbortSignal(rawArgs);
+    const signal = requestOptions.signal || argSignal;
+    assertNotAborted(signal, { method: normalizedMethod });
+    const ready = await this._ensureReadyForApi({ signal });
+    if (!ready) {
+      throw createBrowserBoxError(`hyper-frame API method '${normalizedMethod}' called before handshake completed.`, {
+        code: ERROR_CODES.NOT_READY,
+        retriable: true,
+        status: 409,
+        method: normalizedMethod,
+      });
+    }
+    for (const capability of this._capabilitiesForMethod(normalizedMethod, args)) {
+      this._assertCapability(capability);
+    }
+    if (this._transportMode === 'unknown') {
+      await this._resolveTransport();
+    }
+    if (this._transportMode === 'legacy') {
+      return raceAbortSignal(this._legacyCall(normalizedMethod, args), signal, { method: normalizedMethod });
+    }
+    return this._request('bbx-api-call', { method: normalizedMethod, args }, { ...requestOptions, signal });
   }
 
-  _retryIframeLoad() {
-    this._stopInitPing();
-    this._iframeRetryCount += 1;
-    const src = this.iframe.src;
-    if (!src) return;
-    const delay = Math.min(2000 * this._iframeRetryCount, 8000);
-    console.log(
-      `[hyper-frame] iframe not responsive after ${this._iframeRetryPingThreshold}s, `
-      + `retry ${this._iframeRetryCount}/${this._iframeRetryMax} in ${delay}ms`
-    );
-    this._emitBrowserBoxEvent('iframe-retry', {
-      attempt: this._iframeRetryCount,
-      maxAttempts: this._iframeRetryMax,
-      delayMs: delay,
+  async _resolveAugmentTarget(spec) {
+    if (!spec?.target || spec.space !== 'page') {
+      return null;
+    }
+    return this._callApiDirect('resolvePageTarget', [spec.target, {
+      maxMatches: 12,
+    }], {
+      timeoutMs: this.requestTimeoutMs,
     });
-    setTimeout(() => {
-      if (this._isReady || this._reconnectStopped) return;
-      this._assignIframeSrc(src, '_retryIframeLoad');
-    }, delay);
   }
 
-  _assignIframeSrc(nextSrc, reason) {
-    const stack = new Error().stack || '(no stack available)';
-    debugHyperFrame('[DEBUG][SRC_ASSIGN]', {
-      reason,
-      currentSrc: this.iframe.src,
-      nextSrc,
-      stack,
+  async _createAugment(spec) {
+    const normalized = normalizeAugmentSpec(spec);
+    this._assertCapability('augment.write', { consume: true });
+    this._assertCapability(`augment.${normalized.space}`);
+    if (this._augmentRegistry.has(normalized.id)) {
+      throw createBrowserBoxError(`hyper-frame augment '${normalized.id}' already exists.`, {
+        code: ERROR_CODES.CONFLICT,
+        status: 409,
+        augmentId: normalized.id,
+      });
+    }
+    const record = {
+      spec: normalized,
+      resolution: await this._resolveAugmentTarget(normalized),
+      node: null,
+    };
+    this._augmentRegistry.set(normalized.id, record);
+    this._host.renderAugment?.(record);
+    return Object.freeze({
+      id: normalized.id,
+      kind: normalized.kind,
+      space: normalized.space,
+      ...(normalized.position === undefined ? {} : { position: normalized.position }),
+      ...(normalized.target === undefined ? {} : { target: cloneJsonValue(normalized.target) }),
+      interactive: normalized.interactive,
+      visible: normalized.visible,
+      remove: () => this._removeAugment(normalized.id),
+      update: (patch) => this._updateAugment(normalized.id, patch),
     });
-    this.iframe.src = nextSrc;
   }
 
-  _normalizeUrl(url) {
-    if (typeof url !== 'string' || url.length === 0) return '';
-    try {
-      return new URL(url, window.location.href).href;
-    } catch {
-      return url;
+  async _updateAugment(id, patch) {
+    const augmentId = assertNonEmptyString(id, 'augment.update(id)');
+    this._assertCapability('augment.write', { consume: true });
+    const record = this._augmentRegistry.get(augmentId);
+    if (!record) {
+      throw createBrowserBoxError(`hyper-frame augment '${augmentId}' does not exist.`, {
+        code: ERROR_CODES.NOT_FOUND,
+        status: 404,
+        augmentId,
+      });
     }
+    const merged = normalizeAugmentSpec({
+      ...record.spec,
+      ...(patch && typeof patch === 'object' && !Array.isArray(patch) ? patch : {}),
+      id: augmentId,
+    });
+    this._assertCapability(`augment.${merged.space}`);
+    record.spec = merged;
+    record.resolution = await this._resolveAugmentTarget(merged);
+    this._host.renderAugment?.(record);
   }
 
-  _attemptSilentRecovery(reason) {
-    if (this._silentRecoveryUsed) {
-      return false;
-    }
-    const currentSrc = this._normalizeUrl(this.iframe.src || this.getAttribute('login-link'));
-    if (!currentSrc) {
+  async _removeAugment(id) {
+    const augmentId = assertNonEmptyString(id, 'augment.remove(id)');
+    this._assertCapability('augment.write', { consume: true });
+    const record = this._augmentRegistry.get(augmentId);
+    if (!record) {
       return false;
     }
+    this._host.removeAugment?.(record);
+    this._augmentRegistry.delete(augmentId);
+    return true;
+  }
 
-    let nextSrc;
-    try {
-      const parsed = new URL(currentSrc, window.location.href);
-      const existingAttempt = Number(parsed.searchParams.get(this._silentRecoveryParam) || 0);
-      if (!Number.isFinite(existingAttempt) || existingAttempt >= 1) {
-        return false;
-      }
-      parsed.searchParams.set(this._silentRecoveryParam, String(existingAttempt + 1));
-      // Cache-bust to avoid stale iframe boot assets after session/token rotation.
-      parsed.searchParams.set('bbx_recover_t', String(Date.now()));
-      nextSrc = parsed.href;
-    } catch {
-      return false;
-    }
+  async _listAugments() {
+    this._assertCapability('augment.read');
+    return [...this._augmentRegistry.values()].map((record) => normalizeAugmentInfo(record.spec));
+  }
 
-    this._silentRecoveryUsed = true;
-    this._isReady = false;
-    this._apiMethods = [];
-    this._transportMode = 'unknown';
-    this._legacyTabsCache = [];
-    this._iframeRetryCount = 0;
-    this._initPingCount = 0;
-    this._midSyncAcked = false;
-    this._reconnectStopped = false;
-    this._resetReadyPromise();
-    this._rejectPending(createBrowserBoxError(`hyper-frame silent recovery (${reason}).`, {
-      code: ERROR_CODES.TRANSPORT,
-      retriable: true,
-      status: 503,
-      reason,
-    }));
+  async select(options = {}) {
+    this._assertCapability('select.use', { consume: true });
+    const timeoutMs = Number.isFinite(options?.timeoutMs)
+      ? Math.max(1000, Math.round(options.timeoutMs))
+      : Math.max(this.requestTimeoutMs, 120000);
+    const rawSelection = await this._callApiDirect('beginSelect', [options], { timeoutMs });
+    return createSelectionHandle(this, rawSelection);
+  }
 
-    console.info('[hyper-frame] attempting one-shot silent recovery reload', {
-      reason,
-      nextSrc,
+  async _generalizeSelection(rawSelection) {
+    return this._callApiDirect('generalizeSelection', [rawSelection], {
+      timeoutMs: this.requestTimeoutMs,
     });
-    this._assignIframeSrc(nextSrc, 'silent-recovery');
-    return true;
   }
 
-  _updateIframeSrcFromAttribute(trigger) {
-    const loginLink = this.getAttribute('login-link');
-    if (!loginLink) return;
-    this._refreshRoutingMid(loginLink);
-    const normalizedCurrent = this._normalizeUrl(this.iframe.src);
-    const normalizedNext = this._normalizeUrl(loginLink);
-    if (normalizedCurrent === normalizedNext) {
+  async _extractSelection(target, options = {}) {
+    this._assertCapability('select.extract');
+    const extractOptions = {
+      ...options,
+      ...(Number.isInteger(options?.limit) ? { maxItems: options.limit } : {}),
+    };
+    const result = await this._callApiDirect('extractSelection', [target, extractOptions], {
+      timeoutMs: Number.isFinite(options?.timeoutMs) ? options.timeoutMs : this.requestTimeoutMs,
+    });
+    return normalizeExtractResult(target, result);
+  }
+
+  async _previewSelectionPattern(target, previewId) {
+    const pattern = target?.selector ? { selector: target.selector } : target;
+    const resolution = await this._callApiDirect('resolvePageTarget', [pattern, { maxMatches: 12 }], {
+      timeoutMs: this.requestTimeoutMs,
+    });
+    await this._upsertPreviewAugment(previewId, pattern, resolution);
+    return normalizePreviewResult(pattern, resolution);
+  }
+
+  async _upsertPreviewAugment(previewId, pattern, resolution) {
+    const record = this._augmentRegistry.get(previewId);
+    const spec = {
+      id: previewId,
+      kind: 'highlight',
+      space: 'page',
+      target: pattern,
+      style: 'info',
+      interactive: false,
+      visible: true,
+    };
+    if (!record) {
+      this._augmentRegistry.set(previewId, {
+        spec,
+        resolution,
+        node: null,
+      });
+      this._host.renderAugment?.(this._augmentRegistry.get(previewId));
       return;
     }
-    this._assignIframeSrc(loginLink, trigger);
+    record.spec = spec;
+    record.resolution = resolution;
+    this._host.renderAugment?.(record);
   }
 
-  _applyHostDimensions() {
-    const width = this.getAttribute('width') || '100%';
-    const height = this.getAttribute('height') || '100%';
-    this.style.width = /^\d+$/.test(width) ? `${width}px` : width;
-    this.style.height = /^\d+$/.test(height) ? `${height}px` : height;
-  }
+  _handleMessage(event) {
+    const payload = event.data || {};
+    if (typeof payload.type !== 'string') {
+      return;
+    }
+
+    if (payload.type === 'bbx-mid-request') {
+      console.info('[bbx-mid] child requested mid');
+      this._postMidSync('child-request');
+      return;
+    }
+
+    if (payload.type === 'bbx-mid-ack') {
+      const ackMid = this._normalizeMid(payload.data?.mid ?? payload.mid);
+      console.info('[bbx-mid] received ack', {
+        ackMid,
+        expectedMid: this._routingMid,
+      });
+      if (this._routingMid && (!ackMid || ackMid === this._routingMid)) {
+        this._midSyncAcked = true;
+        this._stopMidSync();
+        console.info('[bbx-mid] sync established', {
+          mid: this._routingMid,
+          attempts: Math.max(1, this._midSyncAttempt),
+        });
+        this._eventTarget.dispatchEvent(new CustomEvent('mid-synced', {
+          detail: {
+            mid: this._routingMid,
+            attempts: Math.max(1, this._midSyncAttempt),
+          },
+        }));
+      } else {
+        console.warn('[bbx-mid] ack mid mismatch', {
+          ackMid,
+          expectedMid: this._routingMid,
+        });
+      }
+      return;
+    }
 
-  _stopInitPing() {
-    if (this._initPingTimer) {
-      clearInterval(this._initPingTimer);
-      this._initPingTimer = null;
+    if (payload.type === 'bbx-ui-request') {
+      this._sendUISync('child-request');
+      return;
     }
-  }
 
-  _normalizeMid(value) {
-    const mid = String(value || '').trim();
-    return /^[A-Za-z0-9-]{6,64}$/.test(mid) ? mid : '';
-  }
+    if (payload.type === 'bbx-ui-ack') {
+      this._uiSyncAcked = true;
+      return;
+    }
 
-  _refreshRoutingMid(loginLink = this.getAttribute('login-link')) {
-    let storageKey = this._midStorageKey;
-    let midFromLogin = '';
-    try {
-      const parsed = new URL(loginLink || '', window.location.href);
-      storageKey = `bbx.embedder.mid:${parsed.origin}`;
-      midFromLogin = this._normalizeMid(parsed.searchParams.get('mid'));
-    } catch {
-      // Keep fallback values when login-link is not parseable.
+    if (payload.type === 'bbx-navigation-request') {
+      const request = { ...payload.data, requestId: payload.requestId ?? payload.data?.requestId };
+      this._handleNavigationRequest(request).catch((error) => {
+        this._failNavigationRequest(request, error);
+      });
+      return;
     }
 
-    let persistedMid = '';
-    try {
-      persistedMid = this._normalizeMid(window.localStorage?.getItem?.(storageKey));
-    } catch {
-      // Storage may be blocked in some embedding contexts.
+    if (payload.type === 'bbx-sos') {
+      const incoming = (payload.data && typeof payload.data === 'object')
+        ? payload.data
+        : {};
+      const reasonCode = typeof incoming.reasonCode === 'string' && incoming.reasonCode.length > 0
+        ? incoming.reasonCode
+        : 'browser-unusable';
+      const detail = {
+        ...incoming,
+        reasonCode,
+        iframeOrigin: event.origin,
+        routingMid: this._routingMid || '',
+        loginLink: this.loginLink || '',
+        forwardedAt: Date.now(),
+        forwardedBy: 'hyper-frame',
+      };
+      this._setUsable(false, `sos:${reasonCode}`);
+      this._emitBrowserBoxEvent('sos', detail);
+      this._host.forward?.({
+        type: 'bbx-sos',
+        data: detail,
+      });
+      return;
     }
 
-    const resolvedMid = midFromLogin || persistedMid || this._routingMid;
-    this._midStorageKey = storageKey;
-    this._routingMid = resolvedMid || '';
+    if (payload.requestId && this._pending.has(payload.requestId)) {
+      const pending = this._pending.get(payload.requestId);
+      clearTimeout(pending.timer);
+      this._pending.delete(payload.requestId);
+      if (payload.error) {
+        const error = this._normalizeRemoteError(payload.error, {
+          requestId: payload.requestId,
+          requestType: payload.type,
+        });
+        this._rememberError(error);
+        if (error.code === ERROR_CODES.SESSION_EXPIRED) {
+          this._setUsable(false, 'session-expired');
+        }
+        pending.reject(error);
+      } else {
+        this._rememberError(null);
+        pending.resolve(payload.data);
+      }
+      return;
+    }
 
-    if (midFromLogin) {
-      try {
-        window.localStorage?.setItem?.(storageKey, midFromLogin);
-      } catch {
-        // Storage writes are best-effort only.
+    if (payload.type === 'tab-api-ready') {
+      const wasReady = this._isReady;
+      this._setReady();
+      this._emitBrowserBoxEvent('ready', { type: payload.type });
+      if (!wasReady) {
+        this._startTabsAfterReady('ready');
       }
+      return;
     }
 
-    if (this._routingMid) {
-      this.setAttribute('routing-mid', this._routingMid);
-    } else {
-      this.removeAttribute('routing-mid');
+    if (payload.type === 'bbx-api-ready') {
+      if (Array.isArray(payload.data?.methods)) {
+        this._apiMethods = payload.data.methods.slice();
+        this._transportMode = 'modern';
+      }
+      this._apiFeatures = Array.isArray(payload.data?.features) ? payload.data.features.slice() : [];
+      if (payload.data?.policy) {
+        this._serverPolicySnapshot = normalizePolicyStateSnapshot(payload.data.policy);
+        this._refreshPolicyState('server-policy-ready');
+      }
+      const wasReady = this._isReady;
+      this._setReady();
+      this._upgradeTransportChannel();
+      this._emitBrowserBoxEvent('api-ready', payload.data || {});
+      if (!wasReady) {
+        this._startTabsAfterReady('api-ready');
+      }
+      return;
     }
-    if (this._routingMid) {
-      console.info('[bbx-mid] routing mid resolved', {
-        mid: this._routingMid,
-        source: midFromLogin ? 'login-link' : (persistedMid ? 'storage' : 'memory'),
-      });
-    } else {
-      console.info('[bbx-mid] no routing mid resolved');
+
+    if (payload.type === 'bbx-policy-sync') {
+      this._serverPolicySnapshot = normalizePolicyStateSnapshot(payload.data?.policy ?? payload.data);
+      this._refreshPolicyState('server-policy-sync');
+      return;
     }
-    return this._routingMid;
-  }
 
-  _postMidSync(reason = '') {
-    const mid = this._refreshRoutingMid();
-    if (!mid || !this.iframe.contentWindow) {
-      return false;
+    if (payload.type === 'active-tab-changed') {
+      this._host.invalidate?.('active-tab-changed');
     }
-    // Mid-sync messages use '*' targetOrigin because the iframe may
-    // still be navigating to the BBX origin (from parent origin).
-    // These messages contain only the routing mid, not sensitive data.
-    try {
-      this.iframe.contentWindow.postMessage({
-        type: 'bbx-mid-sync',
-        data: {
-          mid,
-          reason,
-          attempt: this._midSyncAttempt,
-        },
-      }, '*');
-    } catch (error) {
-      console.warn('[bbx-mid] postMessage failed', { error: error.message });
-      return false;
+
+    if (payload.type === 'tab-updated' || payload.type === 'tab-attached') {
+      this._tabStore.update(payload.data);
+    } else if (payload.type === 'tab-created') {
+      this._tabStore.add(payload.data);
+    } else if (payload.type === 'tab-closed') {
+      const closedId = this._normalizeTabId(payload.data);
+      pruneEmulatedTabLayout(this._emulatedTabLayout, (tabId) => tabId !== closedId);
+      this._tabStore.remove(payload.data);
+    } else if (payload.type === 'active-tab-changed') {
+      this._tabStore.activate(payload.data);
+    } else if (payload.type === 'tab-moved') {
+      this._tabStore.move(payload.data);
+    } else if (payload.type === 'tab-grouped') {
+      this._tabStore.group(payload.data);
     }
-    console.info('[bbx-mid] sent sync', {
-      mid,
-      reason,
-      attempt: this._midSyncAttempt,
-    });
-    return true;
+
+    this._emitBrowserBoxEvent(payload.type, payload.data || {});
   }
 
-  _startMidSync(reason = 'start') {
-    this._stopMidSync();
-    this._midSyncAcked = false;
-    this._midSyncAttempt = 0;
-    if (!this._postMidSync(reason)) {
+  _upgradeTransportChannel() {
+    if (typeof this._transport.upgrade !== 'function') {
       return;
     }
-    this._midSyncAttempt = 1;
-    this._midSyncTimer = setInterval(() => {
-      if (this._midSyncAcked) {
-        this._stopMidSync();
-        return;
-      }
-      if (this._midSyncAttempt >= this._midSyncMaxAttempts) {
-        this._stopMidSync();
-        console.warn('[bbx-mid] sync timeout', {
-          attempts: this._midSyncAttempt,
-          mid: this._routingMid,
-        });
-        this.dispatchEvent(new CustomEvent('mid-sync-timeout', {
-          detail: {
-            attempts: this._midSyncAttempt,
-            mid: this._routingMid,
-          },
-        }));
-        this._setUsable(false, 'mid-sync-timeout');
-        return;
+    const transport = this._transport;
+    transport.upgrade().then((upgraded) => {
+      if (upgraded && transport === this._transport) {
+        console.info('[hyper-frame] private message channel established');
       }
-      this._midSyncAttempt += 1;
-      this._postMidSync('retry');
-    }, this._midSyncIntervalMs);
+    }).catch((error) => {
+      console.warn('[hyper-frame] message channel negotiation failed', error);
+    });
   }
 
-  _stopMidSync() {
-    if (this._midSyncTimer) {
-      clearInterval(this._midSyncTimer);
-      this._midSyncTimer = null;
+  _request(type, data = {}, options = {}) {
+    if (!this._transport.connected) {
+      const error = createBrowserBoxError('hyper-frame transport is not ready.', {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+        requestType: type,
+      });
+      this._rememberError(error);
+      return Promise.reject(error);
     }
-  }
 
-  _resolveUIConfig() {
-    const parseBool = (v, fallback) => {
-      if (v === null || v === undefined) return fallback;
-      const raw = String(v).trim().toLowerCase();
-      if (raw === 'true' || raw === '1') return true;
-      if (raw === 'false' || raw === '0') return false;
-      return fallback;
-    };
-    const chromeMode = String(this.getAttribute('chrome') || 'default').trim().toLowerCase();
-    const chromeVisibleByMode = chromeMode === 'none' ? false : true;
-    const mediaPermissions = normalizeMediaPermissions(this.getAttribute('media-permissions'));
-    const sessionUnloadWarning = normalizeSessionUnloadWarning(this.getAttribute('session-unload-warning'));
-    const beforeUnloadBehavior = normalizeBeforeUnloadBehavior(this.getAttribute('beforeunload-behavior'));
-    return {
-      uiVisible: parseBool(this.getAttribute('ui-visible'), chromeVisibleByMode),
-      allowUserToggleUI: parseBool(this.getAttribute('allow-user-toggle-ui'), true),
-      chromeMode,
-      mediaPermissions,
-      sessionUnloadWarning,
-      beforeUnloadBehavior,
-    };
-  }
+    const timeoutMs = Number.isFinite(options.timeoutMs)
+      ? Math.max(100, Math.round(options.timeoutMs))
+      : this.requestTimeoutMs;
 
-  _resolveLocalPolicySnapshot() {
-    const interactionModeRaw = this.getAttribute('interaction-mode') || 'full';
-    const interactionMode = String(interactionModeRaw).trim().toLowerCase();
-    const preset = INTERACTION_MODE_PRESETS[interactionMode] || INTERACTION_MODE_PRESETS.full;
-    let capabilityOverride = {};
-    const policyRaw = this.getAttribute('policy');
-    if (policyRaw) {
-      try {
-        const parsed = JSON.parse(policyRaw);
-        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
-          capabilityOverride = extractApiCapabilities(parsed);
-        } else {
-          console.error('[hyper-frame] policy attribute must decode to an object.', {
-            policy: policyRaw,
-          });
-        }
-      } catch (error) {
-        console.error('[hyper-frame] failed to parse policy attribute.', {
-          policy: policyRaw,
-          error,
-        });
-      }
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError(signal, { requestType: type }));
     }
-    const captureMode = String(this.getAttribute('capture') || 'snapshot').trim().toLowerCase();
-    const captureOverride = {
-      capture: {
-        frame: captureMode !== 'off',
-        viewport: captureMode !== 'off',
-        stream: captureMode === 'sampled',
-      },
-    };
-    const localOverride = mergePolicyTree(
-      clonePolicyTree(POLICY_DEFAULTS),
-      {
-        ...capabilityOverride,
-        capture: {
-          ...(capabilityOverride.capture || {}),
-          ...captureOverride.capture,
-        },
-      },
-    );
-    const capabilities = mergePolicyTree(
-      mergePolicyTree(clonePolicyTree(POLICY_DEFAULTS), preset),
-      localOverride,
-    );
-    return createLocalPolicySnapshot(capabilities, {
-      baselineId: `hyper-frame-${interactionMode}`,
-      featureControls: {
-        chromeMode: String(this.getAttribute('chrome') || 'default').trim().toLowerCase(),
-        augmentRoot: String(this.getAttribute('augment-root') || 'open').trim().toLowerCase(),
-        captureMode,
-      },
-    });
-  }
 
-  _resolvePolicySnapshot() {
-    return mergePolicySnapshots(this._serverPolicySnapshot, this._resolveLocalPolicySnapshot());
+    const requestId = `bbx-${Date.now()}-${++this._requestSeq}`;
+    const message = { type, requestId, data, ...(options.messageExtras || {}) };
+
+    return new Promise((settleResolve, settleReject) => {
+      const pending = { message, timeoutMs, timer: null };
+      const onAbort = () => {
+        clearTimeout(pending.timer);
+        this._pending.delete(requestId);
+        this._transport.forget?.(requestId);
+        this._dropQueuedCall(requestId);
+        this._postCancel(requestId, type);
+        settleReject(createAbortError(signal, { requestId, requestType: type }));
+      };
+      const detach = () => signal?.removeEventListener('abort', onAbort);
+      pending.resolve = (value) => {
+        detach();
+        settleResolve(value);
+      };
+      pending.reject = (error) => {
+        detach();
+        settleReject(error);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this._dispatchPending(requestId, pending);
+    });
   }
 
-  _buildCapabilityMap(policySnapshot) {
-    const policyCapabilities = flattenPolicyTree(extractApiCapabilities(policySnapshot));
-    const resolved = {};
-    for (const [capability, allowedByPolicy] of Object.entries(policyCapabilities)) {
-      resolved[capability] = Boolean(allowedByPolicy) && Boolean(IMPLEMENTED_CAPABILITIES[capability]);
+  _dispatchPending(requestId, pending) {
+    const { message, timeoutMs } = pending;
+    const { type } = message;
+    pending.timer = setTimeout(() => {
+      this._pending.delete(requestId);
+      this._transport.forget?.(requestId);
+      const error = createBrowserBoxError(`hyper-frame request timed out (${type}) after ${timeoutMs}ms.`, {
+        code: ERROR_CODES.TIMEOUT,
+        retriable: true,
+        status: 504,
+        requestId,
+        requestType: type,
+        timeoutMs,
+      });
+      this._rememberError(error);
+      pending.reject(error);
+    }, timeoutMs);
+
+    this._pending.set(requestId, pending);
+    try {
+      this._transport.post(message);
+    } catch (error) {
+      clearTimeout(pending.timer);
+      this._pending.delete(requestId);
+      const transportError = createBrowserBoxError(`hyper-frame failed to postMessage '${type}'.`, {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+        requestId,
+        requestType: type,
+        cause: error,
+      });
+      this._rememberError(transportError);
+      pending.reject(transportError);
     }
-    return resolved;
   }
 
-  _invalidatePolicySnapshotCache() {
-    this._policySnapshotCache.source = null;
-    this._policySnapshotCache.value = null;
+  _postRaw(message) {
+    if (!this._transport.connected) {
+      return;
+    }
+    this._transport.post(message);
   }
 
-  _getPolicySnapshotView() {
-    if (this._policySnapshotCache.source === this._policySnapshot && this._policySnapshotCache.value) {
-      return this._policySnapshotCache.value;
+  _postCancel(requestId, requestType) {
+    try {
+      this._postRaw({
+        type: 'bbx-api-cancel',
+        data: { requestId, requestType, reason: 'aborted' },
+      });
+    } catch (error) {
+      console.warn('[hyper-frame] failed to send bbx-api-cancel', error);
     }
-
-    const snapshotView = createPolicySnapshotView(this._policySnapshot);
-    this._policySnapshotCache.source = this._policySnapshot;
-    this._policySnapshotCache.value = snapshotView;
-    return snapshotView;
   }
 
-  _refreshPolicyState(reason = 'refresh') {
-    const previousPolicy = JSON.stringify(this._policySnapshot);
-    const previousCapabilities = JSON.stringify(this._capabilityMap);
-    const nextPolicySnapshot = this._resolvePolicySnapshot();
-    const nextCapabilityMap = this._buildCapabilityMap(nextPolicySnapshot);
-
-    if (
-      previousPolicy === JSON.stringify(nextPolicySnapshot)
-      && previousCapabilities === JSON.stringify(nextCapabilityMap)
-    ) {
-      return;
+  async whenReady({ timeoutMs = this.requestTimeoutMs, signal } = {}) {
+    if (this._isReady) {
+      return true;
     }
+    assertNotAborted(signal);
 
-    this._policySnapshot = nextPolicySnapshot;
-    this._capabilityMap = nextCapabilityMap;
-    this._invalidatePolicySnapshotCache();
-    this._emitBrowserBoxEvent('policy.changed', {
-      reason,
-      policy: this._getPolicySnapshotView(),
-      capabilities: { ...this._capabilityMap },
+    let timer = null;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(createBrowserBoxError(`hyper-frame ready timeout after ${timeoutMs}ms.`, {
+        code: ERROR_CODES.TIMEOUT,
+        retriable: true,
+        status: 504,
+        timeoutMs,
+      })), timeoutMs);
     });
-  }
 
-  _capabilitiesForMethod(method, args = []) {
-    if (method === 'captureFrame') {
-      const scope = String(args?.[0]?.scope || 'frame').trim().toLowerCase();
-      return [scope === 'viewport' ? 'capture.viewport' : 'capture.frame'];
+    try {
+      await raceAbortSignal(Promise.race([this._readyPromise, timeout]), signal);
+    } finally {
+      clearTimeout(timer);
     }
-    const requirements = METHOD_CAPABILITY_MAP[method];
-    return Array.isArray(requirements) ? requirements : [];
+    return true;
   }
 
-  _assertCapability(capability) {
-    if (this._capabilityMap?.[capability]) {
-      return true;
+  on(eventName, handler, options) {
+    // Delivery is still gated per event; subscribing only fails fast once the
+    // policy is settled, and policy errors can always be subscribed to.
+    if (!POLICY_ERROR_EVENTS.has(eventName) && this._policyToken.status !== 'pending') {
+      this._assertCapability('events.read');
     }
-    const detail = {
-      error: `Capability denied: ${capability}`,
-      policyDenied: {
-        action: capability,
-        capability,
-        reasonCode: 'embed-policy-denied',
-        policyId: this._policySnapshot?.policyId || POLICY_ID,
-        baselineId: this._policySnapshot?.baselineId || POLICY_BASELINE_ID,
-        decisionSchemaVersion: 'embedder-policy/v1',
-        source: this._serverPolicySnapshot ? 'server+embedder-policy' : 'embedder-policy',
-      },
+    if (typeof eventName !== 'string' || eventName.trim().length === 0) {
+      throwInvalidArgument('hyper-frame on(eventName, handler) requires a non-empty eventName.');
+    }
+    if (typeof handler !== 'function') {
+      throwInvalidArgument('hyper-frame on(eventName, handler) requires handler to be a function.');
+    }
+    this._eventTarget.addEventListener(eventName, handler, options);
+    return () => {
+      this._eventTarget.removeEventListener(eventName, handler, options);
     };
-    this._emitBrowserBoxEvent('policy-denied', detail);
-    throw new BrowserBoxPolicyError(capability);
   }
 
-  _isEventAllowed(eventName) {
-    if (!this._capabilityMap?.['events.read']) {
-      return false;
+  off(eventName, handler, options) {
+    if (typeof eventName !== 'string' || eventName.trim().length === 0) {
+      throwInvalidArgument('hyper-frame off(eventName, handler) requires a non-empty eventName.');
     }
-    const requiredCapability = EVENT_CAPABILITY_RULES[eventName];
-    return !requiredCapability || Boolean(this._capabilityMap?.[requiredCapability]);
+    if (typeof handler !== 'function') {
+      throwInvalidArgument('hyper-frame off(eventName, handler) requires handler to be a function.');
+    }
+    this._eventTarget.removeEventListener(eventName, handler, options);
   }
 
-  _emitBrowserBoxEvent(eventName, detail = {}) {
-    const eventNames = [eventName, ...(EVENT_ALIAS_MAP[eventName] || [])];
-    for (const name of eventNames) {
-      if (!this._isEventAllowed(name)) {
-        continue;
-      }
-      const eventDetail = detail && typeof detail === 'object' ? { ...detail } : detail;
-      this.dispatchEvent(new CustomEvent(name, { detail: eventDetail }));
-      this._pushEventRecord(name, eventDetail);
-    }
-    if (
-      eventName === 'page.navigated'
-      || eventName === 'page.load.stopped'
-      || eventName === 'did-navigate'
-      || eventName === 'did-stop-loading'
-      || eventName === 'viewport.resized'
-    ) {
-      this._schedulePageAugmentRefresh();
-    }
+  async observe(config = {}) {
+    this._assertCapability('events.read');
+    const subscriptionEntries = [];
+    const snapshot = (!config || typeof config !== 'object' || Array.isArray(config))
+      ? {}
+      : { ...config };
+    const id = generateOpaqueId('bbx-observe');
+    return {
+      id,
+      config: snapshot,
+      on: (eventName, handler, options) => {
+        const unsubscribe = this.on(eventName, handler, options);
+        subscriptionEntries.push({ eventName, handler, options });
+        return unsubscribe;
+      },
+      off: (eventName, handler, options) => {
+        this.off(eventName, handler, options);
+      },
+      unsubscribe: () => {
+        for (const entry of subscriptionEntries.splice(0, subscriptionEntries.length)) {
+          this._eventTarget.removeEventListener(entry.eventName, entry.handler, entry.options);
+        }
+      },
+    };
   }
 
-  _pushEventRecord(type, detail) {
-    const tabId = this._normalizeTabId(detail);
-    const record = {
-      id: `bbx-event-${++this._eventSeq}`,
-      type,
-      detail,
-      timestamp: new Date().toISOString(),
-      sessionId: this._routingMid || null,
-      ...(tabId ? { tabId } : {}),
+  events(options = {}) {
+    this._assertCapability('events.read');
+    const eventNames = Array.isArray(options?.eventNames)
+      ? new Set(options.eventNames.map((name) => String(name)))
+      : null;
+    const subscriber = {
+      queue: [],
+      resolve: null,
+      closed: false,
+      maxQueue: Number.isInteger(options?.maxQueue) ? Math.max(10, options.maxQueue) : 100,
+      filter: eventNames ? ((event) => eventNames.has(event.type)) : (() => true),
     };
-    for (const subscriber of this._eventSubscribers) {
-      if (subscriber.closed || !subscriber.filter(record)) {
-        continue;
-      }
+    this._eventSubscribers.add(subscriber);
+
+    const cleanup = () => {
+      subscriber.closed = true;
+      this._eventSubscribers.delete(subscriber);
       if (subscriber.resolve) {
         const resolve = subscriber.resolve;
         subscriber.resolve = null;
-        resolve({ value: record, done: false });
-        continue;
-      }
-      if (subscriber.queue.length >= subscriber.maxQueue) {
-        subscriber.queue.shift();
+        resolve({ value: undefined, done: true });
       }
-      subscriber.queue.push(record);
-    }
-  }
-
-  _schedulePageAugmentRefresh() {
-    if (this._pageAugmentRefreshScheduled) {
-      return;
-    }
-    this._pageAugmentRefreshScheduled = true;
-    scheduleMicrotask(() => {
-      this._pageAugmentRefreshScheduled = false;
-      this._refreshPageAugments().catch((error) => {
-        console.warn('[hyper-frame] failed to refresh page augments', error);
-      });
-    });
-  }
-
-  async _refreshPageAugments() {
-    const pageAugments = [...this._augmentRegistry.values()].filter((record) => record.spec.space === 'page');
-    if (pageAugments.length === 0) {
-      return;
-    }
-    await Promise.all(pageAugments.map(async (record) => {
-      record.resolution = await this._resolveAugmentTarget(record.spec);
-      this._renderAugmentRecord(record);
-    }));
-  }
+    };
 
-  _sendUISync(reason = '') {
-    if (!this.iframe.contentWindow) return false;
-    const config = this._resolveUIConfig();
-    this._postRaw({
-      type: 'bbx-ui-sync',
-      data: {
-        uiVisible: config.uiVisible,
-        allowUserToggleUI: config.allowUserToggleUI,
-        chromeMode: config.chromeMode,
-        mediaPermissions: config.mediaPermissions,
-        sessionUnloadWarning: config.sessionUnloadWarning,
-        beforeunloadBehavior: config.beforeUnloadBehavior,
-        embedderOrigin: this.embedderOrigin,
-        reason,
+    return {
+      [Symbol.asyncIterator]() {
+        return this;
       },
-    });
-    return true;
+      next: () => {
+        if (subscriber.closed) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        const queued = subscriber.queue.shift();
+        if (queued) {
+          return Promise.resolve({ value: queued, done: false });
+        }
+        return new Promise((resolve) => {
+          subscriber.resolve = resolve;
+        });
+      },
+      return: () => {
+        cleanup();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      throw: async (error) => {
+        cleanup();
+        throw error;
+      },
+    };
   }
 
-  _sendViewportReset(reason = '') {
-    if (!this.iframe.contentWindow) return false;
-    this._postRaw({
-      type: 'bbx-viewport-reset',
-      data: {
-        reason,
-      },
-    });
-    return true;
+  async _ensureReadyForApi({ signal } = {}) {
+    if (this._policyTokenVerification) {
+      await raceAbortSignal(this._policyTokenVerification, signal);
+    }
+    if (this._isReady) {
+      return true;
+    }
+    const softTimeoutMs = Math.min(this.requestTimeoutMs, 8000);
+    try {
+      await this.whenReady({ timeoutMs: softTimeoutMs, signal });
+      return true;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      this._rememberError(error);
+      this._eventTarget.dispatchEvent(new CustomEvent('ready-timeout', {
+        detail: {
+          timeoutMs: softTimeoutMs,
+          error: error instanceof Error ? error.message : String(error),
+        },
+      }));
+      return false;
+    }
   }
 
   /**
-   * Derive the BrowserBox iframe origin from the login-link URL.
-   * This is the origin of the iframe content, used for:
-   *   - outbound postMessage targetOrigin (webview → iframe)
-   *   - inbound origin validation (iframe → webview)
-   * Falls back to '*' during initial load before login-link is set.
+   * Legacy builds get `tabId` through the emulated handlers; modern builds
+   * must advertise `tab-targeting` in `bbx-api-ready`.
    */
-  _browserboxOrigin() {
-    const loginLink = this.getAttribute('login-link');
-    if (loginLink) {
-      try {
-        return new URL(loginLink).origin;
-      } catch {
-        // login-link not parseable yet
-      }
+  async _assertTabTargeting(tabId, { signal } = {}) {
+    await this._ensureReadyForApi({ signal });
+    const mode = await this._resolveTransport();
+    if (mode === 'legacy' || this._apiFeatures.includes(TAB_TARGETING_FEATURE)) {
+      return;
     }
-    return '*';
-  }
-
-  _outboundTargetOrigin() {
-    return this._browserboxOrigin();
+    throw createBrowserBoxError('hyper-frame page.for(tabId) needs a BrowserBox build that supports tab targeting.', {
+      code: ERROR_CODES.UNSUPPORTED,
+      status: 501,
+      tabId,
+    });
   }
 
-  _validateIncomingOrigin(origin) {
-    const expected = this._browserboxOrigin();
-    return expected === '*' || origin === expected;
+  _legacyMethodList() {
+    return [
+      'getTabs',
+      'getActiveTabIndex',
+      'getTabCount',
+      'createTab',
+      'createTabs',
+      'closeTab',
+      'closeTabById',
+      'closeAllTabs',
+      'switchToTab',
+      'switchToTabById',
+      'navigateTo',
+      'navigateTab',
+      'submitOmnibox',
+      'reload',
+      'goBack',
+      'goForward',
+      'stop',
+      'evaluate',
+      'waitForTabCount',
+      'waitForTabUrl',
+    ];
   }
 
-  _normalizeTabId(detail) {
-    if (!detail || typeof detail !== 'object') return null;
-    const candidates = [detail.id, detail.tabId, detail.targetId];
-    for (const candidate of candidates) {
-      if (typeof candidate === 'string' && candidate.length > 0) {
-        return candidate;
-      }
+  /**
+   * Resolve transport mode. Called once on first API call if transport is
+   * still 'unknown'. After resolution, transport is locked for the session.
+   * @returns {Promise<'modern'|'legacy'>}
+   */
+  async _resolveTransport() {
+    if (this._transportMode !== 'unknown') return this._transportMode;
+    try {
+      await this._request('bbx-api-call', { method: 'getTabCount', args: [] }, {
+        timeoutMs: Math.min(this.requestTimeoutMs, 5000),
+      });
+      this._transportMode = 'modern';
+    } catch {
+      this._transportMode = 'legacy';
     }
-    return null;
-  }
-
-  _updateLegacyTabCache(detail) {
-    const tabId = this._normalizeTabId(detail);
-    if (!tabId) return;
-    const index = this._legacyTabsCache.findIndex((tab) => this._normalizeTabId(tab) === tabId);
-    if (index === -1) return;
-    const existing = this._legacyTabsCache[index];
-    this._legacyTabsCache[index] = {
-      ...existing,
-      ...detail,
-      index: existing.index ?? detail.index ?? index,
-    };
+    return this._transportMode;
   }
 
-  _addLegacyTabCache(detail) {
-    const tabId = this._normalizeTabId(detail);
-    if (!tabId) return;
-    const existingIndex = this._legacyTabsCache.findIndex((tab) => this._normalizeTabId(tab) === tabId);
-    if (existingIndex !== -1) {
-      this._updateLegacyTabCache(detail);
-      return;
+  async listApiMethods(options = {}) {
+    if (this._apiMethods.length > 0 && options.refresh !== true) {
+      return this._apiMethods.slice();
+    }
+    const ready = await this._ensureReadyForApi();
+    if (!ready) {
+      throw createBrowserBoxError('hyper-frame API handshake is not ready.', {
+        code: ERROR_CODES.NOT_READY,
+        retriable: true,
+        status: 409,
+      });
+    }
+    if (this._transportMode === 'legacy') {
+      this._apiMethods = this._legacyMethodList();
+      return this._apiMethods.slice();
     }
-    const index = Number.isInteger(detail.index) ? detail.index : this._legacyTabsCache.length;
-    const entry = { ...detail, index };
-    this._legacyTabsCache.splice(Math.min(index, this._legacyTabsCache.length), 0, entry);
-    this._legacyTabsCache = this._legacyTabsCache.map((tab, i) => ({ ...tab, index: i }));
-  }
-
-  _resetTabsToCleanSlate(force = false, urlOverride = null) {
-    const attrValue = this.getAttribute('first-load-cleanse');
-    if (!force && attrValue === null) return;
-    const loginLink = this.getAttribute('login-link');
-    if (!loginLink) return;
-    const storageKey = `bbx-session-init:${loginLink}`;
     try {
-      if (localStorage.getItem(storageKey)) return;
-      localStorage.setItem(storageKey, '1');
+      const methods = await this._request('bbx-api-list', {}, {
+        ...options,
+        timeoutMs: Number.isFinite(options.timeoutMs)
+          ? options.timeoutMs
+          : Math.min(this.requestTimeoutMs, 30000),
+      });
+      this._apiMethods = Array.isArray(methods) ? methods.slice() : [];
+      this._transportMode = 'modern';
     } catch {
-      return;
+      this._transportMode = 'legacy';
+      this._apiMethods = this._legacyMethodList();
     }
+    return this._apiMethods.slice();
+  }
 
-    const candidateUrl = urlOverride ?? attrValue;
-    const url = typeof candidateUrl === 'string' && candidateUrl.length > 0 ? candidateUrl : null;
-
-    const snapshot = this._legacyTabsCache.slice();
-    for (let i = snapshot.length - 1; i >= 0; i--) {
-      const tabId = snapshot[i]?.id || snapshot[i]?.targetId;
-      if (tabId) this._postRaw({ type: 'closeTab', tabId, data: {} });
+  /**
+   * Call a BrowserBox API method by name.
+   * @param {string} method - API method name (e.g. 'getTabs', 'createTab')
+   * @param {...*} args - Method arguments. A `signal` on an options object
+   *   cancels the call and is not sent to BrowserBox.
+   * @returns {Promise<*>} Method result
+   * @throws {Error} If method is empty, transport fails, call times out or is aborted
+   */
+  async callApi(method, ...rawArgs) {
+    const { args: signalFreeArgs, signal } = extractAbortSignal(rawArgs);
+    const { args, idempotencyKey } = typeof method === 'string' && IDEMPOTENT_METHODS.has(method.trim())
+      ? extractIdempotencyKey(signalFreeArgs)
+      : { args: signalFreeArgs };
+    return this._callApi(method, args, { signal, idempotencyKey });
+  }
+
+  async _callApi(method, args = [], {
+    signal,
+    idempotencyKey: requestedKey,
+    intercepted = false,
+    internal = false,
+    authorizedBy = null,
+  } = {}) {
+    if (typeof method !== 'string' || method.trim().length === 0) {
+      throwInvalidArgument('callApi(method, ...args) requires a non-empty method string.');
     }
-    if (url) {
-      this._postRaw({ type: 'createTab', data: { url } });
+    assertNotAborted(signal, { method });
+    if (!intercepted && INTERCEPTED_METHODS[method.trim()]) {
+      args = await this._interceptCall(method.trim(), args, { signal });
+    }
+    const idempotencyKey = IDEMPOTENT_METHODS.has(method.trim())
+      ? requestedKey || generateOpaqueId('bbx-idem')
+      : undefined;
+    if (!this._isReady
+      && this._isQueueingReconnects()
+      && this._replayPolicyFor(method.trim()).policy !== 'reject') {
+      return this._queueCallUntilReady(
+        method.trim(),
+        () => this._callApi(method, args, { signal, idempotencyKey, intercepted: true, internal, authorizedBy }),
+        signal,
+      );
     }
-  }
+    const retryPolicy = this._resolveRetryPolicy(method.trim(), args);
+    // Internal bookkeeping calls are still policy-checked but do not count
+    // toward quotas; retries never count twice.
+    let quotaConsumed = internal;
+    const invoke = async () => {
+      const ready = await this._ensureReadyForApi({ signal });
+      if (!ready) {
+        throw createBrowserBoxError(`hyper-frame API method '${method}' called before handshake completed.`, {
+          code: ERROR_CODES.NOT_READY,
+          retriable: true,
+          status: 409,
+          method,
+        });
+      }
+      const normalizedMethod = method.trim();
+      const capabilities = authorizedBy ? [authorizedBy] : this._capabilitiesForMethod(normalizedMethod, args);
+      for (const capability of capabilities) {
+        this._assertCapability(capability, { consume: !quotaConsumed });
+      }
+      quotaConsumed = true;
 
-  _removeLegacyTabCache(detail) {
-    const tabId = this._normalizeTabId(detail);
-    if (!tabId) return;
-    this._legacyTabsCache = this._legacyTabsCache
-      .filter((tab) => this._normalizeTabId(tab) !== tabId)
-      .map((tab, i) => ({ ...tab, index: i }));
-  }
+      if (this._transportMode === 'unknown') {
+        await this._resolveTransport();
+      }
 
-  async _getActiveTabInfo(capability = 'tabs.read') {
-    if (capability) {
-      this._assertCapability(capability);
-    }
-    const activeTab = await this._request('getActiveTab', {}).catch(() => null);
-    if (activeTab) {
-      return normalizeTabInfo({ ...activeTab, active: true }, activeTab.index);
-    }
-    const tabs = await this.callApi('getTabs').catch(() => []);
-    const activeIndex = await this.callApi('getActiveTabIndex').catch(() => -1);
-    if (!Array.isArray(tabs) || activeIndex < 0 || activeIndex >= tabs.length) {
-      return null;
-    }
-    return normalizeTabInfo({ ...tabs[activeIndex], active: true }, activeIndex);
-  }
+      if (this._transportMode === 'legacy') {
+        const legacyCall = idempotencyKey
+          ? this._callLegacyOnce(idempotencyKey, () => this._legacyCall(normalizedMethod, args, null, { idempotencyKey }))
+          : this._legacyCall(normalizedMethod, args);
+        return raceAbortSignal(legacyCall, signal, { method: normalizedMethod });
+      }
+
+      return this._request('bbx-api-call', {
+        method: normalizedMethod,
+        args,
+        ...(idempotencyKey ? { idempotencyKey } : {}),
+      }, {
+        timeoutMs: retryPolicy.timeoutMs ?? this.requestTimeoutMs,
+        signal,
+      });
+    };
 
-  async _getPageText(options = {}) {
-    this._assertCapability('page.read');
     try {
-      const result = await this.callApi('getPageText', options);
-      return extractEvaluateValue(result);
+      const result = await this._withRetry(invoke, { ...retryPolicy, signal });
+      this._rememberError(null);
+      this._setUsable(true, 'api-ok');
+      if (idempotencyKey && result && typeof result === 'object' && !Array.isArray(result)) {
+        return { ...result, idempotencyKey };
+      }
+      return result;
     } catch (error) {
-      const message = String(error?.message || '');
-      const missingMethod = message.includes('Unknown API method')
-        || message.includes('Unknown BrowserBox API method')
-        || message.includes('No legacy fallback');
-      if (!missingMethod) {
+      if (isAbortError(error)) {
         throw error;
       }
-      const mainContentOnly = Boolean(options?.mainContentOnly);
-      const targetExpression = mainContentOnly
-        ? '(document.querySelector("main, article, [role=\\"main\\"]") || document.body || document.documentElement)'
-        : '(document.body || document.documentElement)';
-      const result = await this.evaluate(`(() => {
-        const root = ${targetExpression};
-        if (!root) return "";
-        return typeof root.innerText === "string" ? root.innerText : (root.textContent || "");
-      })()`, {
-        timeoutMs: Number.isFinite(options?.timeoutMs) ? options.timeoutMs : this.requestTimeoutMs,
-      });
-      return extractEvaluateValue(result);
+      this._rememberError(error);
+      if (this._isRetryableApiError(error)) {
+        this._setUsable(false, 'api-failed');
+      }
+      throw this._normalizeRemoteError(error, { method });
     }
   }
 
-  async _callApiDirect(method, args = [], requestOptions = {}) {
-    if (typeof method !== 'string' || method.trim().length === 0) {
-      throwInvalidArgument('hyper-frame API method requires a non-empty string.');
+  async act(actionRequest, options = {}) {
+    if (Array.isArray(actionRequest)) {
+      return this.actSequence(actionRequest, options);
     }
-    if (!Array.isArray(args)) {
-      throwInvalidArgument('hyper-frame API args must be an array.');
+    const signal = isAbortSignal(options?.signal) ? options.signal : undefined;
+    const withSignal = (opts = {}) => (signal ? { ...opts, signal } : opts);
+    const actionName = resolveActionName(actionRequest);
+    const payload = actionRequest[actionName];
+    let value;
+
+    switch (actionName) {
+      case 'navigate':
+        value = await this.page.navigate(assertNonEmptyString(payload, 'act({ navigate })'), withSignal());
+        return normalizeActionResult(actionName, value);
+      case 'click': {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+          throwInvalidArgument('hyper-frame act({ click }) requires an object payload.');
+        }
+        const { selector, ...clickOptions } = payload;
+        value = await this.click(assertNonEmptyString(selector, 'act({ click: { selector } })'), withSignal(clickOptions));
+        return normalizeActionResult(actionName, value);
+      }
+      case 'type': {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+          throwInvalidArgument('hyper-frame act({ type }) requires an object payload.');
+        }
+        const {
+          selector,
+          text,
+          redacted: _redacted,
+          ...typeOptions
+        } = payload;
+        if (typeof text !== 'string') {
+          throwInvalidArgument('hyper-frame act({ type }) requires payload.text to be a string.');
+        }
+        value = await this.type(assertNonEmptyString(selector, 'act({ type: { selector } })'), text, withSignal(typeOptions));
+        return normalizeActionResult(actionName, value);
+      }
+      case 'evaluate':
+        value = await this.evaluate(assertNonEmptyString(payload, 'act({ evaluate })'), withSignal());
+        return normalizeActionResult(actionName, value);
+      case 'waitForNavigation':
+        value = await this.waitForNavigation(withSignal((payload && typeof payload === 'object' && !Array.isArray(payload)) ? payload : {}));
+        return normalizeActionResult(actionName, value);
+      case 'waitForSelector': {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+          throwInvalidArgument('hyper-frame act({ waitForSelector }) requires an object payload.');
+        }
+        const { selector, ...waitOptions } = payload;
+        value = await this.waitForSelector(
+          assertNonEmptyString(selector, 'act({ waitForSelector: { selector } })'),
+          withSignal(waitOptions),
+        );
+        return normalizeActionResult(actionName, value);
+      }
+      default:
+        throw createUnsupportedActionError(actionName);
     }
-    const normalizedMethod = method.trim();
-    const ready = await this._ensureReadyForApi();
-    if (!ready) {
-      throw createBrowserBoxError(`hyper-frame API method '${normalizedMethod}' called before handshake completed.`, {
-        code: ERROR_CODES.NOT_READY,
-        retriable: true,
-        status: 409,
-        method: normalizedMethod,
+  }
+
+  /**
+   * Run a declarative list of act() steps in order.
+   * Every step (and its optional `rollback` action) is checked against the
+   * current policy before anything runs, so a denied capability fails the
+   * whole sequence up front instead of leaving it half-applied.
+   * Each step runs with its own AbortSignal, aborted when `timeoutMs` runs
+   * out, so a timed-out step never overlaps the next one.
+   * @param {Array<object>} steps - act() requests, each optionally carrying `rollback`
+   * @param {{ stopOnError?: boolean, timeoutMs?: number, rollbackOnError?: boolean, signal?: AbortSignal }} [options]
+   * @returns {Promise<{ ok: boolean, results: Array<object>, durationMs: number, rollback: Function }>}
+   */
+  async actSequence(steps, options = {}) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throwInvalidArgument('hyper-frame actSequence(steps) requires a non-empty array of steps.');
+    }
+    const opts = options && typeof options === 'object' && !Array.isArray(options) ? options : {};
+    const stopOnError = opts.stopOnError !== false;
+    const timeoutMs = Number.isFinite(opts.timeoutMs) ? Math.max(100, Math.round(opts.timeoutMs)) : null;
+    const signal = isAbortSignal(opts.signal) ? opts.signal : undefined;
+    const plan = steps.map((step, index) => normalizeSequenceStep(step, index));
+
+    for (const step of plan) {
+      const actionNames = step.rollbackName ? [step.actionName, step.rollbackName] : [step.actionName];
+      for (const actionName of actionNames) {
+        for (const capability of this._capabilitiesForMethod(ACTION_METHOD_MAP[actionName])) {
+          this._assertCapability(capability);
+        }
+      }
+    }
+
+    const sequenceStartedAt = monotonicNow();
+    const deadline = timeoutMs === null ? null : sequenceStartedAt + timeoutMs;
+    const results = [];
+    let failed = false;
+
+    for (const step of plan) {
+      assertNotAborted(signal, { method: 'actSequence', step: step.index });
+      if (failed && stopOnError) {
+        results.push({
+          index: step.index,
+          action: step.actionName,
+          ok: false,
+          status: 'skipped',
+        });
+        continue;
+      }
+      const startedAt = new Date().toISOString();
+      const stepStartedAt = monotonicNow();
+      const createTimeoutError = () => createBrowserBoxError(`hyper-frame actSequence timed out after ${timeoutMs}ms.`, {
+        code: ERROR_CODES.TIMEOUT,
+        retriable: true,
+        status: 504,
+        timeoutMs,
+        step: step.index,
       });
+      const stepController = new AbortController();
+      const abortStep = () => stepController.abort(signal.reason);
+      signal?.addEventListener('abort', abortStep, { once: true });
+      try {
+        const remainingMs = deadline === null ? null : deadline - stepStartedAt;
+        if (remainingMs !== null && remainingMs <= 0) {
+          throw createTimeoutError();
+        }
+        const stepRun = this.act(step.action, { signal: stepController.signal });
+        const outcome = remainingMs === null
+          ? await stepRun
+          : await raceTimeout(stepRun, remainingMs, () => {
+            const error = createTimeoutError();
+            stepController.abort(error);
+            return error;
+          });
+        results.push({
+          index: step.index,
+          action: step.actionName,
+          ok: true,
+          status: 'fulfilled',
+          ...(outcome?.value === undefined ? {} : { value: outcome.value }),
+          startedAt,
+          durationMs: Math.max(0, Math.round(monotonicNow() - stepStartedAt)),
+        });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw isAbortError(error) && error instanceof BrowserBoxError
+            ? error
+            : createAbortError(signal, { method: 'actSequence', step: step.index });
+        }
+        failed = true;
+        results.push({
+          index: step.index,
+          action: step.actionName,
+          ok: false,
+          status: 'rejected',
+          error,
+          startedAt,
+          durationMs: Math.max(0, Math.round(monotonicNow() - stepStartedAt)),
+        });
+      } finally {
+        signal?.removeEventListener('abort', abortStep);
+      }
     }
-    for (const capability of this._capabilitiesForMethod(normalizedMethod, args)) {
-      this._assertCapability(capability);
-    }
-    if (this._transportMode === 'unknown') {
-      await this._resolveTransport();
-    }
-    if (this._transportMode === 'legacy') {
-      return this._legacyCall(normalizedMethod, args);
+
+    let rollbackRun = null;
+    const rollback = () => {
+      if (!rollbackRun) {
+        rollbackRun = this._rollbackSequence(plan, results);
+      }
+      return rollbackRun;
+    };
+    const run = {
+      ok: !failed,
+      results,
+      durationMs: Math.max(0, Math.round(monotonicNow() - sequenceStartedAt)),
+      rollback,
+    };
+    if (failed && opts.rollbackOnError === true) {
+      run.rolledBack = await rollback();
     }
-    return this._request('bbx-api-call', { method: normalizedMethod, args }, requestOptions);
+    return run;
   }
 
-  async _resolveAugmentTarget(spec) {
-    if (!spec?.target || spec.space !== 'page') {
-      return null;
+  async _rollbackSequence(plan, results) {
+    const rolledBack = [];
+    for (let i = results.length - 1; i >= 0; i -= 1) {
+      const step = plan[i];
+      if (results[i].status !== 'fulfilled' || !step.rollback) {
+        continue;
+      }
+      const stepStartedAt = monotonicNow();
+      try {
+        const outcome = await this.act(step.rollback);
+        rolledBack.push({
+          index: step.index,
+          action: step.rollbackName,
+          ok: true,
+          status: 'fulfilled',
+          ...(outcome?.value === undefined ? {} : { value: outcome.value }),
+          durationMs: Math.max(0, Math.round(monotonicNow() - stepStartedAt)),
+        });
+      } catch (error) {
+        rolledBack.push({
+          index: step.index,
+          action: step.rollbackName,
+          ok: false,
+          status: 'rejected',
+          error,
+          durationMs: Math.max(0, Math.round(monotonicNow() - stepStartedAt)),
+        });
+      }
     }
-    return this._callApiDirect('resolvePageTarget', [spec.target, {
-      maxMatches: 12,
-    }], {
-      timeoutMs: this.requestTimeoutMs,
-    });
+    return rolledBack;
   }
 
-  _applyAugmentContent(node, content) {
-    node.replaceChildren();
-    const contentNode = document.createElement('div');
-    contentNode.className = 'bbx-augment-content';
+  navigate(url, opts = {}) {
+    return this.page.navigate(url, opts);
+  }
 
-    if (isDomNode(content)) {
-      contentNode.append(content.cloneNode(true));
-    } else if (content && typeof content === 'object' && !Array.isArray(content)) {
-      if (content.type === 'html' && typeof content.html === 'string') {
-        contentNode.innerHTML = content.html;
-      } else if (content.type === 'text' && typeof content.text === 'string') {
-        contentNode.textContent = content.text;
-      } else if (content.type === 'json') {
-        contentNode.textContent = JSON.stringify(content.data, null, 2);
-      }
-    } else if (content !== undefined && content !== null) {
-      contentNode.textContent = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
-    }
+  /**
+   * Replay this session's tab and navigation events onto `target` (another
+   * element or controller); `direction: 'two-way'` replays both ways.
+   * Resolves once the target has caught up; `stop()` ends mirroring.
+   */
+  async mirror(target, options = {}) {
+    return createSessionMirror(this, target?.controller ?? target, options);
+  }
 
-    node.append(contentNode);
+  /**
+   * Capture tabs, the active tab and its scroll position, augments and the
+   * policy as a JSON-safe object that `restore()` can replay later.
+   */
+  async snapshot(options = {}) {
+    return captureSessionSnapshot(this, options);
   }
 
-  _applyAugmentPosition(node, spec, resolution = null) {
-    node.style.position = spec.kind === 'toast' ? 'relative' : 'absolute';
-    node.style.top = '';
-    node.style.right = '';
-    node.style.bottom = '';
-    node.style.left = '';
-    node.style.width = '';
-    node.style.height = '';
-    node.style.transform = '';
-    node.style.maxWidth = '';
-    node.style.maxHeight = '';
+  /**
+   * Recreate the tabs and augments of a `snapshot()` in this session.
+   * Surplus tabs are closed; the policy is left to the embedder.
+   * @returns {Promise<{ tabIds: object, activeTabId: string|null, scrollRestored: boolean, augmentIds: string[] }>}
+   */
+  async restore(snapshot, options = {}) {
+    return restoreSessionSnapshot(this, snapshot, options);
+  }
 
-    if (spec.space === 'page' && spec.kind !== 'highlight') {
-      const box = resolution?.matches?.[0];
-      if (box) {
-        node.style.left = `${box.x}px`;
-        node.style.top = `${box.y}px`;
-        node.style.width = `${Math.max(40, box.width)}px`;
-        node.style.height = `${Math.max(24, box.height)}px`;
-        return;
-      }
+  /**
+   * Register a handler that can allow, deny or redirect navigations
+   * (`'navigate'`) or new tabs (`'tab-create'`) before they are sent, and
+   * remote-initiated ones when BrowserBox asks. Handlers run in the order
+   * they were added. Returns a function that removes the handler.
+   */
+  intercept(kind, handler) {
+    if (!INTERCEPT_KINDS.has(kind)) {
+      throwInvalidArgument(`session.intercept(kind) must be one of: ${[...INTERCEPT_KINDS].join(', ')}.`, { kind });
+    }
+    if (typeof handler !== 'function') {
+      throwInvalidArgument('session.intercept(kind, handler) requires a function.');
+    }
+    const handlers = this._interceptors.get(kind);
+    const entry = (request) => handler(request);
+    handlers.add(entry);
+    if (handlers.size === 1) {
+      this._sendUISync('interceptor-added');
     }
+    return () => {
+      if (handlers.delete(entry) && handlers.size === 0) {
+        this._sendUISync('interceptor-removed');
+      }
+    };
+  }
 
-    const position = spec.position || (spec.kind === 'sidebar' ? 'right' : spec.kind === 'toolbar' ? 'top' : 'top-right');
+  /**
+   * Start recording user interaction as a replayable act() script.
+   * While any recorder runs, `bbx-ui-sync` asks BrowserBox for `did-click`
+   * and `did-input` notifications. Password and credential fields are
+   * recorded with an empty `text`, and their values are cleared from
+   * `did-input` events, unless `recordSensitiveValues` is set.
+   * @param {{ eventNames?: string[], recordSensitiveValues?: boolean }} [options]
+   * @returns {{ id: string, recording: boolean, steps: Array<object>, stop: Function, export: Function }}
+   */
+  record(options = {}) {
+    this._assertCapability('page.read');
+    return createSessionRecorder(this, options);
+  }
 
-    if (spec.kind === 'sidebar') {
-      node.style.top = '0';
-      node.style.bottom = '0';
-      node.style.width = 'min(360px, 38%)';
-      if (position.includes('left')) {
-        node.style.left = '0';
-      } else {
-        node.style.right = '0';
-      }
-      return;
+  async capabilities() {
+    return { ...this._capabilityMap };
+  }
+
+  /**
+   * Report the quota state of every capability the policy limits.
+   * @returns {Promise<Record<string, { limits: object, remaining: object, withinWindow: boolean }>>}
+   */
+  async quotas() {
+    return this._quotaReport();
+  }
+
+  /**
+   * Ensure at least one tab exists, creating one if necessary.
+   * Many operations (navigateTo, goBack, reload, …) silently fail when the
+   * session has zero tabs.  Call this before any tab-dependent action.
+   * @param {string} [url] - Optional URL to open if a tab must be created.
+   * @returns {Promise<void>}
+   */
+  async _ensureTab(url) {
+    try {
+      const tabs = await this.callApi('getTabs');
+      if (Array.isArray(tabs) && tabs.length > 0) return;
+    } catch { /* treat failure as "no tabs" */ }
+    await this.callApi('createTab', url || '');
+  }
+
+  // Canonical BrowserBox API wrappers
+  switchToTab(index) { return this.callApi('switchToTab', index); }
+  switchToTabById(targetId) { return this.callApi('switchToTabById', targetId); }
+  async navigateTo(url, opts = {}) {
+    await this._ensureTab(url);
+    return this.callApi('navigateTo', url, opts);
+  }
+  navigateTab(index, url, opts = {}) { return this.callApi('navigateTab', index, url, opts); }
+  submitOmnibox(query, opts = {}) { return this.callApi('submitOmnibox', query, opts); }
+  createTab(url = '', opts = undefined) {
+    return opts === undefined ? this.callApi('createTab', url) : this.callApi('createTab', url, opts);
+  }
+  createTabs(count, opts = {}) { return this.callApi('createTabs', count, opts); }
+  closeTab(index = null) { return this.callApi('closeTab', index); }
+  closeTabById(targetId) { return this.callApi('closeTabById', targetId); }
+  closeAllTabs(opts = {}) { return this.callApi('closeAllTabs', opts); }
+  getTabs() { return this.callApi('getTabs'); }
+  getFavicons() { return this.callApi('getFavicons'); }
+  waitForNonDefaultFavicon(index, opts = {}) { return this.callApi('waitForNonDefaultFavicon', index, opts); }
+  waitForTabCount(expectedCount, opts = {}) { return this.callApi('waitForTabCount', expectedCount, opts); }
+  waitForTabUrl(index, opts = {}) { return this.callApi('waitForTabUrl', index, opts); }
+  getActiveTabIndex() { return this.callApi('getActiveTabIndex'); }
+  getTabCount() { return this.callApi('getTabCount'); }
+  reload() { return this.callApi('reload'); }
+  goBack() { return this.callApi('goBack'); }
+  goForward() { return this.callApi('goForward'); }
+  stop() { return this.callApi('stop'); }
+  getScreenMetrics() { return this.callApi('getScreenMetrics'); }
+  getTransportDiagnostics() { return this.callApi('getTransportDiagnostics'); }
+  frameCapture(enabled = true) { return this.callApi('frameCapture', Boolean(enabled)); }
+  getFrame() { return this.callApi('getFrame'); }
+  cleanSlate(url) { return this.callApi('cleanSlate', url); }
+  firstLoadCleanse(url = null) { return this._resetTabsToCleanSlate(true, url); }
+  async health({ timeoutMs } = {}) {
+    const startedAt = (typeof performance !== 'undefined' && typeof performance.now === 'function')
+      ? performance.now()
+      : Date.now();
+    const finalize = (ok, transport, error = null) => ({
+      ok,
+      usable: this._usable,
+      ready: this._isReady,
+      transport,
+      sessionId: this.routingMid || null,
+      timestamp: new Date().toISOString(),
+      latencyMs: Math.max(
+        0,
+        Math.round(((typeof performance !== 'undefined' && typeof performance.now === 'function')
+          ? performance.now()
+          : Date.now()) - startedAt),
+      ),
+      diagnostics: {
+        reconnecting: !this._isReady && !this._reconnectStopped,
+        channel: this._transport.channel ?? this._transport.kind,
+        queuedCalls: this._reconnectQueue.size,
+        lastErrorCode: error?.code || this._lastError?.code,
+        lastErrorMessage: error?.message || this._lastError?.message,
+      },
+    });
+    if (!this._transport.connected) {
+      this._setUsable(false, 'iframe-not-ready');
+      const error = createBrowserBoxError('hyper-frame health check failed: transport is not ready.', {
+        code: ERROR_CODES.TRANSPORT,
+        retriable: true,
+        status: 503,
+      });
+      this._rememberError(error);
+      return finalize(false, this._transportMode, error);
     }
+    const effectiveTimeoutMs = Number.isFinite(timeoutMs)
+      ? Math.max(100, Math.round(timeoutMs))
+      : Math.min(this.requestTimeoutMs, 8000);
+    const tryModern = () => this._request(
+      'bbx-api-call',
+      { method: 'getTabCount', args: [] },
+      { timeoutMs: effectiveTimeoutMs },
+    );
+    const tryLegacy = () => this._request('getTabCount', {}, { timeoutMs: effectiveTimeoutMs });
 
-    if (spec.kind === 'toolbar') {
-      node.style.top = '12px';
-      node.style.left = '50%';
-      node.style.transform = 'translateX(-50%)';
-      node.style.width = 'auto';
-      node.style.maxWidth = 'calc(100% - 24px)';
-      return;
+    try {
+      const result = await this._withRetry(async () => {
+        if (this._transportMode === 'modern') {
+          await tryModern();
+          return true;
+        }
+        if (this._transportMode === 'legacy') {
+          await tryLegacy();
+          return true;
+        }
+        try {
+          await tryModern();
+          this._transportMode = 'modern';
+          return true;
+        } catch (modernError) {
+          try {
+            await tryLegacy();
+            this._transportMode = 'legacy';
+            return true;
+          } catch (legacyError) {
+            const message = `hyper-frame health check failed after ${effectiveTimeoutMs}ms `
+              + `(modern error: ${modernError instanceof Error ? modernError.message : String(modernError)}; `
+              + `legacy error: ${legacyError instanceof Error ? legacyError.message : String(legacyError)})`;
+            throw createBrowserBoxError(message, {
+              code: ERROR_CODES.TRANSPORT,
+              retriable: true,
+              status: 503,
+              cause: legacyError,
+            });
+          }
+        }
+      }, {
+        attempts: 2,
+        baseDelayMs: 250,
+        maxDelayMs: 750,
+        shouldRetry: (error) => this._isRetryableApiError(error),
+      });
+      this._rememberError(null);
+      this._setUsable(true, 'health-ok');
+      return finalize(Boolean(result), this._transportMode);
+    } catch (error) {
+      const normalizedError = this._normalizeRemoteError(error, { method: 'health' });
+      this._rememberError(normalizedError);
+      this._setUsable(false, 'health-failed');
+      return finalize(false, this._transportMode, normalizedError);
     }
+  }
 
-    if (spec.kind === 'toast') {
-      node.style.position = 'relative';
-      node.style.maxWidth = '100%';
-      return;
+  // UI visibility controls — update attribute (source of truth) + sync to iframe
+  uiVisible(visible) {
+    if (visible !== undefined) {
+      this._setOption('ui-visible', String(Boolean(visible)));
     }
-
-    node.style.maxWidth = 'min(360px, calc(100% - 24px))';
-    if (position.includes('top')) {
-      node.style.top = '12px';
-    } else if (position.includes('bottom')) {
-      node.style.bottom = '12px';
-    } else {
-      node.style.top = '50%';
-      node.style.transform = 'translateY(-50%)';
+    return this.callApi('uiVisible', visible);
+  }
+  allowUserToggleUI(allow) {
+    if (allow !== undefined) {
+      this._setOption('allow-user-toggle-ui', String(Boolean(allow)));
     }
-    if (position.includes('left')) {
-      node.style.left = '12px';
-    } else if (position.includes('right')) {
-      node.style.right = '12px';
-    } else {
-      node.style.left = '50%';
-      node.style.transform = node.style.transform ? `${node.style.transform} translateX(-50%)` : 'translateX(-50%)';
+    return this.callApi('allowUserToggleUI', allow);
+  }
+  getCurrentModal() {
+    return this.callApi('getCurrentModal');
+  }
+  respondToModal(request = {}) {
+    assertPlainObject(request, 'respondToModal(request)');
+    return this.callApi('respondToModal', request);
+  }
+  dismissModal(request = {}) {
+    if (request !== undefined) {
+      assertPlainObject(request, 'dismissModal(request)');
     }
+    return this.callApi('dismissModal', request || {});
   }
 
-  _applyAugmentStyle(node, spec) {
-    node.style.cssText += '';
-    if (typeof spec.style === 'string') {
-      const tone = spec.style.trim().toLowerCase();
-      if (tone && !tone.includes(':')) {
-        node.dataset.tone = tone;
-      } else if (tone) {
-        node.style.cssText += `;${tone}`;
-      }
+  // Automation surface
+  waitForSelector(selector, opts = {}) { return this.callApi('waitForSelector', selector, opts); }
+  click(selector, opts = {}) { return this.callApi('click', selector, opts); }
+  type(selector, text, opts = {}) { return this.callApi('type', selector, text, opts); }
+  evaluate(expression, opts = {}) { return this.callApi('evaluate', expression, opts); }
+  waitForNavigation(opts = {}) { return this.callApi('waitForNavigation', opts); }
+
+  refresh() {
+    // Transports report an immediate `false` when there is nothing to reload.
+    if (typeof this._transport.reload !== 'function' || this._transport.reload('refresh') === false) {
       return;
     }
-    if (spec.style && typeof spec.style === 'object' && !Array.isArray(spec.style)) {
-      for (const [key, value] of Object.entries(spec.style)) {
-        node.style.setProperty(key, String(value));
-      }
-    }
+    this._isReady = false;
+    this._apiMethods = [];
+    this._apiFeatures = [];
+    this._transportMode = 'unknown';
+    this._tabStore.clear();
+    this._reconnectStopped = false;
+    this._midSyncAcked = false;
+    this._resetReadyPromise();
+    this._requeuePending(createBrowserBoxError('hyper-frame refreshed.', {
+      code: ERROR_CODES.TRANSPORT,
+      retriable: true,
+      status: 503,
+    }));
   }
 
-  _renderHighlightAugment(node, record) {
-    const tone = typeof record.spec.style === 'string' ? record.spec.style.trim().toLowerCase() : 'warning';
-    const matches = Array.isArray(record.resolution?.matches) ? record.resolution.matches : [];
-    node.replaceChildren();
-    node.className = 'bbx-augment bbx-augment-surface';
-    node.dataset.kind = record.spec.kind;
-    node.dataset.space = record.spec.space;
-    node.dataset.interactive = String(record.spec.interactive);
-    node.style.display = record.spec.visible && matches.length > 0 ? 'block' : 'none';
-    for (const box of matches) {
-      const highlight = document.createElement('div');
-      highlight.className = 'bbx-highlight-box';
-      highlight.dataset.tone = tone;
-      highlight.style.left = `${box.x}px`;
-      highlight.style.top = `${box.y}px`;
-      highlight.style.width = `${box.width}px`;
-      highlight.style.height = `${box.height}px`;
-      node.append(highlight);
-    }
+  async disconnect() {
+    this.stopReconnectAttempts('session.disconnect');
+    this._isReady = false;
+    this._apiMethods = [];
+    this._apiFeatures = [];
+    this._transportMode = 'unknown';
+    this._tabStore.clear();
+    this._resetReadyPromise();
+    this._host.unload?.();
+    this._emitBrowserBoxEvent('disconnected', {
+      reason: 'session.disconnect',
+    });
+    return true;
   }
 
-  _renderStandardAugment(node, record) {
-    node.className = `bbx-augment bbx-augment-${record.spec.kind}`;
-    node.dataset.kind = record.spec.kind;
-    node.dataset.space = record.spec.space;
-    node.dataset.interactive = String(record.spec.interactive);
-    node.style.display = record.spec.visible ? '' : 'none';
-    this._applyAugmentPosition(node, record.spec, record.resolution);
-    this._applyAugmentContent(node, record.spec.content);
-    this._applyAugmentStyle(node, record.spec);
+  stopReconnectAttempts(reason = 'manual-stop') {
+    this._reconnectStopped = true;
+    this._stopInitPing();
+    this._stopMidSync();
+    this._setUsable(false, reason);
+    this._rejectPending(createBrowserBoxError(`hyper-frame reconnect stopped (${reason}).`, {
+      code: ERROR_CODES.TRANSPORT,
+      retriable: true,
+      status: 503,
+      reason,
+    }));
   }
 
-  _renderAugmentRecord(record) {
-    const root = this._augmentRoots[record.spec.kind === 'toast' ? 'toast' : record.spec.space] || this._augmentRoots.session;
-    if (!record.node) {
-      record.node = document.createElement('div');
-      record.node.dataset.augmentId = record.spec.id;
-      root.append(record.node);
-    } else if (record.node.parentNode !== root) {
-      root.append(record.node);
-    }
+  get loginLink() {
+    return this._option('login-link');
+  }
 
-    if (record.spec.kind === 'highlight') {
-      this._renderHighlightAugment(record.node, record);
-    } else {
-      this._renderStandardAugment(record.node, record);
-    }
+  set loginLink(value) {
+    if (value) this._setOption('login-link', value);
+    else this._setOption('login-link', null);
   }
 
-  async _createAugment(spec) {
-    const normalized = normalizeAugmentSpec(spec);
-    this._assertCapability('augment.write');
-    this._assertCapability(`augment.${normalized.space}`);
-    if (this._augmentRegistry.has(normalized.id)) {
-      throw createBrowserBoxError(`hyper-frame augment '${normalized.id}' already exists.`, {
-        code: ERROR_CODES.CONFLICT,
-        status: 409,
-        augmentId: normalized.id,
-      });
-    }
-    const record = {
-      spec: normalized,
-      resolution: await this._resolveAugmentTarget(normalized),
-      node: null,
-    };
-    this._augmentRegistry.set(normalized.id, record);
-    this._renderAugmentRecord(record);
-    return Object.freeze({
-      id: normalized.id,
-      kind: normalized.kind,
-      space: normalized.space,
-      ...(normalized.position === undefined ? {} : { position: normalized.position }),
-      ...(normalized.target === undefined ? {} : { target: cloneJsonValue(normalized.target) }),
-      interactive: normalized.interactive,
-      visible: normalized.visible,
-      remove: () => this._removeAugment(normalized.id),
-      update: (patch) => this._updateAugment(normalized.id, patch),
-    });
+  get routingMid() {
+    return this._routingMid || '';
   }
 
-  async _updateAugment(id, patch) {
-    const augmentId = assertNonEmptyString(id, 'augment.update(id)');
-    this._assertCapability('augment.write');
-    const record = this._augmentRegistry.get(augmentId);
-    if (!record) {
-      throw createBrowserBoxError(`hyper-frame augment '${augmentId}' does not exist.`, {
-        code: ERROR_CODES.NOT_FOUND,
-        status: 404,
-        augmentId,
-      });
-    }
-    const merged = normalizeAugmentSpec({
-      ...record.spec,
-      ...(patch && typeof patch === 'object' && !Array.isArray(patch) ? patch : {}),
-      id: augmentId,
-    });
-    this._assertCapability(`augment.${merged.space}`);
-    record.spec = merged;
-    record.resolution = await this._resolveAugmentTarget(merged);
-    this._renderAugmentRecord(record);
+  /**
+   * Channel used for all BrowserBox traffic. Defaults to the transport the
+   * controller was created with (the element's own iframe); assign a
+   * {@link MockTransport} (or any object implementing the transport contract)
+   * to run without a live BrowserBox. Assigning `null` restores the default.
+   */
+  get transport() {
+    return this._transport;
   }
 
-  async _removeAugment(id) {
-    const augmentId = assertNonEmptyString(id, 'augment.remove(id)');
-    this._assertCapability('augment.write');
-    const record = this._augmentRegistry.get(augmentId);
-    if (!record) {
-      return false;
+  set transport(value) {
+    const next = value ?? this._defaultTransport;
+    if (!isTransport(next)) {
+      throwInvalidArgument('hyper-frame transport requires connect(), disconnect() and post() methods.');
+    }
+    if (next === this._transport) {
+      return;
+    }
+    this._transport.disconnect();
+    this._isReady = false;
+    this._apiMethods = [];
+    this._apiFeatures = [];
+    this._transportMode = 'unknown';
+    this._tabStore.clear();
+    this._emulatedTabLayout = createEmulatedTabLayout();
+    this._iframeRetryCount = 0;
+    this._initPingCount = 0;
+    this._reconnectStopped = false;
+    this._midSyncAcked = false;
+    this._uiSyncAcked = false;
+    this._stopInitPing();
+    this._stopMidSync();
+    this._resetReadyPromise();
+    this._host.reset?.('transport-changed');
+    this._rejectPending(createBrowserBoxError('hyper-frame transport changed.', {
+      code: ERROR_CODES.TRANSPORT,
+      retriable: true,
+      status: 503,
+    }));
+    this._transport = next;
+    this._host.transportChanged?.(next);
+    if (this._attached) {
+      next.connect(this._transportHost);
     }
-    record.node?.remove();
-    this._augmentRegistry.delete(augmentId);
-    return true;
   }
 
-  async _listAugments() {
-    this._assertCapability('augment.read');
-    return [...this._augmentRegistry.values()].map((record) => normalizeAugmentInfo(record.spec));
+  get embedderOrigin() {
+    return this._option('embedder-origin')
+      || this._option('parent-origin')
+      || '*';
   }
 
-  async select(options = {}) {
-    this._assertCapability('select.use');
-    const timeoutMs = Number.isFinite(options?.timeoutMs)
-      ? Math.max(1000, Math.round(options.timeoutMs))
-      : Math.max(this.requestTimeoutMs, 120000);
-    const rawSelection = await this._callApiDirect('beginSelect', [options], { timeoutMs });
-    return createSelectionHandle(this, rawSelection);
+  set embedderOrigin(value) {
+    if (value) this._setOption('embedder-origin', value);
+    else this._setOption('embedder-origin', null);
   }
 
-  async _generalizeSelection(rawSelection) {
-    return this._callApiDirect('generalizeSelection', [rawSelection], {
-      timeoutMs: this.requestTimeoutMs,
-    });
+  /** @deprecated Use embedderOrigin instead. */
+  get parentOrigin() {
+    return this.embedderOrigin;
   }
 
-  async _extractSelection(target, options = {}) {
-    this._assertCapability('select.extract');
-    const extractOptions = {
-      ...options,
-      ...(Number.isInteger(options?.limit) ? { maxItems: options.limit } : {}),
-    };
-    const result = await this._callApiDirect('extractSelection', [target, extractOptions], {
-      timeoutMs: Number.isFinite(options?.timeoutMs) ? options.timeoutMs : this.requestTimeoutMs,
-    });
-    return normalizeExtractResult(target, result);
+  /** @deprecated Use embedderOrigin instead. */
+  set parentOrigin(value) {
+    this.embedderOrigin = value;
   }
 
-  async _previewSelectionPattern(target, previewId) {
-    const pattern = target?.selector ? { selector: target.selector } : target;
-    const resolution = await this._callApiDirect('resolvePageTarget', [pattern, { maxMatches: 12 }], {
-      timeoutMs: this.requestTimeoutMs,
-    });
-    await this._upsertPreviewAugment(previewId, pattern, resolution);
-    return normalizePreviewResult(pattern, resolution);
+  get requestTimeoutMs() {
+    const raw = this._option('request-timeout-ms');
+    const parsed = Number.parseInt(raw || '30000', 10);
+    if (!Number.isFinite(parsed) || parsed < 100) {
+      return 30000;
+    }
+    return parsed;
   }
 
-  async _upsertPreviewAugment(previewId, pattern, resolution) {
-    const record = this._augmentRegistry.get(previewId);
-    const spec = {
-      id: previewId,
-      kind: 'highlight',
-      space: 'page',
-      target: pattern,
-      style: 'info',
-      interactive: false,
-      visible: true,
-    };
-    if (!record) {
-      this._augmentRegistry.set(previewId, {
-        spec,
-        resolution,
-        node: null,
-      });
-      this._renderAugmentRecord(this._augmentRegistry.get(previewId));
+  set requestTimeoutMs(value) {
+    if (value === null || value === undefined) {
+      this._setOption('request-timeout-ms', null);
       return;
     }
-    record.spec = spec;
-    record.resolution = resolution;
-    this._renderAugmentRecord(record);
+    this._setOption('request-timeout-ms', String(value));
   }
 
-  _handleMessage(event) {
-    if (event.source !== this.iframe.contentWindow) {
-      return;
+  /**
+   * Retry and timeout settings per method, capability (`tabs.write`),
+   * capability group (`tabs`) or `default`. Mirrors the `retry-policy`
+   * attribute; entries accept `attempts`, `baseDelayMs`, `maxDelayMs`,
+   * `jitter` (0–1), `timeoutMs`, `retryOn` (error codes) and `retry: false`.
+   */
+  get retryPolicy() {
+    if (this._retryPolicy) {
+      return this._retryPolicy;
     }
-    if (!this._validateIncomingOrigin(event.origin)) {
-      return;
+    const raw = this._option('retry-policy');
+    this._retryPolicy = Object.freeze({});
+    if (raw) {
+      try {
+        this._retryPolicy = normalizeRetryPolicy(JSON.parse(raw));
+      } catch (error) {
+        console.error('[hyper-frame] failed to parse retry-policy attribute.', {
+          retryPolicy: raw,
+          error,
+        });
+      }
     }
+    return this._retryPolicy;
+  }
 
-    const payload = event.data || {};
-    if (typeof payload.type !== 'string') {
+  set retryPolicy(value) {
+    if (value === null || value === undefined) {
+      this._setOption('retry-policy', null);
       return;
     }
+    this._setOption('retry-policy', JSON.stringify(normalizeRetryPolicy(value)));
+  }
 
-    if (payload.type === 'bbx-mid-request') {
-      console.info('[bbx-mid] child requested mid');
-      this._postMidSync('child-request');
+  get reconnectMode() {
+    const raw = String(this._option('reconnect-mode') || '').trim().toLowerCase();
+    return RECONNECT_MODES.has(raw) ? raw : 'fail-fast';
+  }
+
+  set reconnectMode(value) {
+    if (value === null || value === undefined) {
+      this._setOption('reconnect-mode', null);
       return;
     }
+    this._setOption('reconnect-mode', String(value));
+  }
 
-    if (payload.type === 'bbx-mid-ack') {
-      const ackMid = this._normalizeMid(payload.data?.mid ?? payload.mid);
-      console.info('[bbx-mid] received ack', {
-        ackMid,
-        expectedMid: this._routingMid,
-      });
-      if (this._routingMid && (!ackMid || ackMid === this._routingMid)) {
-        this._midSyncAcked = true;
-        this._stopMidSync();
-        console.info('[bbx-mid] sync established', {
-          mid: this._routingMid,
-          attempts: Math.max(1, this._midSyncAttempt),
-        });
-        this.dispatchEvent(new CustomEvent('mid-synced', {
-          detail: {
-            mid: this._routingMid,
-            attempts: Math.max(1, this._midSyncAttempt),
-          },
-        }));
-      } else {
-        console.warn('[bbx-mid] ack mid mismatch', {
-          ackMid,
-          expectedMid: this._routingMid,
-        });
-      }
-      return;
+  get reconnectQueueMaxAgeMs() {
+    const parsed = Number.parseInt(this._option('reconnect-queue-max-age-ms') || '', 10);
+    if (!Number.isFinite(parsed) || parsed < 100) {
+      return DEFAULT_RECONNECT_QUEUE_MAX_AGE_MS;
     }
+    return parsed;
+  }
 
-    if (payload.type === 'bbx-ui-request') {
-      this._sendUISync('child-request');
+  set reconnectQueueMaxAgeMs(value) {
+    if (value === null || value === undefined) {
+      this._setOption('reconnect-queue-max-age-ms', null);
       return;
     }
+    this._setOption('reconnect-queue-max-age-ms', String(value));
+  }
 
-    if (payload.type === 'bbx-ui-ack') {
-      this._uiSyncAcked = true;
+  /**
+   * Per-method overrides for `queue-while-reconnecting`, e.g.
+   * `{ createTab: 'reject', getFrame: 'replay' }`. Reads return the
+   * effective table.
+   */
+  get replayPolicy() {
+    return Object.freeze({ ...METHOD_REPLAY_POLICY, ...this._replayPolicyOverrides });
+  }
+
+  set replayPolicy(value) {
+    if (value === null || value === undefined) {
+      this._replayPolicyOverrides = {};
       return;
     }
+    assertPlainObject(value, 'replayPolicy');
+    const overrides = {};
+    for (const [method, policy] of Object.entries(value)) {
+      if (policy !== 'replay' && policy !== 'latest' && policy !== 'reject') {
+        throwInvalidArgument(`hyper-frame replayPolicy.${method} must be 'replay', 'latest' or 'reject'.`, {
+          method,
+          policy,
+        });
+      }
+      overrides[method] = policy;
+    }
+    this._replayPolicyOverrides = overrides;
+  }
 
-    if (payload.type === 'bbx-sos') {
-      const incoming = (payload.data && typeof payload.data === 'object')
-        ? payload.data
-        : {};
-      const reasonCode = typeof incoming.reasonCode === 'string' && incoming.reasonCode.length > 0
-        ? incoming.reasonCode
-        : 'browser-unusable';
-      const detail = {
-        ...incoming,
-        reasonCode,
-        iframeOrigin: event.origin,
-        routingMid: this._routingMid || '',
-        loginLink: this.loginLink || '',
-        forwardedAt: Date.now(),
-        forwardedBy: 'hyper-frame',
-      };
-      this._setUsable(false, `sos:${reasonCode}`);
-      this._emitBrowserBoxEvent('sos', detail);
-      this._forwardToParent({
-        type: 'bbx-sos',
-        data: detail,
+  /**
+   * Legacy BrowserBox has no idempotency support, so de-duplicate here: a key
+   * that is in flight or already succeeded returns the earlier outcome.
+   */
+  _callLegacyOnce(idempotencyKey, run) {
+    const existing = this._idempotentCalls.get(idempotencyKey);
+    if (existing) {
+      return existing;
+    }
+    const call = run().catch((error) => {
+      this._idempotentCalls.delete(idempotencyKey);
+      throw error;
+    });
+    this._idempotentCalls.set(idempotencyKey, call);
+    if (this._idempotentCalls.size > IDEMPOTENCY_CACHE_LIMIT) {
+      this._idempotentCalls.delete(this._idempotentCalls.keys().next().value);
+    }
+    return call;
+  }
+
+  /**
+   * Legacy transport dispatch. Each handler is a small function in a lookup
+   * table — avoids the 180-line if/else chain (Architecture §6, §3).
+   * @param {string} method
+   * @param {Array} args
+   * @param {Error|null} originalError
+   * @returns {Promise<*>}
+   */
+  async _legacyCall(method, args = [], originalError = null, context = {}) {
+    const handler = this._legacyHandlers[method];
+    if (!handler) {
+      const detail = originalError?.message ? ` (${originalError.message})` : '';
+      throw createBrowserBoxError(`No legacy fallback for API method '${method}'${detail}`, {
+        code: ERROR_CODES.UNSUPPORTED,
+        status: 501,
+        method,
+        ...(originalError ? { cause: originalError } : {}),
       });
-      return;
     }
+    return handler.call(this, args, originalError, context);
+  }
 
-    if (payload.requestId && this._pending.has(payload.requestId)) {
-      const pending = this._pending.get(payload.requestId);
-      clearTimeout(pending.timer);
-      this._pending.delete(payload.requestId);
-      if (payload.error) {
-        const error = this._normalizeRemoteError(payload.error, {
-          requestId: payload.requestId,
-          requestType: payload.type,
-        });
-        this._rememberError(error);
-        pending.reject(error);
-      } else {
-        this._rememberError(null);
-        pending.resolve(payload.data);
+  get _legacyHandlers() {
+    if (this.__legacyHandlers) return this.__legacyHandlers;
+    const self = this;
+
+    // Emulated layout ops only accept ids of tabs that exist; the store is
+    // checked first and refreshed from getTabs when it does not know an id.
+    const assertKnownTabIds = async (tabIds, method) => {
+      if (tabIds.length === 0) {
+        throwInvalidArgument(`hyper-frame ${method} requires at least one tab id.`, { method });
       }
-      return;
-    }
+      let known = new Set(self._tabStore.entries().map((tab) => tabEntryId(tab)));
+      if (tabIds.some((tabId) => !known.has(tabId))) {
+        const tabs = await self._legacyHandlers.getTabs.call(self, []);
+        known = new Set(tabs.map((tab) => tabEntryId(tab)));
+      }
+      const unknown = tabIds.filter((tabId) => !known.has(tabId));
+      if (unknown.length > 0) {
+        throwInvalidArgument(`hyper-frame ${method}: unknown tab id '${unknown[0]}'.`, { method, tabIds: unknown });
+      }
+      return tabIds;
+    };
+    const fail = (message, originalError = null) => {
+      const detail = originalError?.message ? ` (${originalError.message})` : '';
+      throw self._normalizeRemoteError(
+        createBrowserBoxError(`${message}${detail}`, {
+          code: ERROR_CODES.INTERNAL,
+          status: 500,
+          ...(originalError ? { cause: originalError } : {}),
+        }),
+      );
+    };
+
+    const resolveTabId = async (indexArg = null) => {
+      if (typeof indexArg === 'string' && indexArg.trim().length > 0) return indexArg.trim();
+      const tabs = await self._legacyHandlers.getTabs.call(self, []);
+      if (Array.isArray(tabs) && tabs.length > 0) {
+        const requested = Number.isInteger(indexArg) ? indexArg : 0;
+        const normalized = requested < 0 ? tabs.length + requested : requested;
+        const safeIndex = Math.max(0, Math.min(tabs.length - 1, normalized));
+        return tabs[safeIndex]?.id || tabs[safeIndex]?.targetId || null;
+      }
+      const activeTab = await self._request('getActiveTab', {}).catch(() => null);
+      return activeTab?.id || activeTab?.targetId || null;
+    };
+
+    const requestedTabId = (opts) => (
+      typeof opts?.tabId === 'string' && opts.tabId.length > 0 ? opts.tabId : null
+    );
+
+    this.__legacyHandlers = {
+      async getTabs() {
+        let tabs;
+        try {
+          tabs = await self._request('getTabs', {});
+        } catch {
+          tabs = self._tabStore.entries();
+        }
+        if (!Array.isArray(tabs)) return self._tabStore.entries();
+        const liveIds = new Set(tabs.map((tab) => tabEntryId(tab)));
+        pruneEmulatedTabLayout(self._emulatedTabLayout, (tabId) => liveIds.has(tabId));
+        const normalizedTabs = applyEmulatedTabLayout(
+          self._emulatedTabLayout,
+          tabs.map((tab, index) => ({ index, ...tab })),
+        );
+        self._tabStore.replace(normalizedTabs);
+        return normalizedTabs;
+      },
+
+      async getActiveTabIndex() {
+        const [tabs, activeTab] = await Promise.all([
+          self._legacyHandlers.getTabs.call(self, []),
+          self._request('getActiveTab', {}).catch(() => null),
+        ]);
+        if (!activeTab || !Array.isArray(tabs)) return -1;
+        const activeId = activeTab.id || activeTab.targetId || null;
+        return tabs.findIndex((tab) => (tab.id || tab.targetId) === activeId);
+      },
+
+      async getTabCount() {
+        const tabs = await self._legacyHandlers.getTabs.call(self, []);
+        return Array.isArray(tabs) ? tabs.length : 0;
+      },
+
+      async createTab(args, originalError, { idempotencyKey } = {}) {
+        const url = typeof args[0] === 'string' ? args[0] : '';
+        self._postRaw({ type: 'createTab', data: { url, ...(idempotencyKey ? { idempotencyKey } : {}) } });
+        return true;
+      },
+
+      async createTabs(args, originalError, { idempotencyKey } = {}) {
+        const count = Number.isInteger(args[0]) && args[0] > 0 ? args[0] : 0;
+        const opts = args[1] || {};
+        const url = typeof opts.url === 'string' ? opts.url : '';
+        for (let i = 0; i < count; i += 1) {
+          self._postRaw({
+            type: 'createTab',
+            data: { url, ...(idempotencyKey ? { idempotencyKey: `${idempotencyKey}:${i}` } : {}) },
+          });
+        }
+        return true;
+      },
+
+      async closeTab(args, originalError) {
+        const tabId = await resolveTabId(args[0]);
+        if (!tabId) fail('Legacy closeTab failed: no target tab', originalError);
+        self._postRaw({ type: 'closeTab', tabId, data: {} });
+        return true;
+      },
+
+      async closeTabById(args, originalError) {
+        const tabId = typeof args[0] === 'string' && args[0].trim().length > 0 ? args[0].trim() : null;
+        if (!tabId) fail('Legacy closeTabById requires a non-empty targetId string', originalError);
+        self._postRaw({ type: 'closeTab', tabId, data: {} });
+        return true;
+      },
+
+      // moveTab, pinTab and groupTabs are emulated client-side: the layout is
+      // applied to getTabs results and the events are raised locally.
+      async moveTab(args, originalError) {
+        const tabs = await self._legacyHandlers.getTabs.call(self, []);
+        const ids = tabs.map((tab) => tabEntryId(tab));
+        const tabId = args[0];
+        const fromIndex = ids.indexOf(tabId);
+        if (fromIndex === -1) fail(`Legacy moveTab failed: tab ${tabId} not found`, originalError);
+        const index = Math.max(0, Math.min(Number.isInteger(args[1]) ? args[1] : 0, ids.length - 1));
+        ids.splice(fromIndex, 1);
+        ids.splice(index, 0, tabId);
+        self._emulatedTabLayout.order = ids;
+        self._tabStore.move({ id: tabId, index });
+        self._emitBrowserBoxEvent('tab-moved', { id: tabId, fromIndex, index, emulated: true });
+        return true;
+      },
+
+      async pinTab(args) {
+        const [tabId] = await assertKnownTabIds([args[0]], 'pinTab');
+        const pinned = args[1] !== false;
+        if (pinned) self._emulatedTabLayout.pinned.add(tabId);
+        else self._emulatedTabLayout.pinned.delete(tabId);
+        self._tabStore.update({ id: tabId, pinned });
+        self._emitBrowserBoxEvent('tab-updated', { id: tabId, pinned, emulated: true });
+        return true;
+      },
+
+      async groupTabs(args) {
+        const tabIds = await assertKnownTabIds(Array.isArray(args[0]) ? args[0] : [], 'groupTabs');
+        const { title = '', color = '' } = args[1] || {};
+        const groupId = generateOpaqueId('bbx-group');
+        for (const tabId of tabIds) {
+          self._emulatedTabLayout.groups.set(tabId, groupId);
+        }
+        const detail = { groupId, tabIds, title, color };
+        self._tabStore.group(detail);
+        self._emitBrowserBoxEvent('tab-grouped', { ...detail, emulated: true });
+        return detail;
+      },
+
+      async duplicateTab(args, originalError) {
+        const tabs = await self._legacyHandlers.getTabs.call(self, []);
+        const tab = tabs.find((candidate) => tabEntryId(candidate) === args[0]);
+        if (!tab) fail(`Legacy duplicateTab failed: tab ${args[0]} not found`, originalError);
+        self._postRaw({ type: 'createTab', data: { url: typeof tab.url === 'string' ? tab.url : '' } });
+        return true;
+      },
+
+      async closeAllTabs(args) {
+        const opts = args[0] || {};
+        const keep = Number.isInteger(opts.keep) ? Math.max(0, opts.keep) : 0;
+        const tabs = await self._legacyHandlers.getTabs.call(self, []);
+        if (!Array.isArray(tabs) || tabs.length <= keep) return tabs?.length || 0;
+        for (let i = tabs.length - 1; i >= keep; i -= 1) {
+          const tabId = tabs[i]?.id || tabs[i]?.targetId;
+          if (!tabId) continue;
+          self._postRaw({ type: 'closeTab', tabId, data: {} });
+        }
+        return Math.max(keep, 0);
+      },
 
-    if (payload.type === 'tab-api-ready') {
-      const wasReady = this._isReady;
-      this._setReady();
-      this._emitBrowserBoxEvent('ready', { type: payload.type });
-      if (!wasReady) this._resetTabsToCleanSlate();
-      return;
-    }
+      async switchToTab(args, originalError) {
+        const tabId = await resolveTabId(args[0]);
+        if (!tabId) fail('Legacy switchToTab failed: no target tab', originalError);
+        self._postRaw({ type: 'setActiveTab', tabId, data: {} });
+        return true;
+      },
 
-    if (payload.type === 'bbx-api-ready') {
-      if (Array.isArray(payload.data?.methods)) {
-        this._apiMethods = payload.data.methods.slice();
-        this._transportMode = 'modern';
-      }
-      if (payload.data?.policy) {
-        this._serverPolicySnapshot = normalizePolicyStateSnapshot(payload.data.policy);
-        this._refreshPolicyState('server-policy-ready');
-      }
-      const wasReady = this._isReady;
-      this._setReady();
-      this._emitBrowserBoxEvent('api-ready', payload.data || {});
-      if (!wasReady) this._resetTabsToCleanSlate();
-      return;
-    }
+      async switchToTabById(args, originalError) {
+        const tabId = typeof args[0] === 'string' && args[0].trim().length > 0 ? args[0].trim() : null;
+        if (!tabId) fail('Legacy switchToTabById requires a non-empty targetId string', originalError);
+        self._postRaw({ type: 'setActiveTab', tabId, data: {} });
+        return true;
+      },
 
-    if (payload.type === 'bbx-policy-sync') {
-      this._serverPolicySnapshot = normalizePolicyStateSnapshot(payload.data?.policy ?? payload.data);
-      this._refreshPolicyState('server-policy-sync');
-      return;
-    }
+      async navigateTo(args, originalError) {
+        const url = typeof args[0] === 'string' ? args[0] : '';
+        const tabId = requestedTabId(args[1]) || await resolveTabId(null);
+        if (!tabId) fail('Legacy navigateTo failed: no active tab', originalError);
+        self._postRaw({ type: 'loadURL', tabId, data: { url } });
+        return true;
+      },
 
-    if (payload.type === 'active-tab-changed') {
-      this._invalidateFrameBootstrap('active-tab-changed');
-    }
+      async navigateTab(args, originalError) {
+        const tabId = await resolveTabId(args[0]);
+        const url = typeof args[1] === 'string' ? args[1] : '';
+        if (!tabId) fail('Legacy navigateTab failed: no target tab', originalError);
+        self._postRaw({ type: 'setActiveTab', tabId, data: {} });
+        self._postRaw({ type: 'loadURL', tabId, data: { url } });
+        return true;
+      },
 
-    if (payload.type === 'tab-updated' || payload.type === 'tab-attached') {
-      this._updateLegacyTabCache(payload.data);
-    } else if (payload.type === 'tab-created') {
-      this._addLegacyTabCache(payload.data);
-    } else if (payload.type === 'tab-closed') {
-      this._removeLegacyTabCache(payload.data);
-    }
+      async submitOmnibox(args, originalError) {
+        const query = typeof args[0] === 'string' ? args[0] : '';
+        return self._legacyHandlers.navigateTo.call(self, [query], originalError);
+      },
 
-    this._emitBrowserBoxEvent(payload.type, payload.data || {});
-  }
+      async reload(args, originalError) {
+        const tabId = await resolveTabId(null);
+        if (!tabId) fail('Legacy reload failed: no active tab', originalError);
+        self._postRaw({ type: 'reload', tabId, data: {} });
+        return true;
+      },
 
-  _request(type, data = {}, options = {}) {
-    if (!this.iframe.contentWindow) {
-      const error = createBrowserBoxError('hyper-frame iframe is not ready.', {
-        code: ERROR_CODES.TRANSPORT,
-        retriable: true,
-        status: 503,
-        requestType: type,
-      });
-      this._rememberError(error);
-      return Promise.reject(error);
-    }
+      async goBack(args, originalError) {
+        const tabId = await resolveTabId(null);
+        if (!tabId) fail('Legacy goBack failed: no active tab', originalError);
+        self._postRaw({ type: 'goBack', tabId, data: {} });
+        return true;
+      },
 
-    const timeoutMs = Number.isFinite(options.timeoutMs)
-      ? Math.max(100, Math.round(options.timeoutMs))
-      : this.requestTimeoutMs;
+      async goForward(args, originalError) {
+        const tabId = await resolveTabId(null);
+        if (!tabId) fail('Legacy goForward failed: no active tab', originalError);
+        self._postRaw({ type: 'goForward', tabId, data: {} });
+        return true;
+      },
 
-    const requestId = `bbx-${Date.now()}-${++this._requestSeq}`;
-    const message = { type, requestId, data, ...(options.messageExtras || {}) };
-    const targetOrigin = this._outboundTargetOrigin();
+      async stop(args, originalError) {
+        const tabId = await resolveTabId(null);
+        if (!tabId) fail('Legacy stop failed: no active tab', originalError);
+        self._postRaw({ type: 'stop', tabId, data: {} });
+        return true;
+      },
 
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this._pending.delete(requestId);
-        const error = createBrowserBoxError(`hyper-frame request timed out (${type}) after ${timeoutMs}ms.`, {
-          code: ERROR_CODES.TIMEOUT,
-          retriable: true,
-          status: 504,
-          requestId,
-          requestType: type,
-          timeoutMs,
-        });
-        this._rememberError(error);
-        reject(error);
-      }, timeoutMs);
+      async evaluate(args, originalError) {
+        const expression = typeof args[0] === 'string' ? args[0] : '';
+        const tabId = requestedTabId(args[1]) || await resolveTabId(null);
+        if (!tabId) fail('Legacy evaluate failed: no active tab', originalError);
+        if (expression.includes('history.back')) {
+          self._postRaw({ type: 'goBack', tabId, data: {} });
+          return true;
+        }
+        if (expression.includes('history.forward')) {
+          self._postRaw({ type: 'goForward', tabId, data: {} });
+          return true;
+        }
+        if (expression.includes('window.stop')) {
+          self._postRaw({ type: 'stop', tabId, data: {} });
+          return true;
+        }
+        fail('Legacy evaluate only supports history.back, history.forward, and window.stop', originalError);
+      },
 
-      this._pending.set(requestId, { resolve, reject, timer });
-      try {
-        this.iframe.contentWindow.postMessage(message, targetOrigin);
-      } catch (error) {
-        clearTimeout(timer);
-        this._pending.delete(requestId);
-        const transportError = createBrowserBoxError(`hyper-frame failed to postMessage '${type}'.`, {
-          code: ERROR_CODES.TRANSPORT,
-          retriable: true,
-          status: 503,
-          requestId,
-          requestType: type,
-          cause: error,
-        });
-        this._rememberError(transportError);
-        reject(transportError);
-      }
-    });
-  }
+      async waitForTabCount(args, originalError) {
+        const expectedCount = Number.isInteger(args[0]) ? args[0] : 0;
+        const opts = args[1] || {};
+        const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : self.requestTimeoutMs;
+        const pollMs = Number.isFinite(opts.pollMs) ? Math.max(50, opts.pollMs) : 150;
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+          const tabs = await self._legacyHandlers.getTabs.call(self, []);
+          if (tabs.length === expectedCount) return tabs.length;
+          await new Promise((resolve) => setTimeout(resolve, pollMs));
+        }
+        fail(`Legacy waitForTabCount timed out waiting for ${expectedCount}`, originalError);
+      },
 
-  _postRaw(message) {
-    if (!this.iframe.contentWindow) {
-      return;
-    }
-    this.iframe.contentWindow.postMessage(message, this._outboundTargetOrigin());
-  }
+      async waitForTabUrl(args, originalError) {
+        const tabIndex = Number.isInteger(args[0]) ? args[0] : 0;
+        const opts = args[1] || {};
+        const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : self.requestTimeoutMs;
+        const pollMs = Number.isFinite(opts.pollMs) ? Math.max(50, opts.pollMs) : 150;
+        const expectIncludes = typeof opts.expectIncludes === 'string' ? opts.expectIncludes : '';
+        const allowBlank = Boolean(opts.allowBlank);
+        const deadline = Date.now() + timeoutMs;
+        while (Date.now() < deadline) {
+          const tabs = await self._legacyHandlers.getTabs.call(self, []);
+          if (Array.isArray(tabs) && tabs.length > 0) {
+            const safeIndex = Math.max(0, Math.min(tabs.length - 1, tabIndex));
+            const url = tabs[safeIndex]?.url || '';
+            if (allowBlank || url) {
+              if (!expectIncludes || url.includes(expectIncludes)) {
+                return { index: safeIndex, id: tabs[safeIndex]?.id || tabs[safeIndex]?.targetId, url };
+              }
+            }
+          }
+          await new Promise((resolve) => setTimeout(resolve, pollMs));
+        }
+        fail(`Legacy waitForTabUrl timed out for tab ${tabIndex}`, originalError);
+      },
+    };
 
-  _forwardToParent(message) {
-    if (window.parent === window) {
-      return;
-    }
-    try {
-      window.parent.postMessage(message, '*');
-    } catch (error) {
-      console.warn('[hyper-frame] failed to forward message to parent', error);
-    }
+    return this.__legacyHandlers;
   }
+}
 
-  async whenReady({ timeoutMs = this.requestTimeoutMs } = {}) {
-    if (this._isReady) {
-      return true;
+function isSessionMember(value) {
+  return Boolean(value)
+    && typeof value === 'object'
+    && typeof value.act === 'function'
+    && typeof value.events === 'function'
+    && typeof value.health === 'function'
+    && Boolean(value.tabs)
+    && Boolean(value.session);
+}
+
+const GROUP_TAB_STRATEGIES = new Set(['least-tabs', 'round-robin']);
+
+/**
+ * Drives several sessions at once — `<hyper-frame>` elements or
+ * HyperFrameControllers — e.g. to compare one site across BrowserBox
+ * instances. Members are identified by `session.id` (their routing mid) or,
+ * until one is known, a generated id.
+ *
+ * @example
+ * const group = new HyperFrameGroup(document.querySelectorAll('hyper-frame'));
+ * await group.broadcast({ navigate: 'https://example.com' });
+ * for await (const event of group.events()) console.log(event.sessionId, event.type);
+ */
+class HyperFrameGroup {
+  constructor(members = []) {
+    this._members = [];
+    this._fallbackIds = new WeakMap();
+    this._streams = new Set();
+    this._roundRobinCursor = 0;
+    for (const member of members) {
+      this.add(member);
     }
+  }
 
-    const timeout = new Promise((_, reject) => {
-      setTimeout(() => reject(createBrowserBoxError(`hyper-frame ready timeout after ${timeoutMs}ms.`, {
-        code: ERROR_CODES.TIMEOUT,
-        retriable: true,
-        status: 504,
-        timeoutMs,
-      })), timeoutMs);
-    });
+  get members() {
+    return this._members.slice();
+  }
 
-    await Promise.race([this._readyPromise, timeout]);
-    return true;
+  get size() {
+    return this._members.length;
   }
 
-  on(eventName, handler, options) {
-    this._assertCapability('events.read');
-    if (typeof eventName !== 'string' || eventName.trim().length === 0) {
-      throwInvalidArgument('hyper-frame on(eventName, handler) requires a non-empty eventName.');
+  add(member) {
+    if (!isSessionMember(member)) {
+      throwInvalidArgument('HyperFrameGroup members must be <hyper-frame> elements or HyperFrameControllers.');
     }
-    if (typeof handler !== 'function') {
-      throwInvalidArgument('hyper-frame on(eventName, handler) requires handler to be a function.');
+    if (this._members.includes(member)) {
+      return this;
     }
-    this.addEventListener(eventName, handler, options);
-    return () => {
-      this.removeEventListener(eventName, handler, options);
-    };
+    this._members.push(member);
+    for (const stream of this._streams) {
+      stream.subscribe(member);
+    }
+    return this;
   }
 
-  off(eventName, handler, options) {
-    if (typeof eventName !== 'string' || eventName.trim().length === 0) {
-      throwInvalidArgument('hyper-frame off(eventName, handler) requires a non-empty eventName.');
+  remove(member) {
+    const index = this._members.indexOf(member);
+    if (index === -1) {
+      return false;
     }
-    if (typeof handler !== 'function') {
-      throwInvalidArgument('hyper-frame off(eventName, handler) requires handler to be a function.');
+    this._members.splice(index, 1);
+    for (const stream of this._streams) {
+      stream.unsubscribe(member);
     }
-    this.removeEventListener(eventName, handler, options);
+    return true;
   }
-
-  async observe(config = {}) {
-    this._assertCapability('events.read');
-    const subscriptionEntries = [];
-    const snapshot = (!config || typeof config !== 'object' || Array.isArray(config))
-      ? {}
-      : { ...config };
-    const id = generateOpaqueId('bbx-observe');
-    return {
-      id,
-      config: snapshot,
-      on: (eventName, handler, options) => {
-        const unsubscribe = this.on(eventName, handler, options);
-        subscriptionEntries.push({ eventName, handler, options });
-        return unsubscribe;
-      },
-      off: (eventName, handler, options) => {
-        this.off(eventName, handler, options);
-      },
-      unsubscribe: () => {
-        for (const entry of subscriptionEntries.splice(0, subscriptionEntries.length)) {
-          this.removeEventListener(entry.eventName, entry.handler, entry.options);
-        }
-      },
-    };
+
+  /**
+   * @param {HyperFrame|HyperFrameController} member
+   * @returns {string}
+   */
+  sessionIdOf(member) {
+    const id = member?.session?.id;
+    if (typeof id === 'string' && id.length > 0) {
+      return id;
+    }
+    if (!this._fallbackIds.has(member)) {
+      this._fallbackIds.set(member, generateOpaqueId('bbx-session'));
+    }
+    return this._fallbackIds.get(member);
+  }
+
+  /**
+   * Run one action on every member in parallel. `action` is anything
+   * `act()` accepts, or `(member, sessionId, { signal }) => Promise`.
+   * Failures do not stop the other members; `signal` reaches every member.
+   * @returns {Promise<Array<{ sessionId: string, ok: boolean, value?: *, error?: BrowserBoxError }>>}
+   */
+  async broadcast(action, { signal } = {}) {
+    assertNotAborted(signal);
+    const run = typeof action === 'function'
+      ? (member) => action(member, this.sessionIdOf(member), { signal })
+      : (member) => member.act(action, { signal });
+    const members = this.members;
+    const settled = await raceAbortSignal(Promise.allSettled(members.map(async (member) => run(member))), signal);
+    return settled.map((outcome, index) => ({
+      sessionId: this.sessionIdOf(members[index]),
+      ok: outcome.status === 'fulfilled',
+      ...(outcome.status === 'fulfilled'
+        ? { value: outcome.value }
+        : { error: outcome.reason }),
+    }));
   }
 
+  /**
+   * One event stream for the whole group. Records keep their shape and
+   * carry the member's `sessionId`; members added later join the stream.
+   * Accepts the same options as `events()` on a single session.
+   */
   events(options = {}) {
-    this._assertCapability('events.read');
-    const eventNames = Array.isArray(options?.eventNames)
-      ? new Set(options.eventNames.map((name) => String(name)))
-      : null;
-    const subscriber = {
-      queue: [],
-      resolve: null,
-      closed: false,
-      maxQueue: Number.isInteger(options?.maxQueue) ? Math.max(10, options.maxQueue) : 100,
-      filter: eventNames ? ((event) => eventNames.has(event.type)) : (() => true),
+    const maxQueue = Number.isInteger(options?.maxQueue) ? Math.max(10, options.maxQueue) : 100;
+    const iterators = new Map();
+    const queue = [];
+    let resolveNext = null;
+    let closed = false;
+
+    const push = (record) => {
+      if (closed) {
+        return;
+      }
+      if (resolveNext) {
+        const resolve = resolveNext;
+        resolveNext = null;
+        resolve({ value: record, done: false });
+        return;
+      }
+      if (queue.length >= maxQueue) {
+        queue.shift();
+      }
+      queue.push(record);
     };
-    this._eventSubscribers.add(subscriber);
 
-    const cleanup = () => {
-      subscriber.closed = true;
-      this._eventSubscribers.delete(subscriber);
-      if (subscriber.resolve) {
-        const resolve = subscriber.resolve;
-        subscriber.resolve = null;
+    const stream = {
+      subscribe: (member) => {
+        let iterator;
+        try {
+          iterator = member.events(options);
+        } catch (error) {
+          console.warn('[hyper-frame] group member events are unavailable', {
+            sessionId: this.sessionIdOf(member),
+            error: error instanceof Error ? error.message : String(error),
+          });
+          return;
+        }
+        iterators.set(member, iterator);
+        void (async () => {
+          for await (const record of iterator) {
+            push({ ...record, sessionId: this.sessionIdOf(member) });
+          }
+        })();
+      },
+      unsubscribe: (member) => {
+        iterators.get(member)?.return?.();
+        iterators.delete(member);
+      },
+    };
+
+    const close = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      this._streams.delete(stream);
+      for (const member of [...iterators.keys()]) {
+        stream.unsubscribe(member);
+      }
+      queue.length = 0;
+      if (resolveNext) {
+        const resolve = resolveNext;
+        resolveNext = null;
         resolve({ value: undefined, done: true });
       }
     };
 
+    this._streams.add(stream);
+    for (const member of this._members) {
+      stream.subscribe(member);
+    }
+
     return {
       [Symbol.asyncIterator]() {
         return this;
       },
       next: () => {
-        if (subscriber.closed) {
+        if (closed) {
           return Promise.resolve({ value: undefined, done: true });
         }
-        const queued = subscriber.queue.shift();
-        if (queued) {
-          return Promise.resolve({ value: queued, done: false });
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
         }
         return new Promise((resolve) => {
-          subscriber.resolve = resolve;
+          resolveNext = resolve;
         });
       },
       return: () => {
-        cleanup();
+        close();
         return Promise.resolve({ value: undefined, done: true });
       },
-      throw: async (error) => {
-        cleanup();
-        throw error;
+      throw: async (error) => {
+        close();
+        throw error;
+      },
+    };
+  }
+
+  /**
+   * Health of every member plus a summary. `ok` is true only when every
+   * member is healthy.
+   */
+  async health(options = {}) {
+    const sessions = await Promise.all(this._members.map(async (member) => ({
+      ...(await member.health(options)),
+      sessionId: this.sessionIdOf(member),
+    })));
+    return {
+      ok: sessions.length > 0 && sessions.every((session) => session.ok),
+      total: sessions.length,
+      usable: sessions.filter((session) => session.usable).length,
+      timestamp: new Date().toISOString(),
+      sessions,
+    };
+  }
+
+  /**
+   * Open a tab on the member that should take it: the usable session with
+   * the fewest tabs (`strategy: 'least-tabs'`, default) or the next one in
+   * turn (`'round-robin'`). Other options go to `tabs.create()`.
+   * @returns {Promise<{ sessionId: string, tab: object|null }>}
+   */
+  async createTab(url = '', { strategy = 'least-tabs', ...createOptions } = {}) {
+    if (!GROUP_TAB_STRATEGIES.has(strategy)) {
+      throwInvalidArgument(`HyperFrameGroup createTab strategy must be one of: ${[...GROUP_TAB_STRATEGIES].join(', ')}.`, {
+        strategy,
+      });
+    }
+    const member = await this._pickMember(strategy, createOptions.signal);
+    const tab = await member.tabs.create({ ...createOptions, url });
+    return { sessionId: this.sessionIdOf(member), tab };
+  }
+
+  async _pickMember(strategy, signal) {
+    const candidates = this._members.filter((member) => member.session.usable);
+    if (candidates.length === 0) {
+      throw createBrowserBoxError('HyperFrameGroup has no usable session.', {
+        code: ERROR_CODES.NOT_READY,
+        retriable: true,
+        status: 409,
+      });
+    }
+    const start = this._roundRobinCursor % candidates.length;
+    const ordered = [...candidates.slice(start), ...candidates.slice(0, start)];
+    let picked = ordered[0];
+    if (strategy === 'least-tabs') {
+      const counts = await Promise.all(ordered.map((member) => member.tabs.list({ signal })
+        .then((tabs) => tabs.length)
+        .catch(rethrowIfAborted(Number.POSITIVE_INFINITY))));
+      picked = ordered[counts.indexOf(Math.min(...counts))];
+    }
+    this._roundRobinCursor = candidates.indexOf(picked) + 1;
+    return picked;
+  }
+}
+
+// Lets the module load where there is no DOM (workers, Node) so the
+// controller and transports can be imported on their own.
+const ElementBase = typeof HTMLElement === 'function' ? HTMLElement : class {};
+
+class HyperFrame extends ElementBase {
+  static get IframeTransport() {
+    return IframeTransport;
+  }
+
+  static get MockTransport() {
+    return MockTransport;
+  }
+
+  static get MockBrowserBox() {
+    return MockBrowserBox;
+  }
+
+  static get TargetTransport() {
+    return TargetTransport;
+  }
+
+  static get Controller() {
+    return HyperFrameController;
+  }
+
+  /** Register a named `interaction-mode` preset; see `registerInteractionMode`. */
+  static registerInteractionMode(name, presetTree) {
+    return registerInteractionMode(name, presetTree);
+  }
+
+  static get observedAttributes() {
+    return [
+      'login-link',
+      'width',
+      'height',
+      'embedder-origin',
+      'parent-origin', // deprecated alias for embedder-origin
+      'request-timeout-ms',
+      'ui-visible',
+      'allow-user-toggle-ui',
+      'policy',
+      'interaction-mode',
+      'chrome',
+      'augment-root',
+      'capture',
+      'media-permissions',
+      'session-unload-warning',
+      'beforeunload-behavior',
+      'first-load-cleanse',
+      'reconnect-mode',
+      'reconnect-queue-max-age-ms',
+      'retry-policy',
+      'tabs',
+      'url-policy',
+      'policy-token',
+      'policy-key',
+    ];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+
+    this._shell = document.createElement('div');
+    this._shell.className = 'bbx-shell';
+    this.iframe = document.createElement('iframe');
+    this.iframe.allowFullscreen = true;
+    this.iframe.setAttribute(
+      'allow',
+      computeIframeAllow(this.getAttribute('media-permissions'))
+    );
+    this.iframe.setAttribute(
+      'sandbox',
+      'allow-same-origin allow-forms allow-scripts allow-top-navigation allow-top-navigation-by-user-activation allow-storage-access-by-user-activation allow-popups allow-popups-to-escape-sandbox allow-downloads allow-modals allow-pointer-lock'
+    );
+
+    const style = document.createElement('style');
+    style.textContent = `
+      :host {
+        display: block;
+        margin: 0;
+        padding: 0;
+        overflow: hidden;
+        outline: none;
+        position: relative;
+      }
+      :host(:focus), :host(:focus-visible) {
+        outline: none;
+      }
+      .bbx-shell {
+        position: relative;
+        width: 100%;
+        height: 100%;
+        overflow: hidden;
+        background: transparent;
+      }
+      iframe {
+        border: none;
+        width: 100%;
+        height: 100%;
+        margin: 0;
+        padding: 0;
+        display: block;
+        outline: none;
+        position: absolute;
+        inset: 0;
+      }
+      iframe:focus, iframe:focus-visible {
+        outline: none;
+      }
+      .bbx-layer {
+        position: absolute;
+        inset: 0;
+        pointer-events: none;
+      }
+      .bbx-layer[data-space="toast"] {
+        inset: auto 0 0 auto;
+        display: flex;
+        flex-direction: column;
+        align-items: flex-end;
+        gap: 12px;
+        padding: 12px;
+        max-width: min(420px, 100%);
+      }
+      .bbx-augment {
+        box-sizing: border-box;
+        color: #fff;
+        font: 13px/1.4 system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+      }
+      .bbx-augment[data-interactive="true"] {
+        pointer-events: auto;
+      }
+      .bbx-augment-surface {
+        position: absolute;
+        inset: 0;
+      }
+      .bbx-augment-content {
+        width: 100%;
+        height: 100%;
+      }
+      .bbx-augment-panel,
+      .bbx-augment-sidebar,
+      .bbx-augment-toolbar,
+      .bbx-augment-note,
+      .bbx-augment-badge,
+      .bbx-augment-custom,
+      .bbx-augment-toast {
+        background: rgba(24, 24, 27, 0.92);
+        border: 1px solid rgba(255, 255, 255, 0.16);
+        border-radius: 12px;
+        box-shadow: 0 18px 40px rgba(0, 0, 0, 0.35);
+        padding: 12px;
+        backdrop-filter: blur(10px);
+      }
+      .bbx-augment-toolbar {
+        border-radius: 999px;
+      }
+      .bbx-highlight-box {
+        position: absolute;
+        border: 2px solid rgba(250, 204, 21, 0.95);
+        background: rgba(250, 204, 21, 0.18);
+        border-radius: 8px;
+        box-shadow: 0 0 0 1px rgba(17, 24, 39, 0.18) inset;
+      }
+      .bbx-highlight-box[data-tone="info"] {
+        border-color: rgba(59, 130, 246, 0.95);
+        background: rgba(59, 130, 246, 0.18);
+      }
+      .bbx-highlight-box[data-tone="success"] {
+        border-color: rgba(34, 197, 94, 0.95);
+        background: rgba(34, 197, 94, 0.18);
+      }
+      .bbx-highlight-box[data-tone="danger"] {
+        border-color: rgba(239, 68, 68, 0.95);
+        background: rgba(239, 68, 68, 0.18);
+      }
+    `;
+    this._augmentRoots = {
+      page: this._createAugmentLayer('page'),
+      viewport: this._createAugmentLayer('viewport'),
+      chrome: this._createAugmentLayer('chrome'),
+      session: this._createAugmentLayer('session'),
+      toast: this._createAugmentLayer('toast'),
+    };
+    this._shell.append(
+      this.iframe,
+      this._augmentRoots.page,
+      this._augmentRoots.viewport,
+      this._augmentRoots.chrome,
+      this._augmentRoots.session,
+      this._augmentRoots.toast,
+    );
+    this.shadowRoot.append(style, this._shell);
+
+    this._resizeObserver = null;
+    this._frameBootstrapTimer = null;
+    this._frameBootstrapInFlight = null;
+    this._frameBootstrapRetryTimer = null;
+    this._frameBootstrapRetryRemaining = 0;
+    this._frameBootstrapEpoch = 0;
+    this._lastSuccessfulBootstrapAt = 0;
+    this._iframeViewportKickTimer = null;
+    this._resizeBootstrapTimer = null;
+    this._lastResizeWidth = -1;
+    this._lastResizeHeight = -1;
+    this._visibilityPollTimer = null;
+    this._lastEffectiveVisibility = null;
+    this._deferredVisibilityRecheckTimer = null;
+    this._silentRecoveryParam = 'bbx_embed_retry';
+
+    this._controller = new HyperFrameController({
+      transport: new IframeTransport(this),
+      getOption: (name) => this.getAttribute(name),
+      setOption: (name, value) => {
+        if (value === null) this.removeAttribute(name);
+        else this.setAttribute(name, value);
+      },
+      storage: {
+        getItem: (key) => window.localStorage.getItem(key),
+        setItem: (key, value) => window.localStorage.setItem(key, value),
+        removeItem: (key) => window.localStorage.removeItem(key),
       },
-    };
-  }
-
-  async _ensureReadyForApi() {
-    if (this._isReady) {
-      return true;
-    }
-    const softTimeoutMs = Math.min(this.requestTimeoutMs, 8000);
-    try {
-      await this.whenReady({ timeoutMs: softTimeoutMs });
-      return true;
-    } catch (error) {
-      this._rememberError(error);
-      this.dispatchEvent(new CustomEvent('ready-timeout', {
-        detail: {
-          timeoutMs: softTimeoutMs,
-          error: error instanceof Error ? error.message : String(error),
+      eventTarget: this,
+      host: Object.freeze({
+        ready: () => {
+          this._invalidateFrameBootstrap('ready');
+          this._scheduleFrameBootstrap('ready', 120);
+          this._startFrameBootstrapRetries('ready');
         },
-      }));
-      return false;
-    }
+        invalidate: (reason) => this._invalidateFrameBootstrap(reason),
+        reset: (reason) => {
+          this._lastSuccessfulBootstrapAt = 0;
+          this._invalidateFrameBootstrap(reason);
+        },
+        recover: (reason) => this._attemptSilentRecovery(reason),
+        unload: () => this._unloadIframe(),
+        transportChanged: (transport) => {
+          if (transport instanceof IframeTransport) {
+            this._updateIframeSrcFromAttribute('transport-changed');
+          } else {
+            this._unloadIframe();
+          }
+        },
+        renderAugment: (record) => this._renderAugmentRecord(record),
+        removeAugment: (record) => record.node?.remove(),
+        forward: (message) => this._forwardToParent(message),
+        declaredTabs: () => this._readDeclaredTabs(),
+      }),
+    });
+    this._declaredTabsObserver = null;
+    this._boundResize = this._handleResize.bind(this);
+    this._boundVisibilityChange = () => this._handleResumeTrigger('document-visibility');
+    this._boundPageShow = () => this._handleResumeTrigger('page-show');
+    this._boundWindowFocus = () => this._handleResumeTrigger('window-focus');
+    this.tabs = this._controller.tabs;
+    this.page = this._controller.page;
+    this.capture = this._controller.capture;
+    this.augment = this._controller.augment;
+    this.policy = this._controller.policy;
+    this.session = this._controller.session;
   }
 
-  _legacyMethodList() {
-    return [
-      'getTabs',
-      'getActiveTabIndex',
-      'getTabCount',
-      'createTab',
-      'createTabs',
-      'closeTab',
-      'closeTabById',
-      'closeAllTabs',
-      'switchToTab',
-      'switchToTabById',
-      'navigateTo',
-      'navigateTab',
-      'submitOmnibox',
-      'reload',
-      'goBack',
-      'goForward',
-      'stop',
-      'evaluate',
-      'waitForTabCount',
-      'waitForTabUrl',
-    ];
+  /** The headless controller that runs this element's session. */
+  get controller() {
+    return this._controller;
   }
 
-  /**
-   * Resolve transport mode. Called once on first API call if transport is
-   * still 'unknown'. After resolution, transport is locked for the session.
-   * @returns {Promise<'modern'|'legacy'>}
-   */
-  async _resolveTransport() {
-    if (this._transportMode !== 'unknown') return this._transportMode;
-    try {
-      await this._request('bbx-api-call', { method: 'getTabCount', args: [] }, {
-        timeoutMs: Math.min(this.requestTimeoutMs, 5000),
-      });
-      this._transportMode = 'modern';
-    } catch {
-      this._transportMode = 'legacy';
+  connectedCallback() {
+    window.addEventListener('resize', this._boundResize);
+    window.addEventListener('pageshow', this._boundPageShow);
+    window.addEventListener('focus', this._boundWindowFocus);
+    document.addEventListener('visibilitychange', this._boundVisibilityChange);
+    this._controller.attach();
+    if (!this._resizeObserver && typeof ResizeObserver === 'function') {
+      this._resizeObserver = new ResizeObserver(() => this._handleResize());
+      this._resizeObserver.observe(this);
     }
-    return this._transportMode;
+    this._startVisibilityPolling();
+    this._observeDeclaredTabs();
+    this.updateIframe();
   }
 
-  async listApiMethods(options = {}) {
-    if (this._apiMethods.length > 0 && options.refresh !== true) {
-      return this._apiMethods.slice();
-    }
-    const ready = await this._ensureReadyForApi();
-    if (!ready) {
-      throw createBrowserBoxError('hyper-frame API handshake is not ready.', {
-        code: ERROR_CODES.NOT_READY,
-        retriable: true,
-        status: 409,
-      });
-    }
-    if (this._transportMode === 'legacy') {
-      this._apiMethods = this._legacyMethodList();
-      return this._apiMethods.slice();
-    }
-    try {
-      const methods = await this._request('bbx-api-list', {}, {
-        ...options,
-        timeoutMs: Number.isFinite(options.timeoutMs)
-          ? options.timeoutMs
-          : Math.min(this.requestTimeoutMs, 30000),
-      });
-      this._apiMethods = Array.isArray(methods) ? methods.slice() : [];
-      this._transportMode = 'modern';
-    } catch {
-      this._transportMode = 'legacy';
-      this._apiMethods = this._legacyMethodList();
+  disconnectedCallback() {
+    window.removeEventListener('resize', this._boundResize);
+    window.removeEventListener('pageshow', this._boundPageShow);
+    window.removeEventListener('focus', this._boundWindowFocus);
+    document.removeEventListener('visibilitychange', this._boundVisibilityChange);
+    this._resizeObserver?.disconnect?.();
+    this._resizeObserver = null;
+    this._invalidateFrameBootstrap('disconnected');
+    if (this._iframeViewportKickTimer) {
+      clearTimeout(this._iframeViewportKickTimer);
+      this._iframeViewportKickTimer = null;
     }
-    return this._apiMethods.slice();
-  }
-
-  /**
-   * Call a BrowserBox API method by name.
-   * @param {string} method - API method name (e.g. 'getTabs', 'createTab')
-   * @param {...*} args - Method arguments
-   * @returns {Promise<*>} Method result
-   * @throws {Error} If method is empty, transport fails, or call times out
-   */
-  async callApi(method, ...args) {
-    if (typeof method !== 'string' || method.trim().length === 0) {
-      throwInvalidArgument('callApi(method, ...args) requires a non-empty method string.');
+    if (this._resizeBootstrapTimer) {
+      clearTimeout(this._resizeBootstrapTimer);
+      this._resizeBootstrapTimer = null;
     }
-    const invoke = async () => {
-      const ready = await this._ensureReadyForApi();
-      if (!ready) {
-        throw createBrowserBoxError(`hyper-frame API method '${method}' called before handshake completed.`, {
-          code: ERROR_CODES.NOT_READY,
-          retriable: true,
-          status: 409,
-          method,
-        });
-      }
-      const normalizedMethod = method.trim();
-      for (const capability of this._capabilitiesForMethod(normalizedMethod, args)) {
-        this._assertCapability(capability);
-      }
-
-      if (this._transportMode === 'unknown') {
-        await this._resolveTransport();
-      }
-
-      if (this._transportMode === 'legacy') {
-        return this._legacyCall(normalizedMethod, args);
-      }
-
-      return this._request('bbx-api-call', { method: normalizedMethod, args }, {
-        timeoutMs: this.requestTimeoutMs,
-      });
-    };
-
-    try {
-      const result = await this._withRetry(invoke, {
-        attempts: 3,
-        baseDelayMs: 300,
-        maxDelayMs: 1500,
-        shouldRetry: (error) => this._isRetryableApiError(error),
-      });
-      this._rememberError(null);
-      this._setUsable(true, 'api-ok');
-      return result;
-    } catch (error) {
-      this._rememberError(error);
-      if (this._isRetryableApiError(error)) {
-        this._setUsable(false, 'api-failed');
-      }
-      throw this._normalizeRemoteError(error, { method });
+    if (this._deferredVisibilityRecheckTimer) {
+      clearTimeout(this._deferredVisibilityRecheckTimer);
+      this._deferredVisibilityRecheckTimer = null;
     }
+    this._stopVisibilityPolling();
+    this._declaredTabsObserver?.disconnect();
+    this._declaredTabsObserver = null;
+    this._controller.detach();
   }
 
-  async act(actionRequest) {
-    if (!actionRequest || typeof actionRequest !== 'object' || Array.isArray(actionRequest)) {
-      throwInvalidArgument('hyper-frame act(action) requires an object action request.');
-    }
-    const actionNames = Object.keys(actionRequest).filter((key) => actionRequest[key] !== undefined);
-    if (actionNames.length !== 1) {
-      throwInvalidArgument('hyper-frame act(action) requires exactly one action key.');
-    }
-
-    const actionName = actionNames[0];
-    const payload = actionRequest[actionName];
-    let value;
-
-    switch (actionName) {
-      case 'navigate':
-        value = await this.page.navigate(assertNonEmptyString(payload, 'act({ navigate })'));
-        return normalizeActionResult(actionName, value);
-      case 'click': {
-        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
-          throwInvalidArgument('hyper-frame act({ click }) requires an object payload.');
-        }
-        const { selector, ...clickOptions } = payload;
-        value = await this.click(assertNonEmptyString(selector, 'act({ click: { selector } })'), clickOptions);
-        return normalizeActionResult(actionName, value);
-      }
-      case 'type': {
-        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
-          throwInvalidArgument('hyper-frame act({ type }) requires an object payload.');
-        }
-        const {
-          selector,
-          text,
-          ...typeOptions
-        } = payload;
-        if (typeof text !== 'string') {
-          throwInvalidArgument('hyper-frame act({ type }) requires payload.text to be a string.');
-        }
-        value = await this.type(assertNonEmptyString(selector, 'act({ type: { selector } })'), text, typeOptions);
-        return normalizeActionResult(actionName, value);
-      }
-      case 'evaluate':
-        value = await this.evaluate(assertNonEmptyString(payload, 'act({ evaluate })'));
-        return normalizeActionResult(actionName, value);
-      case 'waitForNavigation':
-        value = await this.waitForNavigation((payload && typeof payload === 'object' && !Array.isArray(payload)) ? payload : {});
-        return normalizeActionResult(actionName, value);
-      case 'waitForSelector': {
-        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
-          throwInvalidArgument('hyper-frame act({ waitForSelector }) requires an object payload.');
-        }
-        const { selector, ...waitOptions } = payload;
-        value = await this.waitForSelector(
-          assertNonEmptyString(selector, 'act({ waitForSelector: { selector } })'),
-          waitOptions,
-        );
-        return normalizeActionResult(actionName, value);
-      }
-      default:
-        throw createBrowserBoxError(`hyper-frame act(action) does not support '${actionName}'.`, {
-          code: ERROR_CODES.UNSUPPORTED,
-          status: 501,
-          action: actionName,
-        });
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) {
+      return;
     }
+    if (name === 'login-link') {
+      this._updateIframeSrcFromAttribute(name);
+    } else if (name === 'width' || name === 'height') {
+      this._applyHostDimensions();
+      return;
+    } else if (name === 'media-permissions' && this.iframe) {
+      this.iframe.setAttribute('allow', computeIframeAllow(newValue));
+    }
+    this._controller._handleOptionChanged(name, oldValue, newValue);
   }
 
-  navigate(url, opts = {}) {
-    return this.page.navigate(url, opts);
-  }
-
-  async capabilities() {
-    return { ...this._capabilityMap };
-  }
-
-  /**
-   * Ensure at least one tab exists, creating one if necessary.
-   * Many operations (navigateTo, goBack, reload, …) silently fail when the
-   * session has zero tabs.  Call this before any tab-dependent action.
-   * @param {string} [url] - Optional URL to open if a tab must be created.
-   * @returns {Promise<void>}
-   */
-  async _ensureTab(url) {
-    try {
-      const tabs = await this.callApi('getTabs');
-      if (Array.isArray(tabs) && tabs.length > 0) return;
-    } catch { /* treat failure as "no tabs" */ }
-    await this.callApi('createTab', url || '');
-  }
-
-  // Canonical BrowserBox API wrappers
-  switchToTab(index) { return this.callApi('switchToTab', index); }
-  switchToTabById(targetId) { return this.callApi('switchToTabById', targetId); }
-  async navigateTo(url, opts = {}) {
-    await this._ensureTab(url);
-    return this.callApi('navigateTo', url, opts);
+  _readDeclaredTabs() {
+    const children = [...this.children].filter((child) => child.localName === 'bbx-tab');
+    if (children.length === 0) {
+      return null;
+    }
+    return children.map((child) => ({
+      url: child.getAttribute('url') || '',
+      active: child.hasAttribute('active'),
+    }));
   }
-  navigateTab(index, url, opts = {}) { return this.callApi('navigateTab', index, url, opts); }
-  submitOmnibox(query, opts = {}) { return this.callApi('submitOmnibox', query, opts); }
-  createTab(url = '') { return this.callApi('createTab', url); }
-  createTabs(count, opts = {}) { return this.callApi('createTabs', count, opts); }
-  closeTab(index = null) { return this.callApi('closeTab', index); }
-  closeTabById(targetId) { return this.callApi('closeTabById', targetId); }
-  closeAllTabs(opts = {}) { return this.callApi('closeAllTabs', opts); }
-  getTabs() { return this.callApi('getTabs'); }
-  getFavicons() { return this.callApi('getFavicons'); }
-  waitForNonDefaultFavicon(index, opts = {}) { return this.callApi('waitForNonDefaultFavicon', index, opts); }
-  waitForTabCount(expectedCount, opts = {}) { return this.callApi('waitForTabCount', expectedCount, opts); }
-  waitForTabUrl(index, opts = {}) { return this.callApi('waitForTabUrl', index, opts); }
-  getActiveTabIndex() { return this.callApi('getActiveTabIndex'); }
-  getTabCount() { return this.callApi('getTabCount'); }
-  reload() { return this.callApi('reload'); }
-  goBack() { return this.callApi('goBack'); }
-  goForward() { return this.callApi('goForward'); }
-  stop() { return this.callApi('stop'); }
-  getScreenMetrics() { return this.callApi('getScreenMetrics'); }
-  getTransportDiagnostics() { return this.callApi('getTransportDiagnostics'); }
-  frameCapture(enabled = true) { return this.callApi('frameCapture', Boolean(enabled)); }
-  getFrame() { return this.callApi('getFrame'); }
-  cleanSlate(url) { return this.callApi('cleanSlate', url); }
-  firstLoadCleanse(url = null) { return this._resetTabsToCleanSlate(true, url); }
-  async health({ timeoutMs } = {}) {
-    const startedAt = (typeof performance !== 'undefined' && typeof performance.now === 'function')
-      ? performance.now()
-      : Date.now();
-    const finalize = (ok, transport, error = null) => ({
-      ok,
-      usable: this._usable,
-      ready: this._isReady,
-      transport,
-      sessionId: this.routingMid || null,
-      timestamp: new Date().toISOString(),
-      latencyMs: Math.max(
-        0,
-        Math.round(((typeof performance !== 'undefined' && typeof performance.now === 'function')
-          ? performance.now()
-          : Date.now()) - startedAt),
-      ),
-      diagnostics: {
-        reconnecting: !this._isReady && !this._reconnectStopped,
-        lastErrorCode: error?.code || this._lastError?.code,
-        lastErrorMessage: error?.message || this._lastError?.message,
-      },
+
+  _observeDeclaredTabs() {
+    if (this._declaredTabsObserver || typeof MutationObserver !== 'function') {
+      return;
+    }
+    this._declaredTabsObserver = new MutationObserver((records) => {
+      const relevant = records.some((record) => (record.type === 'childList'
+        ? [...record.addedNodes, ...record.removedNodes].some((node) => node.localName === 'bbx-tab')
+        : record.target.localName === 'bbx-tab'));
+      if (relevant) {
+        this._controller._scheduleTabReconcile('children-changed');
+      }
     });
-    if (!this.iframe.contentWindow) {
-      this._setUsable(false, 'iframe-not-ready');
-      const error = createBrowserBoxError('hyper-frame health check failed: iframe is not ready.', {
-        code: ERROR_CODES.TRANSPORT,
-        retriable: true,
-        status: 503,
-      });
-      this._rememberError(error);
-      return finalize(false, this._transportMode, error);
+    this._declaredTabsObserver.observe(this, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['url', 'active'],
+    });
+  }
+
+  _unloadIframe() {
+    if (this.iframe.src) {
+      this.iframe.removeAttribute('src');
     }
-    const effectiveTimeoutMs = Number.isFinite(timeoutMs)
-      ? Math.max(100, Math.round(timeoutMs))
-      : Math.min(this.requestTimeoutMs, 8000);
-    const tryModern = () => this._request(
-      'bbx-api-call',
-      { method: 'getTabCount', args: [] },
-      { timeoutMs: effectiveTimeoutMs },
-    );
-    const tryLegacy = () => this._request('getTabCount', {}, { timeoutMs: effectiveTimeoutMs });
+  }
 
+  _forwardToParent(message) {
+    if (window.parent === window) {
+      return;
+    }
     try {
-      const result = await this._withRetry(async () => {
-        if (this._transportMode === 'modern') {
-          await tryModern();
-          return true;
-        }
-        if (this._transportMode === 'legacy') {
-          await tryLegacy();
-          return true;
-        }
-        try {
-          await tryModern();
-          this._transportMode = 'modern';
-          return true;
-        } catch (modernError) {
-          try {
-            await tryLegacy();
-            this._transportMode = 'legacy';
-            return true;
-          } catch (legacyError) {
-            const message = `hyper-frame health check failed after ${effectiveTimeoutMs}ms `
-              + `(modern error: ${modernError instanceof Error ? modernError.message : String(modernError)}; `
-              + `legacy error: ${legacyError instanceof Error ? legacyError.message : String(legacyError)})`;
-            throw createBrowserBoxError(message, {
-              code: ERROR_CODES.TRANSPORT,
-              retriable: true,
-              status: 503,
-              cause: legacyError,
-            });
-          }
-        }
-      }, {
-        attempts: 2,
-        baseDelayMs: 250,
-        maxDelayMs: 750,
-        shouldRetry: (error) => this._isRetryableApiError(error),
-      });
-      this._rememberError(null);
-      this._setUsable(true, 'health-ok');
-      return finalize(Boolean(result), this._transportMode);
+      window.parent.postMessage(message, '*');
     } catch (error) {
-      const normalizedError = this._normalizeRemoteError(error, { method: 'health' });
-      this._rememberError(normalizedError);
-      this._setUsable(false, 'health-failed');
-      return finalize(false, this._transportMode, normalizedError);
+      console.warn('[hyper-frame] failed to forward message to parent', error);
     }
   }
 
-  // UI visibility controls — update attribute (source of truth) + sync to iframe
-  uiVisible(visible) {
-    if (visible !== undefined) {
-      this.setAttribute('ui-visible', String(Boolean(visible)));
-    }
-    return this.callApi('uiVisible', visible);
+
+  _createAugmentLayer(space) {
+    const layer = document.createElement('div');
+    layer.className = 'bbx-layer';
+    layer.dataset.space = space;
+    return layer;
   }
-  allowUserToggleUI(allow) {
-    if (allow !== undefined) {
-      this.setAttribute('allow-user-toggle-ui', String(Boolean(allow)));
+
+  _handleResize() {
+    const w = this.clientWidth;
+    const h = this.clientHeight;
+    const RESIZE_TOLERANCE_PX = 2;
+    if (
+      this._lastResizeWidth >= 0
+      && this._lastResizeHeight >= 0
+      && Math.abs(w - this._lastResizeWidth) <= RESIZE_TOLERANCE_PX
+      && Math.abs(h - this._lastResizeHeight) <= RESIZE_TOLERANCE_PX
+    ) return;
+    this._lastResizeWidth = w;
+    this._lastResizeHeight = h;
+    this._controller._emitBrowserBoxEvent('viewport.resized', {
+      width: w,
+      height: h,
+    });
+    this._controller._schedulePageAugmentRefresh();
+    this._controller._sendViewportReset('viewport-resized');
+    if (this._resizeBootstrapTimer) clearTimeout(this._resizeBootstrapTimer);
+    this._resizeBootstrapTimer = setTimeout(() => {
+      this._resizeBootstrapTimer = null;
+      this._invalidateFrameBootstrap('resize-settled');
+      this._scheduleFrameBootstrap('resize-settled', 0);
+    }, 450);
+  }
+
+  _stopFrameBootstrap() {
+    if (this._frameBootstrapTimer) {
+      clearTimeout(this._frameBootstrapTimer);
+      this._frameBootstrapTimer = null;
     }
-    return this.callApi('allowUserToggleUI', allow);
   }
-  getCurrentModal() {
-    return this.callApi('getCurrentModal');
+
+  _stopFrameBootstrapRetries() {
+    if (this._frameBootstrapRetryTimer) {
+      clearTimeout(this._frameBootstrapRetryTimer);
+      this._frameBootstrapRetryTimer = null;
+    }
+    this._frameBootstrapRetryRemaining = 0;
   }
-  respondToModal(request = {}) {
-    assertPlainObject(request, 'respondToModal(request)');
-    return this.callApi('respondToModal', request);
+
+  _invalidateFrameBootstrap(_reason = 'state-changed') {
+    this._frameBootstrapEpoch += 1;
+    this._stopFrameBootstrap();
+    this._stopFrameBootstrapRetries();
+    return this._frameBootstrapEpoch;
   }
-  dismissModal(request = {}) {
-    if (request !== undefined) {
-      assertPlainObject(request, 'dismissModal(request)');
+
+  _kickIframeViewportGeometry() {
+    if (!this.iframe?.isConnected) {
+      return false;
     }
-    return this.callApi('dismissModal', request || {});
+    const width = Math.max(0, Math.floor(this.clientWidth));
+    const height = Math.max(0, Math.floor(this.clientHeight));
+    if (width <= 0 || height <= 0) {
+      return false;
+    }
+    // Skip the +1px kick when using percentage sizing (embedded mode) —
+    // the kick triggers parent relayout → ResizeObserver → infinite loop.
+    const widthAttr = this.getAttribute('width') || '100%';
+    const heightAttr = this.getAttribute('height') || '100%';
+    if (!/^\d+$/.test(widthAttr) || !/^\d+$/.test(heightAttr)) {
+      return false;
+    }
+    if (this._iframeViewportKickTimer) {
+      clearTimeout(this._iframeViewportKickTimer);
+      this._iframeViewportKickTimer = null;
+    }
+    const previousWidth = this.iframe.style.width;
+    const previousHeight = this.iframe.style.height;
+    this.iframe.style.width = `${width + 1}px`;
+    this.iframe.style.height = `${height + 1}px`;
+    this._iframeViewportKickTimer = setTimeout(() => {
+      this._iframeViewportKickTimer = null;
+      this.iframe.style.width = previousWidth;
+      this.iframe.style.height = previousHeight;
+    }, 40);
+    return true;
   }
 
-  // Automation surface
-  waitForSelector(selector, opts = {}) { return this.callApi('waitForSelector', selector, opts); }
-  click(selector, opts = {}) { return this.callApi('click', selector, opts); }
-  type(selector, text, opts = {}) { return this.callApi('type', selector, text, opts); }
-  evaluate(expression, opts = {}) { return this.callApi('evaluate', expression, opts); }
-  waitForNavigation(opts = {}) { return this.callApi('waitForNavigation', opts); }
-
-  refresh() {
-    if (this.iframe.src) {
-      this._isReady = false;
-      this._apiMethods = [];
-      this._transportMode = 'unknown';
-      this._legacyTabsCache = [];
-      this._reconnectStopped = false;
-      this._midSyncAcked = false;
-      this._resetReadyPromise();
-      this._rejectPending(createBrowserBoxError('hyper-frame refreshed.', {
-        code: ERROR_CODES.TRANSPORT,
-        retriable: true,
-        status: 503,
-      }));
-      const currentSrc = this.iframe.src;
-      this._assignIframeSrc(currentSrc, 'refresh');
+  _isEffectivelyVisible() {
+    if (!this.isConnected) {
+      return false;
+    }
+    if (typeof document !== 'undefined' && document.visibilityState === 'hidden') {
+      return false;
+    }
+    if (this.clientWidth <= 0 || this.clientHeight <= 0) {
+      return false;
+    }
+    let node = this;
+    while (node && node instanceof Element) {
+      const style = window.getComputedStyle(node);
+      if (
+        style.display === 'none'
+        || style.visibility === 'hidden'
+        || Number(style.opacity) === 0
+      ) {
+        return false;
+      }
+      node = node.parentElement;
     }
+    return true;
   }
 
-  async disconnect() {
-    this.stopReconnectAttempts('session.disconnect');
-    this._isReady = false;
-    this._apiMethods = [];
-    this._transportMode = 'unknown';
-    this._legacyTabsCache = [];
-    this._resetReadyPromise();
-    if (this.iframe.src) {
-      this.iframe.removeAttribute('src');
+  _scheduleVisibilityWake(reason = 'became-visible') {
+    // If a bootstrap succeeded very recently, skip: routine focus/visibility
+    // events from the host page don't need to restart the cast pipeline.
+    // `reactivateActiveTab` / `requestFrameRefresh` deliberately reset
+    // `_lastEffectiveVisibility` so their explicit wakes bypass this cooldown.
+    const VISIBILITY_WAKE_COOLDOWN_MS = 2500;
+    const since = Date.now() - this._lastSuccessfulBootstrapAt;
+    if (this._lastSuccessfulBootstrapAt && since < VISIBILITY_WAKE_COOLDOWN_MS) {
+      console.info(`[hyper-frame] visibility wake skipped (${reason}, last success ${since}ms ago)`);
+      return;
     }
-    this._emitBrowserBoxEvent('disconnected', {
-      reason: 'session.disconnect',
+    console.info(`[hyper-frame] visibility wake scheduled (${reason})`);
+    this._invalidateFrameBootstrap(`visibility-wake:${reason}`);
+    this._scheduleFrameBootstrap(reason, 50);
+    this._startFrameBootstrapRetries(reason, {
+      attempts: 6,
+      initialDelayMs: 180,
+      intervalMs: 650,
     });
-    return true;
-  }
-
-  stopReconnectAttempts(reason = 'manual-stop') {
-    this._reconnectStopped = true;
-    this._stopInitPing();
-    this._stopMidSync();
-    this._setUsable(false, reason);
-    this._rejectPending(createBrowserBoxError(`hyper-frame reconnect stopped (${reason}).`, {
-      code: ERROR_CODES.TRANSPORT,
-      retriable: true,
-      status: 503,
-      reason,
-    }));
-  }
-
-  /**
-   * Public API: host window managers call this when the webview's container
-   * becomes visible again (e.g. desktop window restored from minimize).
-   * Bypasses poll-timer latency and forces immediate frame reactivation.
-   */
-  requestFrameRefresh(reason = 'host-request') {
-    this._lastEffectiveVisibility = false;
-    // Host-driven refreshes (window un-minimize, taskbar restore) must bypass
-    // the visibility-wake cooldown — those are the exact cases where cast
-    // really did stall and a rebind is required.
-    this._lastSuccessfulBootstrapAt = 0;
-    this._scheduleVisibilityWake(reason);
   }
 
-  /**
-   * Direct "re-click the active tab" — calls switchToTabById without
-   * visibility or dimension checks.  Use this from host UI actions
-   * (taskbar restore, window un-minimize) where we KNOW the element is
-   * about to be visible but layout may not have settled yet.
-   * Falls back to the full bootstrap chain if the quick path fails.
-   */
-  async reactivateActiveTab(reason = 'host-reactivate') {
-    try {
-      const ready = await this._ensureReadyForApi();
-      if (!ready) {
-        this.requestFrameRefresh(reason);
-        return false;
-      }
-      const activeTab = await this._getActiveTabInfo(null).catch(() => null);
-      const tabId = activeTab?.id || activeTab?.targetId || null;
-      if (!tabId) {
-        this.requestFrameRefresh(reason);
-        return false;
-      }
-      if (this._transportMode === 'legacy') {
-        await this._legacyCall('switchToTabById', [tabId]);
-      } else {
-        await this._request('bbx-api-call', {
-          method: 'switchToTabById',
-          args: [tabId],
-        }, {
-          timeoutMs: Math.min(this.requestTimeoutMs, 5000),
-        });
-      }
-      console.info('[hyper-frame] reactivateActiveTab succeeded', { reason, tabId });
-      return true;
-    } catch (error) {
-      console.warn('[hyper-frame] reactivateActiveTab failed, falling back', {
-        reason,
-        error: error instanceof Error ? error.message : String(error),
-      });
-      this.requestFrameRefresh(reason);
-      return false;
+  _checkEffectiveVisibility() {
+    const nextVisible = this._isEffectivelyVisible();
+    const previousVisible = this._lastEffectiveVisibility;
+    this._lastEffectiveVisibility = nextVisible;
+    if (previousVisible === false && nextVisible === true) {
+      this._scheduleVisibilityWake('became-visible');
     }
   }
 
-  updateIframe() {
-    this._refreshRoutingMid();
-    this._updateIframeSrcFromAttribute('updateIframe');
-    this._applyHostDimensions();
-    this._sendUISync('updateIframe');
-  }
-
-  get loginLink() {
-    return this.getAttribute('login-link');
+  _handleResumeTrigger(reason = 'document-visibility') {
+    const wasVisible = this._lastEffectiveVisibility;
+    this._checkEffectiveVisibility();
+    if (wasVisible === true && this._lastEffectiveVisibility === true) {
+      this._scheduleVisibilityWake(reason);
+    }
+    // If we transitioned hidden→visible, _checkEffectiveVisibility already
+    // scheduled the wake.  But if the poll timer hasn't run yet (fast
+    // minimize/restore), wasVisible might still be true from before the hide
+    // while _lastEffectiveVisibility just flipped to true inside the check.
+    // The guard above covers that (both true → wake). For the remaining edge
+    // case where an external caller (host window manager) fires this while
+    // the component was hidden and is now visible, always force a deferred
+    // recheck so layout can settle.
+    if (!this._deferredVisibilityRecheckTimer) {
+      this._deferredVisibilityRecheckTimer = setTimeout(() => {
+        this._deferredVisibilityRecheckTimer = null;
+        this._checkEffectiveVisibility();
+      }, 120);
+    }
   }
 
-  set loginLink(value) {
-    if (value) this.setAttribute('login-link', value);
-    else this.removeAttribute('login-link');
+  _startVisibilityPolling() {
+    this._stopVisibilityPolling();
+    this._lastEffectiveVisibility = this._isEffectivelyVisible();
+    this._visibilityPollTimer = setInterval(() => {
+      this._checkEffectiveVisibility();
+    }, 250);
   }
 
-  get routingMid() {
-    return this._routingMid || '';
+  _stopVisibilityPolling() {
+    if (this._visibilityPollTimer) {
+      clearInterval(this._visibilityPollTimer);
+      this._visibilityPollTimer = null;
+    }
+    this._lastEffectiveVisibility = null;
   }
 
-  get width() {
-    return this.getAttribute('width');
+  _scheduleFrameBootstrap(reason = 'lifecycle', delayMs = 120) {
+    this._stopFrameBootstrap();
+    this._frameBootstrapTimer = setTimeout(() => {
+      this._frameBootstrapTimer = null;
+      void this._bootstrapActiveTabFrame(reason);
+    }, Math.max(0, delayMs));
   }
 
-  set width(value) {
-    if (value) this.setAttribute('width', value);
-    else this.removeAttribute('width');
+  _startFrameBootstrapRetries(reason = 'ready', {
+    attempts = 24,
+    initialDelayMs = 400,
+    intervalMs = 800,
+  } = {}) {
+    this._stopFrameBootstrapRetries();
+    this._frameBootstrapRetryRemaining = Math.max(0, attempts);
+    if (this._frameBootstrapRetryRemaining === 0) {
+      return;
+    }
+    const run = async () => {
+      if (!this.isConnected || this._frameBootstrapRetryRemaining <= 0) {
+        this._stopFrameBootstrapRetries();
+        return;
+      }
+      const attempt = (attempts - this._frameBootstrapRetryRemaining) + 1;
+      this._frameBootstrapRetryRemaining -= 1;
+      const ok = await this._bootstrapActiveTabFrame(`${reason}-retry-${attempt}`);
+      // A successful bootstrap means the active tab is bound and the viewport
+      // was re-asserted — additional retries would just churn the cast. Only
+      // keep retrying if the bootstrap short-circuited (dimensions, readiness,
+      // or tab lookup failed).
+      if (ok || this._frameBootstrapRetryRemaining <= 0) {
+        this._stopFrameBootstrapRetries();
+        return;
+      }
+      this._frameBootstrapRetryTimer = setTimeout(run, Math.max(250, intervalMs));
+    };
+    this._frameBootstrapRetryTimer = setTimeout(run, Math.max(0, initialDelayMs));
   }
 
-  get height() {
-    return this.getAttribute('height');
+  async _bootstrapActiveTabFrame(reason = 'lifecycle') {
+    if (this._frameBootstrapInFlight) {
+      return this._frameBootstrapInFlight;
+    }
+    this._frameBootstrapInFlight = (async () => {
+      const bootstrapEpoch = this._frameBootstrapEpoch;
+      try {
+        if (!this.isConnected) {
+          return false;
+        }
+        if (this.clientWidth <= 0 || this.clientHeight <= 0) {
+          return false;
+        }
+        const ready = await this._controller._ensureReadyForApi();
+        if (!ready) {
+          return false;
+        }
+        if (this._controller._transportMode === 'unknown') {
+          await this._controller._resolveTransport();
+        }
+        const activeTab = await this._controller._getActiveTabInfo(null).catch(() => null);
+        const tabId = activeTab?.id || activeTab?.targetId || null;
+        if (!tabId) {
+          return false;
+        }
+        if (bootstrapEpoch !== this._frameBootstrapEpoch) {
+          return false;
+        }
+        const kickedViewportGeometry = this._kickIframeViewportGeometry();
+        if (kickedViewportGeometry) {
+          await new Promise((resolve) => setTimeout(resolve, 80));
+        }
+        if (bootstrapEpoch !== this._frameBootstrapEpoch) {
+          return false;
+        }
+        const currentTab = await this._controller._getActiveTabInfo(null).catch(() => null);
+        const currentTabId = currentTab?.id || currentTab?.targetId || null;
+        if (!currentTabId || currentTabId !== tabId) {
+          return false;
+        }
+        const forcedViewportReset = this._controller._sendViewportReset(`frame-bootstrap:${reason}`);
+        if (forcedViewportReset) {
+          await new Promise((resolve) => setTimeout(resolve, 80));
+        }
+        if (bootstrapEpoch !== this._frameBootstrapEpoch) {
+          return false;
+        }
+        const activeAfterReset = await this._controller._getActiveTabInfo(null).catch(() => null);
+        const activeAfterResetId = activeAfterReset?.id || activeAfterReset?.targetId || null;
+        if (!activeAfterResetId || activeAfterResetId !== tabId) {
+          return false;
+        }
+        if (this._controller._transportMode === 'legacy') {
+          await this._controller._legacyCall('switchToTabById', [tabId]);
+        } else {
+          await this._controller._request('bbx-api-call', {
+            method: 'switchToTabById',
+            args: [tabId],
+          }, {
+            timeoutMs: Math.min(this.requestTimeoutMs, 5000),
+          });
+        }
+        this._lastSuccessfulBootstrapAt = Date.now();
+        console.info(`[hyper-frame] bootstrapped frame (${reason})`, {
+          tabId,
+          transport: this._controller._transportMode,
+          kickedViewportGeometry,
+          forcedViewportReset,
+        });
+        return true;
+      } catch (error) {
+        console.warn(`[hyper-frame] active tab frame bootstrap failed (${reason})`, {
+          error: error instanceof Error ? error.message : String(error),
+        });
+        return false;
+      } finally {
+        this._frameBootstrapInFlight = null;
+      }
+    })();
+    return this._frameBootstrapInFlight;
   }
 
-  set height(value) {
-    if (value) this.setAttribute('height', value);
-    else this.removeAttribute('height');
+  _assignIframeSrc(nextSrc, reason) {
+    const stack = new Error().stack || '(no stack available)';
+    debugHyperFrame('[DEBUG][SRC_ASSIGN]', {
+      reason,
+      currentSrc: this.iframe.src,
+      nextSrc,
+      stack,
+    });
+    this.iframe.src = nextSrc;
   }
 
-  get embedderOrigin() {
-    return this.getAttribute('embedder-origin')
-      || this.getAttribute('parent-origin')
-      || '*';
+  _normalizeUrl(url) {
+    if (typeof url !== 'string' || url.length === 0) return '';
+    try {
+      return new URL(url, window.location.href).href;
+    } catch {
+      return url;
+    }
   }
 
-  set embedderOrigin(value) {
-    if (value) this.setAttribute('embedder-origin', value);
-    else this.removeAttribute('embedder-origin');
-  }
+  _attemptSilentRecovery(reason) {
+    if (this._controller._silentRecoveryUsed || !(this._controller.transport instanceof IframeTransport)) {
+      return false;
+    }
+    const currentSrc = this._normalizeUrl(this.iframe.src || this.getAttribute('login-link'));
+    if (!currentSrc) {
+      return false;
+    }
 
-  /** @deprecated Use embedderOrigin instead. */
-  get parentOrigin() {
-    return this.embedderOrigin;
-  }
+    let nextSrc;
+    try {
+      const parsed = new URL(currentSrc, window.location.href);
+      const existingAttempt = Number(parsed.searchParams.get(this._silentRecoveryParam) || 0);
+      if (!Number.isFinite(existingAttempt) || existingAttempt >= 1) {
+        return false;
+      }
+      parsed.searchParams.set(this._silentRecoveryParam, String(existingAttempt + 1));
+      // Cache-bust to avoid stale iframe boot assets after session/token rotation.
+      parsed.searchParams.set('bbx_recover_t', String(Date.now()));
+      nextSrc = parsed.href;
+    } catch {
+      return false;
+    }
 
-  /** @deprecated Use embedderOrigin instead. */
-  set parentOrigin(value) {
-    this.embedderOrigin = value;
+    this._controller._beginSilentRecovery(reason);
+    console.info('[hyper-frame] attempting one-shot silent recovery reload', {
+      reason,
+      nextSrc,
+    });
+    this._assignIframeSrc(nextSrc, 'silent-recovery');
+    return true;
   }
 
-  get requestTimeoutMs() {
-    const raw = this.getAttribute('request-timeout-ms');
-    const parsed = Number.parseInt(raw || '30000', 10);
-    if (!Number.isFinite(parsed) || parsed < 100) {
-      return 30000;
+  _updateIframeSrcFromAttribute(trigger) {
+    const loginLink = this.getAttribute('login-link');
+    if (!loginLink) return;
+    this._controller._refreshRoutingMid(loginLink);
+    if (!(this._controller.transport instanceof IframeTransport)) return;
+    const normalizedCurrent = this._normalizeUrl(this.iframe.src);
+    const normalizedNext = this._normalizeUrl(loginLink);
+    if (normalizedCurrent === normalizedNext) {
+      return;
     }
-    return parsed;
+    this._assignIframeSrc(loginLink, trigger);
   }
 
-  set requestTimeoutMs(value) {
-    if (value === null || value === undefined) {
-      this.removeAttribute('request-timeout-ms');
-      return;
-    }
-    this.setAttribute('request-timeout-ms', String(value));
+  _applyHostDimensions() {
+    const width = this.getAttribute('width') || '100%';
+    const height = this.getAttribute('height') || '100%';
+    this.style.width = /^\d+$/.test(width) ? `${width}px` : width;
+    this.style.height = /^\d+$/.test(height) ? `${height}px` : height;
   }
 
-  /**
-   * Legacy transport dispatch. Each handler is a small function in a lookup
-   * table — avoids the 180-line if/else chain (Architecture §6, §3).
-   * @param {string} method
-   * @param {Array} args
-   * @param {Error|null} originalError
-   * @returns {Promise<*>}
-   */
-  async _legacyCall(method, args = [], originalError = null) {
-    const handler = this._legacyHandlers[method];
-    if (!handler) {
-      const detail = originalError?.message ? ` (${originalError.message})` : '';
-      throw createBrowserBoxError(`No legacy fallback for API method '${method}'${detail}`, {
-        code: ERROR_CODES.UNSUPPORTED,
-        status: 501,
-        method,
-        ...(originalError ? { cause: originalError } : {}),
-      });
+  _applyAugmentContent(node, content) {
+    node.replaceChildren();
+    const contentNode = document.createElement('div');
+    contentNode.className = 'bbx-augment-content';
+
+    if (isDomNode(content)) {
+      contentNode.append(content.cloneNode(true));
+    } else if (content && typeof content === 'object' && !Array.isArray(content)) {
+      if (content.type === 'html' && typeof content.html === 'string') {
+        contentNode.innerHTML = content.html;
+      } else if (content.type === 'text' && typeof content.text === 'string') {
+        contentNode.textContent = content.text;
+      } else if (content.type === 'json') {
+        contentNode.textContent = JSON.stringify(content.data, null, 2);
+      }
+    } else if (content !== undefined && content !== null) {
+      contentNode.textContent = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
     }
-    return handler.call(this, args, originalError);
-  }
 
-  get _legacyHandlers() {
-    if (this.__legacyHandlers) return this.__legacyHandlers;
-    const self = this;
+    node.append(contentNode);
+  }
 
-    const fail = (message, originalError = null) => {
-      const detail = originalError?.message ? ` (${originalError.message})` : '';
-      throw self._normalizeRemoteError(
-        createBrowserBoxError(`${message}${detail}`, {
-          code: ERROR_CODES.INTERNAL,
-          status: 500,
-          ...(originalError ? { cause: originalError } : {}),
-        }),
-      );
-    };
+  _applyAugmentPosition(node, spec, resolution = null) {
+    node.style.position = spec.kind === 'toast' ? 'relative' : 'absolute';
+    node.style.top = '';
+    node.style.right = '';
+    node.style.bottom = '';
+    node.style.left = '';
+    node.style.width = '';
+    node.style.height = '';
+    node.style.transform = '';
+    node.style.maxWidth = '';
+    node.style.maxHeight = '';
 
-    const resolveTabId = async (indexArg = null) => {
-      if (typeof indexArg === 'string' && indexArg.trim().length > 0) return indexArg.trim();
-      const tabs = await self._legacyHandlers.getTabs.call(self, []);
-      if (Array.isArray(tabs) && tabs.length > 0) {
-        const requested = Number.isInteger(indexArg) ? indexArg : 0;
-        const normalized = requested < 0 ? tabs.length + requested : requested;
-        const safeIndex = Math.max(0, Math.min(tabs.length - 1, normalized));
-        return tabs[safeIndex]?.id || tabs[safeIndex]?.targetId || null;
+    if (spec.space === 'page' && spec.kind !== 'highlight') {
+      const box = resolution?.matches?.[0];
+      if (box) {
+        node.style.left = `${box.x}px`;
+        node.style.top = `${box.y}px`;
+        node.style.width = `${Math.max(40, box.width)}px`;
+        node.style.height = `${Math.max(24, box.height)}px`;
+        return;
       }
-      const activeTab = await self._request('getActiveTab', {}).catch(() => null);
-      return activeTab?.id || activeTab?.targetId || null;
-    };
+    }
 
-    this.__legacyHandlers = {
-      async getTabs() {
-        let tabs;
-        try {
-          tabs = await self._request('getTabs', {});
-        } catch {
-          tabs = self._legacyTabsCache.slice();
-        }
-        if (!Array.isArray(tabs)) return self._legacyTabsCache.slice();
-        const normalizedTabs = tabs.map((tab, index) => ({ index, ...tab }));
-        self._legacyTabsCache = normalizedTabs.slice();
-        return normalizedTabs;
-      },
+    const position = spec.position || (spec.kind === 'sidebar' ? 'right' : spec.kind === 'toolbar' ? 'top' : 'top-right');
 
-      async getActiveTabIndex() {
-        const [tabs, activeTab] = await Promise.all([
-          self._legacyHandlers.getTabs.call(self, []),
-          self._request('getActiveTab', {}).catch(() => null),
-        ]);
-        if (!activeTab || !Array.isArray(tabs)) return -1;
-        const activeId = activeTab.id || activeTab.targetId || null;
-        return tabs.findIndex((tab) => (tab.id || tab.targetId) === activeId);
-      },
+    if (spec.kind === 'sidebar') {
+      node.style.top = '0';
+      node.style.bottom = '0';
+      node.style.width = 'min(360px, 38%)';
+      if (position.includes('left')) {
+        node.style.left = '0';
+      } else {
+        node.style.right = '0';
+      }
+      return;
+    }
 
-      async getTabCount() {
-        const tabs = await self._legacyHandlers.getTabs.call(self, []);
-        return Array.isArray(tabs) ? tabs.length : 0;
-      },
+    if (spec.kind === 'toolbar') {
+      node.style.top = '12px';
+      node.style.left = '50%';
+      node.style.transform = 'translateX(-50%)';
+      node.style.width = 'auto';
+      node.style.maxWidth = 'calc(100% - 24px)';
+      return;
+    }
 
-      async createTab(args) {
-        const url = typeof args[0] === 'string' ? args[0] : '';
-        self._postRaw({ type: 'createTab', data: { url } });
-        return true;
-      },
+    if (spec.kind === 'toast') {
+      node.style.position = 'relative';
+      node.style.maxWidth = '100%';
+      return;
+    }
 
-      async createTabs(args) {
-        const count = Number.isInteger(args[0]) && args[0] > 0 ? args[0] : 0;
-        const opts = args[1] || {};
-        const url = typeof opts.url === 'string' ? opts.url : '';
-        for (let i = 0; i < count; i += 1) {
-          self._postRaw({ type: 'createTab', data: { url } });
-        }
-        return true;
-      },
+    node.style.maxWidth = 'min(360px, calc(100% - 24px))';
+    if (position.includes('top')) {
+      node.style.top = '12px';
+    } else if (position.includes('bottom')) {
+      node.style.bottom = '12px';
+    } else {
+      node.style.top = '50%';
+      node.style.transform = 'translateY(-50%)';
+    }
+    if (position.includes('left')) {
+      node.style.left = '12px';
+    } else if (position.includes('right')) {
+      node.style.right = '12px';
+    } else {
+      node.style.left = '50%';
+      node.style.transform = node.style.transform ? `${node.style.transform} translateX(-50%)` : 'translateX(-50%)';
+    }
+  }
 
-      async closeTab(args, originalError) {
-        const tabId = await resolveTabId(args[0]);
-        if (!tabId) fail('Legacy closeTab failed: no target tab', originalError);
-        self._postRaw({ type: 'closeTab', tabId, data: {} });
-        return true;
-      },
+  _applyAugmentStyle(node, spec) {
+    node.style.cssText += '';
+    if (typeof spec.style === 'string') {
+      const tone = spec.style.trim().toLowerCase();
+      if (tone && !tone.includes(':')) {
+        node.dataset.tone = tone;
+      } else if (tone) {
+        node.style.cssText += `;${tone}`;
+      }
+      return;
+    }
+    if (spec.style && typeof spec.style === 'object' && !Array.isArray(spec.style)) {
+      for (const [key, value] of Object.entries(spec.style)) {
+        node.style.setProperty(key, String(value));
+      }
+    }
+  }
 
-      async closeTabById(args, originalError) {
-        const tabId = typeof args[0] === 'string' && args[0].trim().length > 0 ? args[0].trim() : null;
-        if (!tabId) fail('Legacy closeTabById requires a non-empty targetId string', originalError);
-        self._postRaw({ type: 'closeTab', tabId, data: {} });
-        return true;
-      },
+  _renderHighlightAugment(node, record) {
+    const tone = typeof record.spec.style === 'string' ? record.spec.style.trim().toLowerCase() : 'warning';
+    const matches = Array.isArray(record.resolution?.matches) ? record.resolution.matches : [];
+    node.replaceChildren();
+    node.className = 'bbx-augment bbx-augment-surface';
+    node.dataset.kind = record.spec.kind;
+    node.dataset.space = record.spec.space;
+    node.dataset.interactive = String(record.spec.interactive);
+    node.style.display = record.spec.visible && matches.length > 0 ? 'block' : 'none';
+    for (const box of matches) {
+      const highlight = document.createElement('div');
+      highlight.className = 'bbx-highlight-box';
+      highlight.dataset.tone = tone;
+      highlight.style.left = `${box.x}px`;
+      highlight.style.top = `${box.y}px`;
+      highlight.style.width = `${box.width}px`;
+      highlight.style.height = `${box.height}px`;
+      node.append(highlight);
+    }
+  }
 
-      async closeAllTabs(args) {
-        const opts = args[0] || {};
-        const keep = Number.isInteger(opts.keep) ? Math.max(0, opts.keep) : 0;
-        const tabs = await self._legacyHandlers.getTabs.call(self, []);
-        if (!Array.isArray(tabs) || tabs.length <= keep) return tabs?.length || 0;
-        for (let i = tabs.length - 1; i >= keep; i -= 1) {
-          const tabId = tabs[i]?.id || tabs[i]?.targetId;
-          if (!tabId) continue;
-          self._postRaw({ type: 'closeTab', tabId, data: {} });
-        }
-        return Math.max(keep, 0);
-      },
+  _renderStandardAugment(node, record) {
+    node.className = `bbx-augment bbx-augment-${record.spec.kind}`;
+    node.dataset.kind = record.spec.kind;
+    node.dataset.space = record.spec.space;
+    node.dataset.interactive = String(record.spec.interactive);
+    node.style.display = record.spec.visible ? '' : 'none';
+    this._applyAugmentPosition(node, record.spec, record.resolution);
+    this._applyAugmentContent(node, record.spec.content);
+    this._applyAugmentStyle(node, record.spec);
+  }
 
-      async switchToTab(args, originalError) {
-        const tabId = await resolveTabId(args[0]);
-        if (!tabId) fail('Legacy switchToTab failed: no target tab', originalError);
-        self._postRaw({ type: 'setActiveTab', tabId, data: {} });
-        return true;
-      },
+  _renderAugmentRecord(record) {
+    const root = this._augmentRoots[record.spec.kind === 'toast' ? 'toast' : record.spec.space] || this._augmentRoots.session;
+    if (!record.node) {
+      record.node = document.createElement('div');
+      record.node.dataset.augmentId = record.spec.id;
+      root.append(record.node);
+    } else if (record.node.parentNode !== root) {
+      root.append(record.node);
+    }
 
-      async switchToTabById(args, originalError) {
-        const tabId = typeof args[0] === 'string' && args[0].trim().length > 0 ? args[0].trim() : null;
-        if (!tabId) fail('Legacy switchToTabById requires a non-empty targetId string', originalError);
-        self._postRaw({ type: 'setActiveTab', tabId, data: {} });
-        return true;
-      },
+    if (record.spec.kind === 'highlight') {
+      this._renderHighlightAugment(record.node, record);
+    } else {
+      this._renderStandardAugment(record.node, record);
+    }
+  }
 
-      async navigateTo(args, originalError) {
-        const url = typeof args[0] === 'string' ? args[0] : '';
-        const tabId = await resolveTabId(null);
-        if (!tabId) fail('Legacy navigateTo failed: no active tab', originalError);
-        self._postRaw({ type: 'loadURL', tabId, data: { url } });
-        return true;
-      },
+  /**
+   * Public API: host window managers call this when the webview's container
+   * becomes visible again (e.g. desktop window restored from minimize).
+   * Bypasses poll-timer latency and forces immediate frame reactivation.
+   */
+  requestFrameRefresh(reason = 'host-request') {
+    this._lastEffectiveVisibility = false;
+    // Host-driven refreshes (window un-minimize, taskbar restore) must bypass
+    // the visibility-wake cooldown — those are the exact cases where cast
+    // really did stall and a rebind is required.
+    this._lastSuccessfulBootstrapAt = 0;
+    this._scheduleVisibilityWake(reason);
+  }
 
-      async navigateTab(args, originalError) {
-        const tabId = await resolveTabId(args[0]);
-        const url = typeof args[1] === 'string' ? args[1] : '';
-        if (!tabId) fail('Legacy navigateTab failed: no target tab', originalError);
-        self._postRaw({ type: 'setActiveTab', tabId, data: {} });
-        self._postRaw({ type: 'loadURL', tabId, data: { url } });
-        return true;
-      },
+  /**
+   * Direct "re-click the active tab" — calls switchToTabById without
+   * visibility or dimension checks.  Use this from host UI actions
+   * (taskbar restore, window un-minimize) where we KNOW the element is
+   * about to be visible but layout may not have settled yet.
+   * Falls back to the full bootstrap chain if the quick path fails.
+   */
+  async reactivateActiveTab(reason = 'host-reactivate') {
+    try {
+      const ready = await this._controller._ensureReadyForApi();
+      if (!ready) {
+        this.requestFrameRefresh(reason);
+        return false;
+      }
+      const activeTab = await this._controller._getActiveTabInfo(null).catch(() => null);
+      const tabId = activeTab?.id || activeTab?.targetId || null;
+      if (!tabId) {
+        this.requestFrameRefresh(reason);
+        return false;
+      }
+      if (this._controller._transportMode === 'legacy') {
+        await this._controller._legacyCall('switchToTabById', [tabId]);
+      } else {
+        await this._controller._request('bbx-api-call', {
+          method: 'switchToTabById',
+          args: [tabId],
+        }, {
+          timeoutMs: Math.min(this.requestTimeoutMs, 5000),
+        });
+      }
+      console.info('[hyper-frame] reactivateActiveTab succeeded', { reason, tabId });
+      return true;
+    } catch (error) {
+      console.warn('[hyper-frame] reactivateActiveTab failed, falling back', {
+        reason,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      this.requestFrameRefresh(reason);
+      return false;
+    }
+  }
 
-      async submitOmnibox(args, originalError) {
-        const query = typeof args[0] === 'string' ? args[0] : '';
-        return self._legacyHandlers.navigateTo.call(self, [query], originalError);
-      },
+  updateIframe() {
+    this._controller._refreshRoutingMid();
+    this._updateIframeSrcFromAttribute('updateIframe');
+    this._applyHostDimensions();
+    this._controller._sendUISync('updateIframe');
+  }
 
-      async reload(args, originalError) {
-        const tabId = await resolveTabId(null);
-        if (!tabId) fail('Legacy reload failed: no active tab', originalError);
-        self._postRaw({ type: 'reload', tabId, data: {} });
-        return true;
-      },
+  get width() {
+    return this.getAttribute('width');
+  }
 
-      async goBack(args, originalError) {
-        const tabId = await resolveTabId(null);
-        if (!tabId) fail('Legacy goBack failed: no active tab', originalError);
-        self._postRaw({ type: 'goBack', tabId, data: {} });
-        return true;
-      },
+  set width(value) {
+    if (value) this.setAttribute('width', value);
+    else this.removeAttribute('width');
+  }
 
-      async goForward(args, originalError) {
-        const tabId = await resolveTabId(null);
-        if (!tabId) fail('Legacy goForward failed: no active tab', originalError);
-        self._postRaw({ type: 'goForward', tabId, data: {} });
-        return true;
-      },
+  get height() {
+    return this.getAttribute('height');
+  }
 
-      async stop(args, originalError) {
-        const tabId = await resolveTabId(null);
-        if (!tabId) fail('Legacy stop failed: no active tab', originalError);
-        self._postRaw({ type: 'stop', tabId, data: {} });
-        return true;
-      },
+  set height(value) {
+    if (value) this.setAttribute('height', value);
+    else this.removeAttribute('height');
+  }
+}
 
-      async evaluate(args, originalError) {
-        const expression = typeof args[0] === 'string' ? args[0] : '';
-        const tabId = await resolveTabId(null);
-        if (!tabId) fail('Legacy evaluate failed: no active tab', originalError);
-        if (expression.includes('history.back')) {
-          self._postRaw({ type: 'goBack', tabId, data: {} });
-          return true;
-        }
-        if (expression.includes('history.forward')) {
-          self._postRaw({ type: 'goForward', tabId, data: {} });
-          return true;
-        }
-        if (expression.includes('window.stop')) {
-          self._postRaw({ type: 'stop', tabId, data: {} });
-          return true;
-        }
-        fail('Legacy evaluate only supports history.back, history.forward, and window.stop', originalError);
+// The element's public API is its controller's; forward it unchanged.
+const FORWARDED_METHODS = Object.freeze([
+  'whenReady', 'on', 'off', 'observe', 'events', 'listApiMethods', 'callApi',
+  'act', 'actSequence', 'navigate', 'record', 'mirror', 'snapshot', 'restore', 'intercept', 'capabilities', 'quotas', 'select', 'health',
+  'switchToTab', 'switchToTabById', 'navigateTo', 'navigateTab', 'submitOmnibox',
+  'createTab', 'createTabs', 'closeTab', 'closeTabById', 'closeAllTabs',
+  'getTabs', 'getFavicons', 'waitForNonDefaultFavicon', 'waitForTabCount',
+  'waitForTabUrl', 'getActiveTabIndex', 'getTabCount', 'reload', 'goBack',
+  'goForward', 'stop', 'getScreenMetrics', 'getTransportDiagnostics',
+  'frameCapture', 'getFrame', 'cleanSlate', 'firstLoadCleanse', 'uiVisible',
+  'allowUserToggleUI', 'getCurrentModal', 'respondToModal', 'dismissModal',
+  'waitForSelector', 'click', 'type', 'evaluate', 'waitForNavigation',
+  'refresh', 'disconnect', 'stopReconnectAttempts',
+]);
+const FORWARDED_ACCESSORS = Object.freeze([
+  'loginLink', 'routingMid', 'transport', 'embedderOrigin', 'parentOrigin',
+  'requestTimeoutMs', 'retryPolicy', 'reconnectMode', 'reconnectQueueMaxAgeMs',
+  'replayPolicy',
+]);
+
+for (const name of FORWARDED_METHODS) {
+  Object.defineProperty(HyperFrame.prototype, name, {
+    configurable: true,
+    writable: true,
+    value: {
+      [name](...args) {
+        return this._controller[name](...args);
       },
+    }[name],
+  });
+}
 
-      async waitForTabCount(args, originalError) {
-        const expectedCount = Number.isInteger(args[0]) ? args[0] : 0;
-        const opts = args[1] || {};
-        const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : self.requestTimeoutMs;
-        const pollMs = Number.isFinite(opts.pollMs) ? Math.max(50, opts.pollMs) : 150;
-        const deadline = Date.now() + timeoutMs;
-        while (Date.now() < deadline) {
-          const tabs = await self._legacyHandlers.getTabs.call(self, []);
-          if (tabs.length === expectedCount) return tabs.length;
-          await new Promise((resolve) => setTimeout(resolve, pollMs));
-        }
-        fail(`Legacy waitForTabCount timed out waiting for ${expectedCount}`, originalError);
+for (const name of FORWARDED_ACCESSORS) {
+  const { set } = Object.getOwnPropertyDescriptor(HyperFrameController.prototype, name);
+  Object.defineProperty(HyperFrame.prototype, name, {
+    configurable: true,
+    get() {
+      return this._controller[name];
+    },
+    ...(set ? {
+      set(value) {
+        this._controller[name] = value;
       },
+    } : {}),
+  });
+}
 
-      async waitForTabUrl(args, originalError) {
-        const tabIndex = Number.isInteger(args[0]) ? args[0] : 0;
-        const opts = args[1] || {};
-        const timeoutMs = Number.isFinite(opts.timeoutMs) ? opts.timeoutMs : self.requestTimeoutMs;
-        const pollMs = Number.isFinite(opts.pollMs) ? Math.max(50, opts.pollMs) : 150;
-        const expectIncludes = typeof opts.expectIncludes === 'string' ? opts.expectIncludes : '';
-        const allowBlank = Boolean(opts.allowBlank);
-        const deadline = Date.now() + timeoutMs;
-        while (Date.now() < deadline) {
-          const tabs = await self._legacyHandlers.getTabs.call(self, []);
-          if (Array.isArray(tabs) && tabs.length > 0) {
-            const safeIndex = Math.max(0, Math.min(tabs.length - 1, tabIndex));
-            const url = tabs[safeIndex]?.url || '';
-            if (allowBlank || url) {
-              if (!expectIncludes || url.includes(expectIncludes)) {
-                return { index: safeIndex, id: tabs[safeIndex]?.id || tabs[safeIndex]?.targetId, url };
-              }
-            }
-          }
-          await new Promise((resolve) => setTimeout(resolve, pollMs));
-        }
-        fail(`Legacy waitForTabUrl timed out for tab ${tabIndex}`, originalError);
-      },
-    };
+const DEFINED_ELEMENT_CLASSES = new WeakSet();
 
-    return this.__legacyHandlers;
+/**
+ * Register the element under `tagName`. Pass a subclass of `HyperFrame` to
+ * register that instead. A class that is already registered under another
+ * tag is wrapped in a fresh subclass, because the custom element registry
+ * accepts each constructor once.
+ * @param {string} [tagName='hyper-frame']
+ * @param {typeof HyperFrame} [ElementClass=HyperFrame]
+ * @returns {typeof HyperFrame} The registered constructor
+ */
+function defineHyperFrame(tagName = 'hyper-frame', ElementClass = HyperFrame) {
+  const name = assertNonEmptyString(tagName, 'defineHyperFrame(tagName)').toLowerCase();
+  if (ElementClass !== HyperFrame && !(ElementClass?.prototype instanceof HyperFrame)) {
+    throwInvalidArgument('defineHyperFrame(tagName, ElementClass) requires HyperFrame or a subclass of it.');
+  }
+  if (typeof customElements === 'undefined') {
+    throw createBrowserBoxError('defineHyperFrame requires a custom element registry.', {
+      code: ERROR_CODES.UNSUPPORTED,
+      status: 501,
+      tagName: name,
+    });
   }
-
+  const existing = customElements.get(name);
+  if (existing) {
+    if (existing === ElementClass || existing.prototype instanceof ElementClass) {
+      return existing;
+    }
+    throw createBrowserBoxError(`defineHyperFrame: <${name}> is already defined by another element.`, {
+      code: ERROR_CODES.CONFLICT,
+      status: 409,
+      tagName: name,
+    });
+  }
+  const Definition = DEFINED_ELEMENT_CLASSES.has(ElementClass)
+    ? class extends ElementClass {}
+    : ElementClass;
+  customElements.define(name, Definition);
+  DEFINED_ELEMENT_CLASSES.add(Definition);
+  return Definition;
 }
 
-if (!customElements.get('hyper-frame')) {
-  customElements.define('hyper-frame', HyperFrame);
+if (typeof customElements !== 'undefined' && !customElements.get('hyper-frame')) {
+  defineHyperFrame('hyper-frame');
 }
+
+export {
+  HyperFrame,
+  HyperFrameController,
+  HyperFrameGroup,
+  defineHyperFrame,
+  IframeTransport,
+  TargetTransport,
+  MockTransport,
+  MockBrowserBox,
+  POLICY_DEFAULTS,
+  INTERACTION_MODE_PRESETS,
+  registerInteractionMode,
+  ERROR_CODES,
+  BrowserBoxError,
+  BrowserBoxNotReadyError,
+  BrowserBoxPolicyError,
+  BrowserBoxTimeoutError,
+  BrowserBoxTransportError,
+  BrowserBoxUnsupportedError,
+  BrowserBoxInvalidArgumentError,
+  BrowserBoxNotFoundError,
+  BrowserBoxConflictError,
+  BrowserBoxInternalError,
+  BrowserBoxAbortError,
+  BrowserBoxNavigationError,
+  BrowserBoxSelectorNotFoundError,
+  BrowserBoxSessionExpiredError,
+  normalizeTabInfo,
+  normalizePageMetrics,
+  normalizePreviewResult,
+  normalizeExtractResult,
+  normalizeRawSelection,
+  normalizeActionResult,
+  normalizeSequenceStep,
+  normalizeAugmentSpec,
+  normalizeAugmentContent,
+  normalizeAugmentInfo,
+  normalizePolicyStateSnapshot,
+  normalizeRetryPolicy,
+  normalizeMediaPermissions,
+  normalizeSessionUnloadWarning,
+  normalizeBeforeUnloadBehavior,
+};